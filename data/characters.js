@@ -1,6 +1,21 @@
 /**
  * Reversi: Character Duel - Character Definitions (v1.0)
  * 先行後攻・パス・引き分けセリフ追加版
+ *
+ * boardSizes: 対戦できる盤面サイズ（一辺のマス数。省略時は 8x8 のみ）
+ * variants: 受け付けるルールのバリエーション（GameCore.VARIANTS の ID。省略時は通常ルールのみ）
+ * book: 定跡の設定（新フォーマットは ai.book。形式は js/opening_book.js を参照。省略時は定跡を使わない）
+ *   定跡を外れたとき、セリフに book_exit があればそれを話す
+ * phases: フェーズの境目（新フォーマットは ai.phases。{ opening: 20, midgame: 44 } のように 8x8 の手数で書く。省略時は 20/44）
+ *   評価の重みは各フェーズの中央の手数でそのフェーズの値になり、その間は手数に応じて滑らかに変わる
+ *   旧フォーマットの dynamic_turn は parameters.switchTurn を中盤の中央にする（early と late の重みが半々になる手数）
+ * temperature / maxLoss / blunderRate: 手の選び方（新フォーマットは ai の中。形式は js/move_selector.js を参照）
+ *   評価値の差に応じて、良い手ほど選ばれやすくする。randomness（上位N手から一様に選ぶ旧来の設定）より強さの差が出る
+ * seed: AI の乱数の種（新フォーマットは ai.seed。省略時は毎回違う乱数）
+ * nodeLimit: 1手に読むノード数の上限（新フォーマットは ai.nodeLimit）。指定すると timeLimit・timeBudget の代わりに使う
+ *   seed と nodeLimit の両方を指定すると、同じ局面ではどの端末でも同じ手を打つ（先読み・並列探索はしない）
+ * adaptive: 強さの自動調整で動かす範囲（新フォーマットは ai.adaptive。形式は js/adaptive_difficulty.js を参照。省略時は調整しない）
+ *   調整で大きく強くなった次の対局の始めに get_serious、弱くなったときに go_easy のセリフがあればそれを話す
  */
 const CHARACTERS = [
     {
@@ -8,9 +23,12 @@ const CHARACTERS = [
         name: "椎奈",
         description: "近所の謎の25歳のお姉さん。昔からの付き合い。",
         icon: "🐋",
+        boardSizes: [6, 8, 10],
+        variants: ["anti", "handicap", "parallel"],
         logicType: "dynamic_turn",
         depth: 4,
         randomness: 0,
+        adaptive: { depth: [2, 5], temperature: [0, 1500] },
         parameters: {
             switchTurn: 22,
             early: { mobility: 30, position: 10, discDiff: -5 },
@@ -28,7 +46,13 @@ const CHARACTERS = [
             // New Dialogues
             draw: ["あははっ、引き分けだねっ！", "気が合うねぇ、私たち。", "決着はまた今度、かなっ？"],
             player_pass: ["あらら、置く場所ない？ パスだねっ。", "ここは私に譲ってくれるの？ ありがとっ。", "ふふ、お休みかな？"],
-            ai_pass: ["うそ……私、置くとこないっ？", "えーっ、パス！？ ほんとにっ？", "うーん……ここは見守るしかないかぁ……。"]
+            ai_pass: ["うそ……私、置くとこないっ？", "えーっ、パス！？ ほんとにっ？", "うーん……ここは見守るしかないかぁ……。"],
+            // 考えている途中で評価が大きく動いたとき
+            swing_up: ["おっ？ いい手、見つけちゃったかもっ。", "ふふっ、これは……いけるかなっ？"],
+            swing_down: ["あれっ？ ちょっと待って……。", "んー、思ったより厳しいかもっ……。"],
+            // 強さの自動調整で強くなった／弱くなったとき
+            get_serious: ["最近キミ、強くなったよねっ。……今日はちょっと本気出しちゃおっかな。", "ふふっ、もう手加減はいらないみたいだねっ？"],
+            go_easy: ["今日はのんびりやろっか。ね？", "ふふ、肩の力抜いていこっ。お姉さんもゆっくり打つからさ。"]
         }
     },
     {
@@ -36,9 +60,14 @@ const CHARACTERS = [
         name: "佐紀",
         description: "２歳年上の先輩。直感で生きている。",
         icon: "🐾",
+        boardSizes: [6, 8],
+        variants: ["anti", "parallel"],
         logicType: "static",
         depth: 1,
-        randomness: 50,
+        // 直感で打つので手はばらつくが、大損する手は選ばない
+        temperature: 1000,
+        maxLoss: 3000,
+        adaptive: { depth: [1, 3], temperature: [400, 2500] },
         parameters: { mobility: -10, position: 20, discDiff: 80 },
         dialogues: {
             start: ["今日は佐紀ちゃんに勝てるかな～？", "いーどきょうじゃん！", "ハンデなしでいいよ？ 先輩だもん？"],
@@ -52,7 +81,9 @@ const CHARACTERS = [
             // New Dialogues
             draw: ["えーっ、引き分け！？", "つまんないのー！ 勝ち負けつけようよー！", "ま、負けてないからいっか！"],
             player_pass: ["はいパス～！ 佐紀ちゃんのターン！", "ん？ 置けないの？ ざんね～ん♪", "パスしちゃうんだ笑　かわいーね"],
-            ai_pass: ["えっ、パス！？ 佐紀ちゃんが！？", "ちょっと！ 私の置く場所残しておいてよ！", "むむむ……パスです……。"]
+            ai_pass: ["えっ、パス！？ 佐紀ちゃんが！？", "ちょっと！ 私の置く場所残しておいてよ！", "むむむ……パスです……。"],
+            get_serious: ["負けっぱなしは性に合わないんだよねー。今日はちゃんと考えて打つから！", "先輩の本気、見せてあげよっか？"],
+            go_easy: ["今日の佐紀ちゃんは優しいよ～？ 感謝したまえ～。", "ま、たまには花を持たせてあげよっかな！"]
         }
     },
     {
@@ -60,9 +91,12 @@ const CHARACTERS = [
         name: "磯禄",
         description: "相撲部出身の巨大な後輩。見た目は怖いが...",
         icon: "🐗",
+        boardSizes: [8, 10],
         logicType: "static",
         depth: 3,
-        randomness: 10,
+        // 位置の重みが大きく評価値の幅も広いので、温度も高め
+        temperature: 2000,
+        maxLoss: 6000,
         parameters: { mobility: 5, position: 80, discDiff: 40 },
         dialogues: {
             start: ["オッス！！ 双葉磯禄、参りますッ！！", "先輩！ 胸を貸していただき、感謝しますッ！！", "手加減無用！ 全力でぶつからせてくださいッ！"],
@@ -84,10 +118,13 @@ const CHARACTERS = [
         name: "優花",
         description: "椎奈の幼馴染。穏やかだが芯が強く、堅実な手を打つ。",
         icon: "🌸",
+        variants: ["handicap"],
         logicType: "static",
         depth: 4,
         randomness: 0,
         parameters: { mobility: 50, position: 50, discDiff: -10 },
+        // 虎・ローズの本筋を堅実に打つ（12手目まで）
+        book: { name: "standard", depth: 12, lines: { tiger: 3, rose: 3, cow: 1 }, randomness: 0.5 },
         dialogues: {
             start: ["お手柔らかにお願いしますね。", "椎奈ちゃん、あまり無茶しちゃだめよ？", "ふふ、静かな一局を楽しみましょう。"],
             thinking: ["急いては事を仕損じると言いますし……", "さて、どう紐解きましょうか。", "焦らず、ゆっくりといきましょう。", "長考させていただきますね。"],
@@ -100,7 +137,9 @@ const CHARACTERS = [
             // New Dialogues
             draw: ["痛み分け、ですね。", "平和的解決、ということで。", "この決着はまた次の機会に。"],
             player_pass: ["おや、打つ手がありませんか？", "『待てば海路の日和あり』とも言いますしね。", "では、失礼して……。"],
-            ai_pass: ["ここは動けませんね……。", "無理をして傷を広げるよりは、パスを選びます。", "……今は耐え忍ぶ時、ですね。"]
+            ai_pass: ["ここは動けませんね……。", "無理をして傷を広げるよりは、パスを選びます。", "……今は耐え忍ぶ時、ですね。"],
+            // 定跡を外れたとき
+            book_exit: ["ここからは、定跡のない道ですね。", "……さて、ここからが本番です。"]
         }
     },
     {
@@ -110,12 +149,15 @@ const CHARACTERS = [
         "icon": "🐈‍⬛",
         "logicType": "dynamic_turn",
         "depth": 4,
-        "randomness": 2,
+        "temperature": 300,
+        "maxLoss": 1000,
+        "blunderRate": { "opening": 0, "midgame": 0, "endgame": 0.05 },
         "parameters": {
             "switchTurn": 20,
             "early": { "mobility": 10, "position": 25, "discDiff": 5 },
             "late": { "mobility": 5, "position": 15, "discDiff": 100 }
         },
+        "book": { "name": "standard", "depth": 8, "lines": { "rabbit": 2, "buffalo": 2, "heath": 1, "parallel": 1 }, "randomness": 1 },
         "dialogues": {
             "start": [
                 "やあ、少年。……また来たの？",
@@ -173,6 +215,10 @@ const CHARACTERS = [
                 "……あ、私置けないわ。",
                 "……パスで。……マジか。",
                 "……うっそ、詰んだんだけど。"
+            ],
+            "book_exit": [
+                "……覚えてるの、ここまで。あとは適当。",
+                "……ん、定跡おしまい。……めんど。"
             ]
         }
     },
@@ -259,7 +305,10 @@ const CHARACTERS = [
         icon: "🐈",
         logicType: "static",
         depth: 2,
-        randomness: 3,
+        // ふだんは僅差の手から選び、たまに意味不明な手を打つ
+        temperature: 300,
+        maxLoss: 1000,
+        blunderRate: { opening: 0.15, midgame: 0.15, endgame: 0.05 },
         parameters: { mobility: 10, position: 50, discDiff: 10 },
         dialogues: {
             start: ["にゃーん。", "遊んでくれるの？", "眠いにゃ…"],
@@ -282,14 +331,28 @@ const CHARACTERS = [
         name: "椎奈【nightmare】",
         description: "本気の椎奈。一切の手加減なし。",
         icon: "🐋",
+        variants: ["anti", "handicap", "parallel"],
         // 新フォーマット: ai オブジェクトで統合エンジン用パラメータを指定
         ai: {
             tier: "nightmare",
             maxDepth: 16,
-            timeLimit: 3000,
+            timeLimit: 5000,            // 1手の上限。普段はこの半分を目安に、最善手が揺れる局面では延長して考える
+            timeBudget: 75000,          // 1局の持ち時間。中盤に厚く配分する
             endgameSolverDepth: 16,
+            wldSolverDepth: 18,         // 空き18マス以下は勝敗だけを読み切る（読み切れなければ通常の探索の手を打つ）
             randomness: 0,
             useMoveOrdering: true,
+            useTranspositionTable: true,
+            ttSizeMB: 16,
+            usePVS: true,
+            useAspiration: true,
+            aspirationWindow: 500,
+            useKillerMoves: true,
+            useHistoryHeuristic: true,
+            ponder: true,               // プレイヤーの手番の間も先読みする
+            parallel: true,             // 複数の Worker で手を分担して読む（使えない環境では1つで読む）
+            book: { name: "standard", depth: 20, randomness: 0.3 },  // 全ての定跡から、重い手ほど選びやすく
+            adaptive: { depth: [8, 16], timeLimit: [1000, 5000], temperature: [0, 300] },  // 自動調整でも最初は全力から
             weights: {
                 opening: {
                     mobility: 80,
@@ -376,6 +439,26 @@ const CHARACTERS = [
                 "……あれ。私、置けないや。",
                 "……珍しいこともあるね。",
                 "……ふぅ。ちょっと休憩。"
+            ],
+            book_exit: [
+                "……ここからは、私の読み。",
+                "定跡はおしまい。……ついてこれる？"
+            ],
+            swing_up: [
+                "……見つけた。",
+                "ふふ……そこ、穴だよ？"
+            ],
+            swing_down: [
+                "……へぇ。そう来るんだ。",
+                "……少し、読み直さなきゃ。"
+            ],
+            get_serious: [
+                "……もう、加減はしない。",
+                "ふふ、やっと本気で遊べるね。"
+            ],
+            go_easy: [
+                "……今日は、少しだけ手加減してあげる。",
+                "ふふ……そんな顔しないで。ゆっくりいこ？"
             ]
         }
     }
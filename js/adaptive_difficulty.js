@@ -0,0 +1,193 @@
+/**
+ * Reversi: Character Duel - Adaptive Difficulty
+ * プレイヤーの成績に合わせてキャラクターの強さを調整する（強さの自動調整を選んだときのみ）
+ *
+ * キャラクター設定の adaptive（旧フォーマットは最上位、新フォーマットは ai の中）:
+ *   { depth: [2, 5], timeLimit: [500, 2000], temperature: [0, 1500] }
+ *   depth       : 読む深さの範囲（旧フォーマットは depth、新フォーマットは maxDepth を動かす）
+ *   timeLimit   : 1手の制限時間の範囲 (ms)
+ *   temperature : 手の選び方の温度の範囲（大きいほど弱い。js/move_selector.js を参照）
+ * 省略した項目はキャラクターの設定のまま。adaptive のないキャラクターは調整しない。
+ *
+ * 強さは 0（範囲の一番弱い端）〜 1（一番強い端）の level で持ち、最初はキャラクター本来の設定の位置から始める。
+ * 対局が終わるたびに、勝敗・石差・AI が自分を有利と読んでいた手の割合からプレイヤーの出来 (0〜1) を求め、
+ * 五分 (0.5) より良ければ強く、悪ければ弱くする。level はキャラクターごとに localStorage に保存する
+ */
+class AdaptiveDifficulty {
+
+    // ========== 定数 ==========
+
+    /** 保存先の localStorage のキー */
+    static STORAGE_KEY = 'reversi_adaptive_difficulty';
+
+    /** 1局で level を動かす最大の幅（プレイヤーの出来が 0 か 1 のとき） */
+    static RATE = 0.25;
+
+    /** プレイヤーの出来の内訳の重み（勝敗・石差・AI の形勢判断） */
+    static RESULT_WEIGHT = 0.5;
+    static MARGIN_WEIGHT = 0.25;
+    static EVAL_WEIGHT = 0.25;
+
+    /** これだけ level が動いたら、次の対局の始めにキャラクターが一言いう */
+    static NOTICE_STEP = 0.1;
+
+    /**
+     * キャラクターの adaptive の設定（なければ null）
+     * @param {Object} character - キャラクター設定
+     * @returns {Object|null}
+     */
+    static settingsOf(character) {
+        return (character.ai ? character.ai.adaptive : character.adaptive) || null;
+    }
+
+    /**
+     * 1局のプレイヤーの出来
+     * @param {Object} game
+     * @param {number} game.result - プレイヤーの勝ち 1・引き分け 0.5・負け 0
+     * @param {number} game.margin - プレイヤーから見た石差（アンチリバーシでは少ないほうが勝ちなので符号を反転したもの）
+     * @param {number} game.squares - 盤面のマス数
+     * @param {number[]} game.aiScores - AI が打った手の評価値（AI から見た値。定跡手・パスは含めない）
+     * @returns {number} 0（完敗）〜 1（完勝）。五分なら 0.5
+     */
+    static performance({ result, margin, squares, aiScores }) {
+        // 盤面の 1/4 の石差で差が付き切ったとみなす
+        const marginScore = 0.5 + 0.5 * Math.max(-1, Math.min(1, margin / (squares / 4)));
+        const aiAhead = aiScores.length > 0
+            ? aiScores.filter(score => score > 0).length / aiScores.length
+            : 0.5;
+        return AdaptiveDifficulty.RESULT_WEIGHT * result +
+            AdaptiveDifficulty.MARGIN_WEIGHT * marginScore +
+            AdaptiveDifficulty.EVAL_WEIGHT * (1 - aiAhead);
+    }
+
+    // ========== コンストラクタ ==========
+
+    /**
+     * @param {Storage} [storage] - 保存先（既定は localStorage）
+     */
+    constructor(storage = localStorage) {
+        this.storage = storage;
+    }
+
+    // ========== 公開API ==========
+
+    /**
+     * キャラクターの今の強さ
+     * @param {Object} character - キャラクター設定
+     * @returns {number|null} 0〜1。adaptive のないキャラクターは null
+     */
+    levelOf(character) {
+        const settings = AdaptiveDifficulty.settingsOf(character);
+        if (!settings) return null;
+
+        const saved = this._load()[character.id];
+        return saved ? saved.level : this._initialLevel(character, settings);
+    }
+
+    /**
+     * 今の強さに合わせたキャラクター設定を作る（元の設定は変えない）
+     * @param {Object} character - キャラクター設定
+     * @returns {Object} adaptive のないキャラクター・まだ対局していないキャラクターはそのまま返す
+     */
+    apply(character) {
+        const settings = AdaptiveDifficulty.settingsOf(character);
+        if (!settings) return character;
+
+        // まだ対局していなければキャラクター本来の設定のまま
+        const saved = this._load()[character.id];
+        if (!saved) return character;
+
+        const level = saved.level;
+        const overrides = {};
+        if (settings.depth) {
+            overrides[character.ai ? 'maxDepth' : 'depth'] = Math.round(AdaptiveDifficulty._lerp(settings.depth, level));
+        }
+        if (settings.timeLimit) {
+            overrides.timeLimit = Math.round(AdaptiveDifficulty._lerp(settings.timeLimit, level));
+        }
+        if (settings.temperature) {
+            // 温度は高いほど弱いので、範囲を逆向きにたどる
+            const [min, max] = settings.temperature;
+            overrides.temperature = AdaptiveDifficulty._lerp([max, min], level);
+        }
+
+        return character.ai
+            ? { ...character, ai: { ...character.ai, ...overrides } }
+            : { ...character, ...overrides };
+    }
+
+    /**
+     * 終局した対局を記録し、強さを調整する
+     * @param {Object} character - キャラクター設定
+     * @param {Object} game - AdaptiveDifficulty.performance の引数
+     * @returns {{before: number, after: number, notice: string|null}|null}
+     *          notice は大きく強くなったら 'get_serious'、弱くなったら 'go_easy'。adaptive のないキャラクターは null
+     */
+    recordGame(character, game) {
+        const before = this.levelOf(character);
+        if (before === null) return null;
+
+        const performance = AdaptiveDifficulty.performance(game);
+        const after = Math.max(0, Math.min(1, before + 2 * AdaptiveDifficulty.RATE * (performance - 0.5)));
+
+        const saved = this._load();
+        const record = saved[character.id] || { games: 0 };
+        saved[character.id] = { level: after, games: record.games + 1 };
+        this._save(saved);
+
+        let notice = null;
+        if (after - before >= AdaptiveDifficulty.NOTICE_STEP) notice = 'get_serious';
+        else if (before - after >= AdaptiveDifficulty.NOTICE_STEP) notice = 'go_easy';
+        return { before, after, notice };
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * キャラクター本来の設定が範囲のどこにあるか（調整する項目の平均）
+     */
+    _initialLevel(character, settings) {
+        const base = character.ai || character;
+        const positions = [];
+        const position = ([min, max], value) => {
+            if (value === undefined || max === min) return;
+            positions.push(Math.max(0, Math.min(1, (value - min) / (max - min))));
+        };
+        if (settings.depth) position(settings.depth, character.ai ? base.maxDepth : base.depth);
+        if (settings.timeLimit) position(settings.timeLimit, base.timeLimit);
+        if (settings.temperature) {
+            const [min, max] = settings.temperature;
+            position([max, min], base.temperature || 0);
+        }
+        return positions.length > 0 ? positions.reduce((sum, p) => sum + p, 0) / positions.length : 0.5;
+    }
+
+    /**
+     * 範囲 [from, to] の level の位置の値
+     */
+    static _lerp([from, to], level) {
+        return from + (to - from) * level;
+    }
+
+    /**
+     * 保存した強さ（キャラクター ID -> { level, games }）
+     */
+    _load() {
+        try {
+            return JSON.parse(this.storage.getItem(AdaptiveDifficulty.STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * 強さを保存する（保存できない環境では強さは変わらない）
+     */
+    _save(saved) {
+        try {
+            this.storage.setItem(AdaptiveDifficulty.STORAGE_KEY, JSON.stringify(saved));
+        } catch (e) {
+            console.error('[AdaptiveDifficulty] Failed to save', e);
+        }
+    }
+}
@@ -0,0 +1,404 @@
+/**
+ * Reversi: Character Duel - AI Client
+ * メインスレッドから AI Worker を呼び出すクライアント
+ *
+ * - リクエストごとに requestId を振り、応答を ID で対応付ける
+ * - 探索の途中経過 (PROGRESS) をリクエストごとのコールバックに渡す
+ * - 実行中の探索の中断（CANCEL を送り、応答がなければ Worker を作り直す）
+ * - 相手の手番の間の先読み（ponder / stopPondering）
+ * - 応答のないリクエストのタイムアウト
+ * - Worker が落ちたときの再起動とエラー通知
+ * - 複数の Worker でルートの手を分担する並列探索（poolSize を 2 以上にし、ai.parallel が有効なキャラのみ）
+ *   seed・nodeLimit のある設定（同じ局面で同じ手を打たせたいとき）は、結果が Worker の数で変わらないよう1台で読む
+ */
+class AIClient {
+
+    // ========== 定数 ==========
+
+    /** 探索の制限時間に上乗せする待ち時間 (ms)。これを過ぎても応答がなければ Worker が固まったとみなす */
+    static TIMEOUT_MARGIN = 10000;
+
+    /** nodeLimit のある設定で見込む最低の探索速度 (ノード/ms)。遅い端末でもタイムアウトにならないよう低めにする */
+    static MIN_NODE_RATE = 10;
+
+    /** 中断を送ってから Worker の応答を待つ時間 (ms)。過ぎたら Worker を作り直す */
+    static CANCEL_GRACE = 2000;
+
+    /**
+     * 中断されたリクエストのエラーか
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isCancelled(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * 並列探索の結果を統合して手を選ぶ
+     * 反復深化は全員が読み終えた深さの評価値で比べる（深さが違う評価値は比べられないため）。
+     * 読み切りの評価値は正確なので、読み終えた手をそのまま比べる。
+     * 読み切れなかった Worker があれば、読み切りで勝ちが見つかっていない限り反復深化の結果で比べる
+     * （読み切りで負けと分かった手は除く）。
+     * 深さ1も読み終えられなかった Worker の手 (fallback) も、その評価値で候補に残す（読み切りで負けでない手が見つかっていれば除く）
+     * @param {Object[]} results - 各 Worker の UnifiedAIEngine.searchRoot の結果
+     * @param {Object} [settings] - 手の選び方の設定（キャラクター設定の ai。MoveSelector.select と同じ）
+     * @param {function(): number} [random] - 0 以上 1 未満の乱数
+     * @returns {{r: number, c: number, score: number}|null} どの Worker からも手が返らなければ null
+     */
+    static mergeRootResults(results, settings = {}, random = Math.random) {
+        const done = results.filter(result => result && result.iterations.length > 0);
+        const unsearched = results.filter(result => result && result.iterations.length === 0 && result.fallback)
+            .map(result => result.fallback);
+        if (done.length === 0) {
+            if (unsearched.length === 0) return null;
+            return unsearched.reduce((a, b) => (b.score > a.score ? b : a));
+        }
+
+        const last = result => result.iterations[result.iterations.length - 1];
+        const solved = done.filter(result => result.endgame).flatMap(result => last(result).moves);
+        let moves;
+        if (done.every(result => result.endgame) || solved.some(move => move.score > 0)) {
+            moves = solved;
+            if (!solved.some(move => move.score >= 0)) moves = moves.concat(unsearched);
+        } else {
+            const searched = done
+                .map(result => result.iterations.filter(iteration => !iteration.endgame))
+                .filter(iterations => iterations.length > 0);
+            const depth = Math.min(...searched.map(iterations => iterations[iterations.length - 1].depth));
+            const lost = new Set(solved.filter(move => move.score < 0).map(move => `${move.r},${move.c}`));
+            moves = searched.flatMap(iterations => iterations.find(iteration => iteration.depth === depth).moves);
+            if (moves.some(move => !lost.has(`${move.r},${move.c}`))) {
+                moves = moves.filter(move => !lost.has(`${move.r},${move.c}`));
+            }
+            moves = moves.concat(unsearched);
+        }
+
+        // 各 Worker の先頭の手は正確な評価値、それ以外は上限なので、並べ替えれば先頭が全体の最善手になる
+        moves.sort((a, b) => b.score - a.score);
+        return moves[MoveSelector.select(moves, settings, done[0].phase, random).index];
+    }
+
+    // ========== コンストラクタ ==========
+
+    /**
+     * @param {string} workerUrl - ai_worker.js の URL
+     * @param {Object} [options]
+     * @param {function(string): void} [options.onError] - Worker の異常（クラッシュ・タイムアウト）の通知先
+     * @param {number} [options.poolSize] - 並列探索に使う Worker の数（既定は 1 = 並列探索しない）
+     */
+    constructor(workerUrl, options = {}) {
+        this.workerUrl = workerUrl;
+        this.onError = options.onError || null;
+
+        this.worker = null;
+        this.ready = false;
+        this.nextRequestId = 1;
+
+        // requestId -> { type, resolve, reject, timer, onProgress }
+        this.pending = new Map();
+
+        // 中断を送ったが Worker からまだ応答のない requestId
+        this.cancelling = new Set();
+        this.cancelTimer = null;
+
+        this._startWorker();
+
+        // 並列探索の補助 Worker（それぞれ1台構成の AIClient）。起動できなければ起動できた分だけで動かす
+        this.helpers = [];
+        for (let i = 1; i < (options.poolSize || 1); i++) {
+            try {
+                this.helpers.push(new AIClient(workerUrl));
+            } catch (e) {
+                console.warn('[AIClient] 並列探索用の Worker を起動できません:', e);
+                break;
+            }
+        }
+    }
+
+    // ========== 公開API ==========
+
+    /**
+     * 最善手を計算する
+     * @param {Object} [options]
+     * @param {function(Object): void} [options.onProgress] - 深さを読み終えるたびに呼ばれる
+     * @param {{used: number}} [options.clock] - この対局で AI が既に使った時間 (ms)。持ち時間 (ai.timeBudget) の配分に使う
+     * @returns {Promise<{r: number, c: number}|null>} 置ける場所がなければ null
+     */
+    computeMove(board, turn, config, rules, options = {}) {
+        const reproducible = config.ai && (config.ai.seed !== undefined || config.ai.nodeLimit > 0);
+        if (this.helpers.length > 0 && config.ai && config.ai.parallel && !reproducible) {
+            return this._computeParallel(board, turn, config, rules, options);
+        }
+        return this._request('COMPUTE', { board, turn, config, rules, clock: options.clock }, options);
+    }
+
+    /**
+     * 局面を解析する（UnifiedAIEngine.analyze の結果を返す）
+     * @param {Object} [options] - computeMove と同じ
+     * @returns {Promise<Object|null>}
+     */
+    analyze(board, turn, config, rules, options = {}) {
+        return this._request('ANALYZE', { board, turn, config, rules }, options);
+    }
+
+    /**
+     * 相手の手番の間に先読みさせる（stopPondering・cancelAll で止めるまで続く）
+     * 先読みの結果は Worker 側に残り、次の computeMove で使われる
+     * @param {number} turn - 相手（これから指す側）の手番
+     * @returns {Promise<number>} 読み終えた応手の数（途中で止めた場合は AbortError）
+     */
+    ponder(board, turn, config, rules) {
+        return this._request('PONDER', { board, turn, config, rules }, { timeout: false });
+    }
+
+    /**
+     * 先読みを止める（計算・解析のリクエストはそのまま）
+     */
+    stopPondering() {
+        this._cancel(requestId => this.pending.get(requestId).type === 'PONDER');
+    }
+
+    /**
+     * 実行中・待機中のリクエストをすべて中断する
+     * 呼び出し元の Promise は AbortError ですぐに reject される
+     */
+    cancelAll() {
+        this._cancel(() => true);
+        this.helpers.forEach(helper => helper.cancelAll());
+    }
+
+    /**
+     * Worker を停止する（以後このクライアントは使えない）
+     */
+    terminate() {
+        this._rejectAll(this._abortError());
+        clearTimeout(this.cancelTimer);
+        this.worker.terminate();
+        this.helpers.forEach(helper => helper.terminate());
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * 合法手を Worker に振り分けて並列に読み、結果を統合する
+     * 補助 Worker が落ちた・応答しない場合は補助 Worker を止め、以後は1台で読む
+     */
+    async _computeParallel(board, turn, config, rules, options) {
+        const moves = GameCore.getValidMoves(board, turn);
+        const clock = options.clock;
+        if (moves.length <= 1) {
+            return this._request('COMPUTE', { board, turn, config, rules, clock }, options);
+        }
+
+        // 定跡手と先読みの結果は読まずに決まる。先読みの結果は先読みをしたこの Worker にしかないので、分担する前に確かめる
+        const quick = await this._request('QUICK_MOVE', { board, turn, config, rules });
+        if (quick) return quick;
+
+        // 合法手の順に1手ずつ配る
+        const clients = [this, ...this.helpers].slice(0, moves.length);
+        const shares = clients.map(() => []);
+        moves.forEach((move, i) => shares[i % clients.length].push(move));
+
+        const onProgress = this._mergeProgress(clients.length, options.onProgress);
+        let results;
+        try {
+            results = await Promise.all(clients.map((client, i) => client._request('SEARCH_ROOT',
+                { board, turn, config, rules, moves: shares[i], clock },
+                { onProgress: progress => onProgress(i, progress) })));
+        } catch (error) {
+            if (AIClient.isCancelled(error)) throw error;
+
+            console.warn('[AIClient] 並列探索に失敗したため、1台で読み直します:', error);
+            this._cancel(requestId => this.pending.get(requestId).type === 'SEARCH_ROOT');
+            this.helpers.forEach(helper => helper.terminate());
+            this.helpers = [];
+            return this._request('COMPUTE', { board, turn, config, rules, clock }, options);
+        }
+
+        const best = AIClient.mergeRootResults(results, config.ai) || shares[0][0];
+        return { r: best.r, c: best.c, score: best.score };
+    }
+
+    /**
+     * 各 Worker の途中経過を1つにまとめて通知する関数を作る
+     * 反復深化は全員が同じ深さを読み終えたとき、読み切りは誰かの結果が変わるたびに通知する
+     * @param {number} count - Worker の数
+     * @param {function(Object): void} [onProgress]
+     * @returns {function(number, Object): void} (Worker の番号, 途中経過) を受け取る
+     */
+    _mergeProgress(count, onProgress) {
+        if (!onProgress) return () => {};
+
+        const byDepth = new Map();   // depth -> Worker ごとの途中経過
+        const latestEndgame = [];
+        const merge = list => {
+            const reports = list.filter(Boolean);
+            const best = reports.reduce((a, b) => (b.score > a.score ? b : a));
+            return {
+                ...best,
+                nodes: reports.reduce((sum, p) => sum + p.nodes, 0),
+                elapsed: Math.max(...reports.map(p => p.elapsed))
+            };
+        };
+
+        return (index, progress) => {
+            if (progress.endgame) {
+                latestEndgame[index] = progress;
+                onProgress(merge(latestEndgame));
+                return;
+            }
+            const reports = byDepth.get(progress.depth) || [];
+            reports[index] = progress;
+            byDepth.set(progress.depth, reports);
+            if (reports.filter(Boolean).length === count) onProgress(merge(reports));
+        };
+    }
+
+    /**
+     * 条件に合うリクエストを中断する
+     * @param {function(number): boolean} filter - requestId を受け取り、中断するなら true
+     */
+    _cancel(filter) {
+        for (const requestId of [...this.pending.keys()].filter(filter)) {
+            this.worker.postMessage({ type: 'CANCEL', requestId });
+            this.cancelling.add(requestId);
+            this._settle(requestId).reject(this._abortError());
+        }
+
+        // 探索が中断に応じなければ Worker ごと作り直す
+        if (this.cancelling.size > 0 && !this.cancelTimer) {
+            this.cancelTimer = setTimeout(() => {
+                this.cancelTimer = null;
+                if (this.cancelling.size > 0) {
+                    this._restartWorker('中断に応答しないため AI を再起動しました');
+                }
+            }, AIClient.CANCEL_GRACE);
+        }
+    }
+
+    /**
+     * リクエストを送信し、応答を待つ Promise を返す
+     */
+    _request(type, payload, options = {}) {
+        const requestId = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            // 設定の制限時間に余裕を持たせ、それでも応答がなければ固まったとみなす
+            // （先読みは止めるまで続くので対象外。ノード数で制限する設定は、遅い端末での所要時間を見込む）
+            const config = payload.config || {};
+            const ai = config.ai || config;
+            const timeLimit = ai.nodeLimit > 0
+                ? ai.nodeLimit / AIClient.MIN_NODE_RATE
+                : ai.timeLimit || 2000;
+            const timer = options.timeout === false ? null : setTimeout(() => {
+                if (!this.pending.has(requestId)) return;
+                this._settle(requestId).reject(new Error('AI の応答がタイムアウトしました'));
+                this._restartWorker('応答がないため AI を再起動しました');
+            }, timeLimit + AIClient.TIMEOUT_MARGIN);
+
+            this.pending.set(requestId, { type, resolve, reject, timer, onProgress: options.onProgress || null });
+
+            try {
+                // Vue の Proxy などを剥がすため JSON 経由で複製して送る
+                this.worker.postMessage({ type, requestId, ...JSON.parse(JSON.stringify(payload)) });
+            } catch (e) {
+                this._settle(requestId).reject(e);
+            }
+        });
+    }
+
+    /**
+     * 待機中のリクエストを取り出して後始末する
+     * @returns {{resolve: Function, reject: Function}}
+     */
+    _settle(requestId) {
+        const entry = this.pending.get(requestId);
+        clearTimeout(entry.timer);
+        this.pending.delete(requestId);
+        return entry;
+    }
+
+    _startWorker() {
+        this.ready = false;
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = (e) => this._onMessage(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this._restartWorker(`AI でエラーが発生しました: ${e.message}`);
+        };
+    }
+
+    /**
+     * Worker を作り直す。待機中のリクエストはすべてエラーにする
+     * @param {string} reason - 通知するメッセージ
+     */
+    _restartWorker(reason) {
+        console.error(`[AIClient] ${reason}`);
+        this.worker.terminate();
+        this.cancelling.clear();
+        this._rejectAll(new Error(reason));
+        this._startWorker();
+        if (this.onError) this.onError(reason);
+    }
+
+    _rejectAll(error) {
+        for (const requestId of [...this.pending.keys()]) {
+            this._settle(requestId).reject(error);
+        }
+    }
+
+    _onMessage(data) {
+        if (data.type === 'READY') {
+            this.ready = true;
+            return;
+        }
+
+        // 中断済みのリクエストへの応答は捨てる（途中経過の後に来る最終応答で中断完了とみなす）
+        if (this.cancelling.has(data.requestId)) {
+            if (data.type !== 'PROGRESS') this.cancelling.delete(data.requestId);
+            return;
+        }
+
+        if (!this.pending.has(data.requestId)) {
+            console.warn('[AIClient] Unknown response:', data);
+            return;
+        }
+
+        // 途中経過はリクエストを完了させずにコールバックへ渡す
+        if (data.type === 'PROGRESS') {
+            const { onProgress } = this.pending.get(data.requestId);
+            if (onProgress) onProgress(data.progress);
+            return;
+        }
+
+        const { resolve, reject } = this._settle(data.requestId);
+        switch (data.type) {
+            case 'RESULT':
+                resolve(data.move);
+                break;
+            case 'ANALYSIS':
+                resolve(data.analysis);
+                break;
+            case 'PONDERED':
+                resolve(data.replies);
+                break;
+            case 'ROOT_RESULT':
+                resolve(data.result);
+                break;
+            case 'CANCELLED':
+                reject(this._abortError());
+                break;
+            case 'ERROR':
+                reject(new Error(data.error));
+                break;
+            default:
+                reject(new Error(`Unknown message type: ${data.type}`));
+        }
+    }
+
+    _abortError() {
+        const error = new Error('AI の探索を中断しました');
+        error.name = 'AbortError';
+        return error;
+    }
+}
@@ -1,31 +1,123 @@
 /**
  * Reversi: Character Duel - AI Worker
  * AIエンジンを別スレッドで実行するWeb Worker
+ *
+ * 受信: { type: 'COMPUTE' | 'ANALYZE' | 'PONDER' | 'SEARCH_ROOT' | 'QUICK_MOVE' | 'CANCEL', requestId, board, turn, config, rules, clock }
+ *   type 省略時は COMPUTE として扱う
+ *   clock（COMPUTE・SEARCH_ROOT のみ）はこの対局で AI が使った時間。持ち時間の配分に使う
+ *   PONDER の turn は相手（これから指す側）の手番。CANCEL されるまで応手後の局面を読み続ける
+ *   SEARCH_ROOT は moves（担当するルートの手）だけを読む（並列探索用）
+ *   QUICK_MOVE は探索せずに決まる手（定跡手か先読みの結果）だけを返す（なければ move: null。並列探索の前に使う）
+ * 送信: READY / RESULT { move } / ANALYSIS { analysis } / PONDERED { replies } / ROOT_RESULT { result } /
+ *   CANCELLED / ERROR { error }（いずれも requestId 付き）
+ *   探索中は深さを読み終えるたびに PROGRESS { progress } を送る（UnifiedAIEngine._reportProgress を参照）
  */
 
 // 必要なスクリプトを読み込み（同じディレクトリから）
-importScripts('./game_core.js', './unified_ai_engine.js');
+importScripts('./bitboard.js', './game_core.js', './transposition_table.js', './pattern_eval.js', './opening_book.js',
+    './move_selector.js', './unified_ai_engine.js');
 
 // AIエンジンのインスタンスを作成
 const ai = new UnifiedAIEngine();
 
+// 途中経過は実行中のリクエストの ID を付けて送る
+ai.onProgress = (progress) => {
+    self.postMessage({ type: 'PROGRESS', progress: progress, requestId: currentRequestId });
+};
+
+// 探索は1つずつ順番に実行する（エンジンの状態を共有しているため）
+let queue = Promise.resolve();
+let currentRequestId = null;
+
+// 待ち行列にある（まだ実行していない）requestId
+const queuedIds = new Set();
+
+// 中断された requestId（実行前・実行中とも。結果を CANCELLED で返すかはエンジンの状態ではなくこれで決める）
+// 待ち行列にあるか実行中のものだけ記録する
+const cancelledIds = new Set();
+
+// 読み込みに失敗したデータの URL（何度も読みに行かない）
+const failedUrls = new Set();
+
 /**
  * メインスレッドからのメッセージを受信
- * @param {MessageEvent} e - { board, turn, config, requestId }
+ * @param {MessageEvent} e
+ */
+self.onmessage = function (e) {
+    const request = e.data;
+
+    if (request.type === 'CANCEL') {
+        // 実行中なら探索を打ち切り、待ち行列にあれば実行しない（終わったリクエストへの中断は無視する）
+        if (request.requestId === currentRequestId) {
+            cancelledIds.add(request.requestId);
+            ai.cancel();
+        } else if (queuedIds.has(request.requestId)) {
+            cancelledIds.add(request.requestId);
+        }
+        return;
+    }
+
+    queuedIds.add(request.requestId);
+    queue = queue.then(() => run(request));
+};
+
+/**
+ * 1件の探索を実行して結果を返す
  */
-self.onmessage = async function (e) {
-    const { board, turn, config, requestId } = e.data;
+async function run(request) {
+    const { type, board, turn, config, rules, moves, clock, requestId } = request;
+
+    // 読み込み中に届いた中断は、待ち行列にあるものとして下の cancelledIds で受け取る
+    await loadResources(config);
+    queuedIds.delete(requestId);
 
+    if (cancelledIds.delete(requestId)) {
+        self.postMessage({ type: 'CANCELLED', requestId: requestId });
+        return;
+    }
+
+    currentRequestId = requestId;
     try {
+        if (type === 'ANALYZE') {
+            // 全ての手の評価値・最善手順・探索情報を返す
+            const analysis = await ai.analyze(board, turn, config, rules);
+            self.postMessage(cancelledIds.delete(requestId)
+                ? { type: 'CANCELLED', requestId: requestId }
+                : { type: 'ANALYSIS', analysis: analysis, requestId: requestId });
+            return;
+        }
+
+        if (type === 'PONDER') {
+            // 相手の手番の間の先読み（結果はエンジンの置換表と先読み結果に残る）
+            const replies = await ai.ponder(board, turn, config, rules);
+            self.postMessage(cancelledIds.delete(requestId)
+                ? { type: 'CANCELLED', requestId: requestId }
+                : { type: 'PONDERED', replies: replies, requestId: requestId });
+            return;
+        }
+
+        if (type === 'QUICK_MOVE') {
+            const move = await ai.quickMove(board, turn, config, rules);
+            self.postMessage({ type: 'RESULT', move: move, requestId: requestId });
+            return;
+        }
+
+        if (type === 'SEARCH_ROOT') {
+            // 並列探索の分担分（深さごとの評価値を返し、統合はメインスレッドで行う）
+            const result = await ai.searchRoot(board, turn, config, rules, moves, clock);
+            self.postMessage(cancelledIds.delete(requestId)
+                ? { type: 'CANCELLED', requestId: requestId }
+                : { type: 'ROOT_RESULT', result: result, requestId: requestId });
+            return;
+        }
+
         // AI計算を実行
-        const move = await ai.computeMove(board, turn, config);
+        const move = await ai.computeMove(board, turn, config, rules, clock);
 
         // 結果をメインスレッドに返す
-        self.postMessage({
-            type: 'RESULT',
-            move: move,
-            requestId: requestId
-        });
+        self.postMessage(cancelledIds.delete(requestId)
+            ? { type: 'CANCELLED', requestId: requestId }
+            : { type: 'RESULT', move: move, requestId: requestId });
     } catch (error) {
         // エラー発生時
         self.postMessage({
@@ -33,8 +125,42 @@ self.onmessage = async function (e) {
             error: error.message,
             requestId: requestId
         });
+    } finally {
+        cancelledIds.delete(requestId);
+        currentRequestId = null;
     }
-};
+}
+
+/**
+ * 設定で使うパターン評価の重み・定跡を読み込んでおく
+ * 読み込めなければ警告だけ出す（エンジンは特徴量の評価で読む・定跡を使わない）
+ */
+async function loadResources(config) {
+    const ai = config && config.ai;
+    if (ai && ai.evaluator === 'pattern') {
+        const name = ai.patternWeights || 'default';
+        await loadOnce(`../data/patterns/${name}.json`, url => PatternEvaluator.load(name, url));
+    }
+
+    const book = ai ? ai.book : config && config.book;
+    if (book) {
+        const name = book.name || 'standard';
+        await loadOnce(`../data/books/${name}.json`, url => OpeningBook.load(name, url));
+    }
+}
+
+/**
+ * 読み込みに一度失敗した URL は読みに行かない
+ */
+async function loadOnce(url, load) {
+    if (failedUrls.has(url)) return;
+    try {
+        await load(url);
+    } catch (error) {
+        failedUrls.add(url);
+        console.warn(`[AI Worker] ${error.message}`);
+    }
+}
 
 // Worker起動完了を通知
 self.postMessage({ type: 'READY' });
@@ -0,0 +1,370 @@
+/**
+ * Reversi: Character Duel - Bitboard
+ * BigIntによるビットボード表現と、合法手・反転石の高速生成
+ *
+ * マス番号は idx = r * size + c（a1 = 0, 8x8 なら h8 = 63）。
+ * 盤面は「手番側の石 (player)」と「相手の石 (opponent)」の2枚のビットボードで表す。
+ * 盤の大きさごとにインスタンスを作り（Bitboard.of(size)）、シフト量やマスクはそこに持つ。
+ */
+class Bitboard {
+
+    // ========== 定数 ==========
+
+    /** 対応している盤面の一辺 */
+    static SIZES = [6, 8, 10];
+
+    /** 盤の大きさごとのインスタンス */
+    static _instances = new Map();
+
+    // ========== 生成 ==========
+
+    /**
+     * 指定サイズのビットボード操作を取得する（サイズごとに1つだけ作る）
+     * @param {number} [size=8] - 盤面の一辺
+     * @returns {Bitboard}
+     */
+    static of(size = 8) {
+        let instance = Bitboard._instances.get(size);
+        if (!instance) {
+            if (!Bitboard.SIZES.includes(size)) {
+                throw new Error(`対応していない盤面サイズです: ${size}`);
+            }
+            instance = new Bitboard(size);
+            Bitboard._instances.set(size, instance);
+        }
+        return instance;
+    }
+
+    /**
+     * @param {number} size - 盤面の一辺
+     */
+    constructor(size) {
+        const squares = size * size;
+        let firstCol = 0n;
+        let lastCol = 0n;
+        for (let r = 0; r < size; r++) {
+            firstCol |= 1n << BigInt(r * size);
+            lastCol |= 1n << BigInt(r * size + size - 1);
+        }
+
+        /** 盤面の一辺 */
+        this.size = size;
+        /** マス数 */
+        this.squares = squares;
+        /** 32bitワード数 */
+        this.words = Math.ceil(squares / 32);
+        /** 盤面全体のマスク */
+        this.full = (1n << BigInt(squares)) - 1n;
+        /** a列以外 */
+        this.notFirstCol = this.full ^ firstCol;
+        /** 最終列以外 */
+        this.notLastCol = this.full ^ lastCol;
+        /** 両端の列を除いたマスク（横・斜め方向の探索で列の折り返しを防ぐ） */
+        this.innerCols = this.notFirstCol & this.notLastCol;
+        /** 各マスのビット */
+        this.bit = Array.from({ length: squares }, (_, i) => 1n << BigInt(i));
+
+        /** 横・右上がり斜め・縦・右下がり斜めのシフト量 */
+        this.shifts = [1n, BigInt(size - 1), BigInt(size), BigInt(size + 1)];
+        // 挟める相手の石は最大 size - 2 個。最初の2個の後、2個ずつ伸ばす回数
+        this.pairSteps = Math.ceil((size - 4) / 2);
+
+        // ----- 確定石の判定用（いずれも shifts と同じ方向の順） -----
+        let firstRow = 0n;
+        let lastRow = 0n;
+        for (let c = 0; c < size; c++) {
+            firstRow |= 1n << BigInt(c);
+            lastRow |= 1n << BigInt((size - 1) * size + c);
+        }
+        const border = firstCol | lastCol | firstRow | lastRow;
+        /** その方向の隣が盤の外になるマス（斜めは外周の全てのマス） */
+        this.edges = [firstCol | lastCol, border, firstRow | lastRow, border];
+        /** 左シフト・右シフトで隣のマスに移すときのマスク（列の折り返しを除く） */
+        this.adjacentMasks = [
+            [this.notFirstCol, this.notLastCol],
+            [this.notLastCol, this.notFirstCol],
+            [this.full, this.full],
+            [this.notFirstCol, this.notLastCol]
+        ];
+        /** 盤面を横切る線（行・右上がり斜め・列・右下がり斜め） */
+        this.lines = [
+            this._buildLines((r, c) => r),
+            this._buildLines((r, c) => r + c),
+            this._buildLines((r, c) => c),
+            this._buildLines((r, c) => r - c)
+        ];
+    }
+
+    /**
+     * 同じキーを持つマスを1本の線にまとめる
+     * @param {function(number, number): number} keyOf - (r, c) から線のキーを求める
+     * @returns {bigint[]}
+     */
+    _buildLines(keyOf) {
+        const lines = new Map();
+        for (let r = 0; r < this.size; r++) {
+            for (let c = 0; c < this.size; c++) {
+                const key = keyOf(r, c);
+                lines.set(key, (lines.get(key) || 0n) | this.bit[r * this.size + c]);
+            }
+        }
+        return [...lines.values()];
+    }
+
+    // ========== 変換 ==========
+
+    /**
+     * 2次元配列の盤面をビットボードに変換する
+     * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
+     * @param {number} turn - 手番 (1 or -1)
+     * @returns {{player: bigint, opponent: bigint}} 手番側と相手側のビットボード
+     */
+    fromBoard(board, turn) {
+        let player = 0n;
+        let opponent = 0n;
+        for (let r = 0; r < this.size; r++) {
+            for (let c = 0; c < this.size; c++) {
+                const cell = board[r][c];
+                if (cell === turn) player |= this.bit[r * this.size + c];
+                else if (cell === -turn) opponent |= this.bit[r * this.size + c];
+            }
+        }
+        return { player, opponent };
+    }
+
+    /**
+     * ビットボードを2次元配列の盤面に戻す
+     * @param {bigint} player - 手番側の石
+     * @param {bigint} opponent - 相手の石
+     * @param {number} turn - player の色 (1 or -1)
+     * @returns {number[][]} 盤面
+     */
+    toBoard(player, opponent, turn) {
+        const board = [];
+        for (let r = 0; r < this.size; r++) {
+            const row = [];
+            for (let c = 0; c < this.size; c++) {
+                const bit = this.bit[r * this.size + c];
+                if (player & bit) row.push(turn);
+                else if (opponent & bit) row.push(-turn);
+                else row.push(0);
+            }
+            board.push(row);
+        }
+        return board;
+    }
+
+    /**
+     * 座標をマス番号に変換
+     */
+    toIndex(r, c) {
+        return r * this.size + c;
+    }
+
+    /**
+     * ビットボードに含まれるマス番号の一覧（昇順）
+     * @param {bigint} bits
+     * @returns {number[]}
+     */
+    static toSquareList(bits) {
+        const squares = [];
+        let base = 0;
+        while (bits > 0n) {
+            let word = Number(bits & 0xffffffffn);
+            while (word !== 0) {
+                const low = word & -word;
+                squares.push(base + 31 - Math.clz32(low));
+                word ^= low;
+            }
+            bits >>= 32n;
+            base += 32;
+        }
+        return squares;
+    }
+
+    /**
+     * ビットボードに含まれるマスを {r, c} の一覧で返す
+     * @param {bigint} bits
+     * @returns {{r: number, c: number}[]}
+     */
+    toMoveList(bits) {
+        return Bitboard.toSquareList(bits).map(idx => ({
+            r: Math.floor(idx / this.size),
+            c: idx % this.size
+        }));
+    }
+
+    // ========== ビット演算 ==========
+
+    /**
+     * 立っているビット数
+     * @param {bigint} bits
+     * @returns {number}
+     */
+    static popcount(bits) {
+        let count = 0;
+        while (bits) {
+            count += Bitboard.popcount32(Number(BigInt.asUintN(32, bits)));
+            bits >>= 32n;
+        }
+        return count;
+    }
+
+    /**
+     * 32bitごとの数値配列に分解する（下位ワードから順）
+     * ビットボードを何度も数える処理は、数値に落としてから行うほうが速い
+     * @param {bigint} bits
+     * @returns {number[]}
+     */
+    toWords(bits) {
+        const words = [];
+        for (let i = 0; i < this.words; i++) {
+            words.push(Number(BigInt.asUintN(32, bits)));
+            bits >>= 32n;
+        }
+        return words;
+    }
+
+    /**
+     * 32bit整数の立っているビット数
+     */
+    static popcount32(v) {
+        v = v - ((v >>> 1) & 0x55555555);
+        v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+        return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+    }
+
+    // ========== ルール ==========
+
+    /**
+     * 合法手の生成
+     * @param {bigint} player - 手番側の石
+     * @param {bigint} opponent - 相手の石
+     * @returns {bigint} 着手可能なマス
+     */
+    getMoves(player, opponent) {
+        const empty = ~(player | opponent) & this.full;
+        // 横・斜め方向は相手の石を内側の列に絞ることで列の折り返しを防ぐ
+        const inner = opponent & this.innerCols;
+        const [horizontal, diagonal1, vertical, diagonal2] = this.shifts;
+        const moves =
+            this._movesAlong(player, inner, horizontal) |
+            this._movesAlong(player, inner, diagonal1) |
+            this._movesAlong(player, opponent, vertical) |
+            this._movesAlong(player, inner, diagonal2);
+        return moves & empty;
+    }
+
+    /**
+     * 1つの軸（<< と >> の2方向）について、相手の石の連続の先にあるマスを求める
+     * 連続を倍々に伸ばす (Kogge-Stone) ことで、8x8 なら最大6個の連続を4ステップで調べる
+     */
+    _movesAlong(player, o, shift) {
+        const shift2 = shift + shift;
+        let run, pair;
+
+        run = o & (player << shift);
+        run |= o & (run << shift);
+        pair = o & (o << shift);
+        for (let i = 0; i < this.pairSteps; i++) run |= pair & (run << shift2);
+        const forward = run << shift;
+
+        run = o & (player >> shift);
+        run |= o & (run >> shift);
+        pair = o & (o >> shift);
+        for (let i = 0; i < this.pairSteps; i++) run |= pair & (run >> shift2);
+        return forward | (run >> shift);
+    }
+
+    /**
+     * 指定マスに打ったときに裏返る石
+     * @param {bigint} player - 手番側の石
+     * @param {bigint} opponent - 相手の石
+     * @param {number} idx - 着手するマス番号
+     * @returns {bigint} 裏返る石（置けない場合は 0n）
+     */
+    getFlips(player, opponent, idx) {
+        const move = this.bit[idx];
+        if ((player | opponent) & move) return 0n;
+
+        const inner = opponent & this.innerCols;
+        const [horizontal, diagonal1, vertical, diagonal2] = this.shifts;
+        return this._flipsAlong(player, inner, move, horizontal) |
+            this._flipsAlong(player, inner, move, diagonal1) |
+            this._flipsAlong(player, opponent, move, vertical) |
+            this._flipsAlong(player, inner, move, diagonal2);
+    }
+
+    /**
+     * 1つの軸（<< と >> の2方向）について裏返る石を求める
+     */
+    _flipsAlong(player, o, move, shift) {
+        let flips = 0n;
+        let line = 0n;
+        let cur = move << shift;
+        while (cur & o) {
+            line |= cur;
+            cur <<= shift;
+        }
+        if (cur & player) flips = line;
+
+        line = 0n;
+        cur = move >> shift;
+        while (cur & o) {
+            line |= cur;
+            cur >>= shift;
+        }
+        if (cur & player) flips |= line;
+        return flips;
+    }
+
+    /**
+     * 確定石（この先どう打たれても裏返らない石）
+     * 4つの方向それぞれで「線が全て埋まっている」「隣が盤の外」「隣が自分の確定石」の
+     * どれかを満たす石を確定石とし、確定石が増えなくなるまで繰り返す
+     * @param {bigint} player - 確定石を求める側の石
+     * @param {bigint} opponent - 相手の石
+     * @returns {bigint} player の確定石
+     */
+    getStable(player, opponent) {
+        const occupied = player | opponent;
+
+        // 方向ごとに、その方向では裏返らないマス
+        const fixed = this.lines.map((lines, axis) => {
+            let mask = this.edges[axis];
+            for (const line of lines) {
+                if ((occupied & line) === line) mask |= line;
+            }
+            return mask;
+        });
+
+        let stable = 0n;
+        for (;;) {
+            let next = player;
+            for (let axis = 0; axis < 4; axis++) {
+                const shift = this.shifts[axis];
+                const [leftMask, rightMask] = this.adjacentMasks[axis];
+                const adjacent = ((stable << shift) & leftMask) | ((stable >> shift) & rightMask);
+                next &= fixed[axis] | adjacent;
+            }
+            if (next === stable) return stable;
+            stable = next;
+        }
+    }
+
+    /**
+     * 8近傍のマス（フロンティア判定用）
+     * @param {bigint} bits
+     * @returns {bigint}
+     */
+    neighbours(bits) {
+        // 端の列の石は盤の内側にだけ広げる（列の折り返し防止）
+        const toRight = bits & this.notLastCol;
+        const toLeft = bits & this.notFirstCol;
+        const [horizontal, diagonal1, vertical, diagonal2] = this.shifts;
+        const result = (bits << vertical) | (bits >> vertical) |
+            (toRight << horizontal) | (toRight << diagonal2) | (toRight >> diagonal1) |
+            (toLeft >> horizontal) | (toLeft >> diagonal2) | (toLeft << diagonal1);
+        return result & this.full;
+    }
+}
@@ -1,14 +1,38 @@
 /**
  * Reversi: Character Duel - Game Core
  * リバーシの基本ルール、盤面管理を行うクラス
+ * 合法手・反転の計算は Bitboard に委譲し、ここでは2次元配列との変換を担う
  */
 class GameCore {
-  constructor() {
-    this.rows = 8;
-    this.cols = 8;
+  // 初期配置 (中央 2x2 の並び。上段・下段の順)
+  static OPENINGS = {
+    standard: [[-1, 1], [1, -1]], // 標準 (斜め配置)
+    parallel: [[-1, 1], [-1, 1]]  // 平行配置
+  };
+
+  // 置き石を置く角の順 (a1, 右下, 右上, 左下)
+  static HANDICAP_ORDER = ['topLeft', 'bottomRight', 'topRight', 'bottomLeft'];
+
+  // ルールのバリエーション。キャラクターの variants に書いた ID のものだけ選べる
+  //   anti: 石が少ないほうが勝ち / handicap: 置き石 / parallel: 平行配置から開始
+  static VARIANTS = ['anti', 'handicap', 'parallel'];
+
+  // size: 盤面の一辺 (Bitboard.SIZES のいずれか。既定は 8)
+  // rules: ルール設定 (GameCore.normalizeRules を参照)
+  constructor(size = 8, rules = {}) {
+    this.rows = size;
+    this.cols = size;
     this.board = []; // 2D array: 0=Empty, 1=Black, -1=White
     this.turn = 1;   // 1: Black, -1: White
     this.gameEnded = false;
+    this.rules = GameCore.normalizeRules(rules);
+
+    // 棋譜: { type: 'move', turn, r, c, flips: [{r, c}] } または { type: 'pass', turn }
+    // ply より後ろのエントリは undo で戻した手 (redo 用)
+    this.history = [];
+    this.ply = 0;
+    this.startBoard = null; // 棋譜の開始局面 (棋譜の書き出し・再生用)
+    this.startTurn = 1;
     this.reset();
   }
 
@@ -20,8 +44,8 @@ class GameCore {
   }
 
   // 範囲チェック
-  static isValidBounds(r, c) {
-    return r >= 0 && r < 8 && c >= 0 && c < 8;
+  static isValidBounds(r, c, size = 8) {
+    return r >= 0 && r < size && c >= 0 && c < size;
   }
 
   // 特定の方向に対して挟めるかチェック
@@ -31,14 +55,14 @@ class GameCore {
     let hasOpponent = false;
 
     // 盤面内かつ、相手の石(-turn)である間進む
-    while (GameCore.isValidBounds(nr, nc) && board[nr][nc] === -turn) {
+    while (GameCore.isValidBounds(nr, nc, board.length) && board[nr][nc] === -turn) {
       hasOpponent = true;
       nr += dr;
       nc += dc;
     }
 
     // 相手の石を挟んだ先に、自分の石(turn)があれば成功
-    if (hasOpponent && GameCore.isValidBounds(nr, nc) && board[nr][nc] === turn) {
+    if (hasOpponent && GameCore.isValidBounds(nr, nc, board.length) && board[nr][nc] === turn) {
       return true;
     }
     return false;
@@ -46,75 +70,207 @@ class GameCore {
 
   // その場所に置けるか判定
   static canPlace(board, r, c, turn) {
-    if (board[r][c] !== 0) return false;
+    if (!GameCore.isValidBounds(r, c, board.length) || board[r][c] !== 0) return false;
 
-    const directions = [
-      [-1, -1], [-1, 0], [-1, 1],
-      [0, -1], [0, 1],
-      [1, -1], [1, 0], [1, 1]
-    ];
-
-    for (const [dr, dc] of directions) {
-      if (GameCore.checkDirection(board, r, c, dr, dc, turn)) {
-        return true;
-      }
-    }
-    return false;
+    const bb = Bitboard.of(board.length);
+    const { player, opponent } = bb.fromBoard(board, turn);
+    return bb.getFlips(player, opponent, bb.toIndex(r, c)) !== 0n;
   }
 
   // 合法手の取得
   static getValidMoves(board, turn) {
-    const moves = [];
-    for (let r = 0; r < 8; r++) {
-      for (let c = 0; c < 8; c++) {
-        if (GameCore.canPlace(board, r, c, turn)) {
-          moves.push({ r, c });
-        }
-      }
-    }
-    return moves;
+    const bb = Bitboard.of(board.length);
+    const { player, opponent } = bb.fromBoard(board, turn);
+    return bb.toMoveList(bb.getMoves(player, opponent));
   }
 
   // 仮想的な着手 (新しい盤面を返す) - AI探索用
   static simulateMove(board, r, c, turn) {
-    if (!GameCore.canPlace(board, r, c, turn)) return null;
-
-    const newBoard = GameCore.cloneBoard(board);
-    newBoard[r][c] = turn;
-
-    const directions = [
-      [-1, -1], [-1, 0], [-1, 1],
-      [0, -1], [0, 1],
-      [1, -1], [1, 0], [1, 1]
-    ];
-
-    for (const [dr, dc] of directions) {
-      if (GameCore.checkDirection(board, r, c, dr, dc, turn)) {
-        let nr = r + dr;
-        let nc = c + dc;
-        while (newBoard[nr][nc] === -turn) {
-          newBoard[nr][nc] = turn; // 反転
-          nr += dr;
-          nc += dc;
+    if (!GameCore.isValidBounds(r, c, board.length) || board[r][c] !== 0) return null;
+
+    const bb = Bitboard.of(board.length);
+    const { player, opponent } = bb.fromBoard(board, turn);
+    const idx = bb.toIndex(r, c);
+    const flips = bb.getFlips(player, opponent, idx);
+    if (flips === 0n) return null;
+
+    return bb.toBoard(player | flips | bb.bit[idx], opponent ^ flips, turn);
+  }
+
+  // --- Position String ---
+  // 盤面 64 文字 + 手番: "---------------------------OX------XO--------------------------- X"
+  //   X (または *) = 黒, O = 白, - (または .) = 空き。手番は X / O
+  //   6x6 なら 36 文字、10x10 なら 100 文字 (マス数から盤面サイズを判定する)
+  //   読み込み時は行の区切りとして空白と "/" を使える (区切る場合は各行ちょうど一辺のマス数)
+
+  // 盤面と手番を局面文字列に変換
+  static serializePosition(board, turn) {
+    const squares = board.map(row => row.map(cell => cell === 1 ? 'X' : cell === -1 ? 'O' : '-').join('')).join('');
+    return `${squares} ${turn === 1 ? 'X' : 'O'}`;
+  }
+
+  // 局面文字列を解析して検証する。不正な局面なら Error を投げる
+  static parsePosition(text) {
+    const parts = text.trim().split(/[\s/]+/);
+    if (parts.length < 2) {
+      throw new Error('局面文字列には盤面と手番 (X / O) が必要です');
+    }
+
+    const side = parts.pop().toUpperCase();
+    if (side !== 'X' && side !== '*' && side !== 'O') {
+      throw new Error(`手番は X か O で指定してください: "${side}"`);
+    }
+    const turn = side === 'O' ? -1 : 1;
+
+    // 行ごとに区切られている場合は行数が一辺。1行の過不足 (石の欠け・ずれ) をその行で検出する
+    if (parts.length > 1 && Bitboard.SIZES.includes(parts.length)) {
+      parts.forEach((row, i) => {
+        if (row.length !== parts.length) {
+          throw new Error(`${i + 1}行目のマス数が ${row.length} です (${parts.length} マス必要)`);
         }
+      });
+    }
+
+    const squares = parts.join('');
+    const size = Bitboard.SIZES.find(n => n * n === squares.length);
+    if (!size) {
+      const expected = Bitboard.SIZES.map(n => n * n).join(' / ');
+      throw new Error(`マス数が ${squares.length} です (${expected} マスのいずれか)`);
+    }
+
+    const board = [];
+    for (let r = 0; r < size; r++) {
+      const row = [];
+      for (let c = 0; c < size; c++) {
+        const ch = squares[r * size + c].toUpperCase();
+        if (ch === 'X' || ch === '*') row.push(1);
+        else if (ch === 'O') row.push(-1);
+        else if (ch === '-' || ch === '.') row.push(0);
+        else throw new Error(`不正な文字 "${ch}" があります (${r + 1}行${c + 1}列)`);
+      }
+      board.push(row);
+    }
+
+    GameCore.validatePosition(board, turn);
+    return { board, turn };
+  }
+
+  // 実際の対局で現れうる局面か検証する。不正なら Error を投げる
+  static validatePosition(board, turn) {
+    const size = board.length;
+    const mid = size / 2;
+
+    // 初期配置の中央4マスは一度置かれたら空きにならない
+    for (const [r, c] of [[mid - 1, mid - 1], [mid - 1, mid], [mid, mid - 1], [mid, mid]]) {
+      if (board[r][c] === 0) {
+        throw new Error('中央の4マスに石がありません');
       }
     }
-    return newBoard;
+
+    // 手番側が打てず相手が打てるなら、手番はパスで相手に移っているはず
+    const hasMove = GameCore.getValidMoves(board, turn).length > 0;
+    if (!hasMove && GameCore.getValidMoves(board, -turn).length > 0) {
+      throw new Error(`手番 (${turn === 1 ? '黒' : '白'}) に置ける場所がありません (相手の手番の局面です)`);
+    }
+  }
+
+  // --- Rules ---
+
+  // ルール設定を既定値で補う
+  //   anti: true なら石が少ないほうが勝ち (アンチリバーシ)
+  //   opening: 'standard' / 'parallel' / 局面文字列 (任意の開始局面)
+  //   handicap: { color, count } color 側に角の置き石を count 個 (0-4)
+  static normalizeRules(rules = {}) {
+    const handicap = rules.handicap || {};
+    return {
+      anti: !!rules.anti,
+      opening: rules.opening || 'standard',
+      handicap: {
+        color: handicap.color === -1 ? -1 : 1,
+        count: Math.max(0, Math.min(GameCore.HANDICAP_ORDER.length, handicap.count || 0))
+      }
+    };
+  }
+
+  // ルールに従って開始局面を作る
+  static createStartPosition(size, rules) {
+    const { opening, handicap } = GameCore.normalizeRules(rules);
+
+    let board;
+    let turn = 1;
+    if (GameCore.OPENINGS[opening]) {
+      if (!Bitboard.SIZES.includes(size)) {
+        throw new Error(`対応していない盤面サイズです: ${size}`);
+      }
+      board = Array.from({ length: size }, () => Array(size).fill(0));
+      const mid = size / 2;
+      GameCore.OPENINGS[opening].forEach((row, dr) => {
+        row.forEach((cell, dc) => {
+          board[mid - 1 + dr][mid - 1 + dc] = cell;
+        });
+      });
+    } else {
+      // 局面文字列で指定された開始局面 (盤面サイズも局面文字列に従う)
+      ({ board, turn } = GameCore.parsePosition(opening));
+    }
+
+    const last = board.length - 1;
+    const corners = { topLeft: [0, 0], bottomRight: [last, last], topRight: [0, last], bottomLeft: [last, 0] };
+    GameCore.HANDICAP_ORDER.slice(0, handicap.count).forEach(corner => {
+      const [r, c] = corners[corner];
+      board[r][c] = handicap.color;
+    });
+
+    return { board, turn };
+  }
+
+  // 終局時の勝者 (1: 黒, -1: 白, 0: 引き分け)。アンチでは石の少ないほうが勝ち
+  static getWinner(black, white, rules) {
+    if (black === white) return 0;
+    const moreDiscs = black > white ? 1 : -1;
+    return rules && rules.anti ? -moreDiscs : moreDiscs;
   }
 
   // --- Instance Methods ---
 
-  reset() {
-    this.board = Array.from({ length: this.rows }, () => Array(this.cols).fill(0));
+  // size を渡すと盤面サイズを、rules を渡すとルールを変えて始め直す
+  reset(size = this.rows, rules = this.rules) {
+    this.rules = GameCore.normalizeRules(rules);
+    const { board, turn } = GameCore.createStartPosition(size, this.rules);
 
-    const mid = this.rows / 2;
-    this.board[mid - 1][mid - 1] = -1;
-    this.board[mid][mid] = -1;
-    this.board[mid - 1][mid] = 1;
-    this.board[mid][mid - 1] = 1;
+    this.rows = board.length;
+    this.cols = board.length;
+    this.board = board;
+    this.turn = turn;
+    this.gameEnded = false;
+    this.history = [];
+    this.ply = 0;
+    this.startBoard = GameCore.cloneBoard(this.board);
+    this.startTurn = turn;
+  }
 
-    this.turn = 1;
+  // 任意の盤面から始め直す (デバッグ盤面の読み込みなど)。棋譜は破棄される
+  loadBoard(board, turn) {
+    this.rows = board.length;
+    this.cols = board.length;
+    this.board = GameCore.cloneBoard(board);
+    this.turn = turn;
     this.gameEnded = false;
+    this.history = [];
+    this.ply = 0;
+    this.startBoard = GameCore.cloneBoard(board);
+    this.startTurn = turn;
+  }
+
+  // 局面文字列から始め直す (棋譜は破棄される)
+  setPosition(text) {
+    const { board, turn } = GameCore.parsePosition(text);
+    this.loadBoard(board, turn);
+  }
+
+  // 現在の局面を局面文字列で取得
+  getPosition() {
+    return GameCore.serializePosition(this.board, this.turn);
   }
 
   getValidMoves(turn) {
@@ -129,40 +285,122 @@ class GameCore {
     return GameCore.checkDirection(this.board, r, c, dr, dc, turn);
   }
 
-  // 着手処理（石を置き、裏返す）
-  // 成功すれば true, 失敗(置けない)なら false
+  // 着手処理（石を置き、裏返し、棋譜に記録して手番を相手に渡す）
+  // 成功すれば true, 失敗(盤外・置けない)なら false
   makeMove(r, c, turn) {
-    if (!this.canPlace(r, c, turn)) return false;
-
-    // 内部状態を更新するためのロジック (simulateMoveとほぼ同じだが this.board を操作)
-    this.board[r][c] = turn;
-
-    // 裏返す処理
-    const directions = [
-      [-1, -1], [-1, 0], [-1, 1],
-      [0, -1], [0, 1],
-      [1, -1], [1, 0], [1, 1]
-    ];
-
-    for (const [dr, dc] of directions) {
-      if (this.checkDirection(r, c, dr, dc, turn)) {
-        let nr = r + dr;
-        let nc = c + dc;
-        while (this.board[nr][nc] === -turn) {
-          this.board[nr][nc] = turn;
-          nr += dr;
-          nc += dc;
-        }
-      }
-    }
+    if (!this.isValidBounds(r, c) || this.board[r][c] !== 0) return false;
+
+    const bb = Bitboard.of(this.rows);
+    const { player, opponent } = bb.fromBoard(this.board, turn);
+    const flips = bb.getFlips(player, opponent, bb.toIndex(r, c));
+    if (flips === 0n) return false;
+
+    this._record({ type: 'move', turn, r, c, flips: bb.toMoveList(flips) });
     return true;
   }
 
-  // ターン交代
+  // パス（置ける場所がない場合のみ）。棋譜に記録して手番を相手に渡す
+  pass() {
+    if (this.hasValidMove(this.turn)) return false;
+
+    this._record({ type: 'pass', turn: this.turn });
+    return true;
+  }
+
+  // ターン交代 (棋譜には残らない。通常は makeMove / pass を使う)
   switchTurn() {
     this.turn *= -1;
   }
 
+  // --- History (undo / redo / replay) ---
+
+  // 新しい手を棋譜に追加して盤面に反映 (undo 済みの手は破棄される)
+  _record(entry) {
+    this.history.length = this.ply;
+    this.history.push(entry);
+    this._apply(entry);
+    this.ply++;
+  }
+
+  // 棋譜の1手を盤面に反映 (this.board は参照を保ったまま書き換える)
+  _apply(entry) {
+    if (entry.type === 'move') {
+      this.board[entry.r][entry.c] = entry.turn;
+      for (const pos of entry.flips) {
+        this.board[pos.r][pos.c] = entry.turn;
+      }
+    }
+    this.turn = -entry.turn;
+  }
+
+  // 棋譜の1手を盤面から取り消す
+  _revert(entry) {
+    if (entry.type === 'move') {
+      this.board[entry.r][entry.c] = 0;
+      for (const pos of entry.flips) {
+        this.board[pos.r][pos.c] = -entry.turn;
+      }
+    }
+    this.turn = entry.turn;
+    this.gameEnded = false;
+  }
+
+  canUndo() {
+    return this.ply > 0;
+  }
+
+  canRedo() {
+    return this.ply < this.history.length;
+  }
+
+  // 1手戻す (パスも1手として数える)
+  undo() {
+    if (!this.canUndo()) return false;
+    this.ply--;
+    this._revert(this.history[this.ply]);
+    return true;
+  }
+
+  // 戻した手を1手進める
+  redo() {
+    if (!this.canRedo()) return false;
+    this._apply(this.history[this.ply]);
+    this.ply++;
+    return true;
+  }
+
+  // 指定の手数 (0 = 開始局面) の局面に移動する
+  goToPly(n) {
+    if (n < 0 || n > this.history.length) return false;
+    while (this.ply > n) this.undo();
+    while (this.ply < n) this.redo();
+    return true;
+  }
+
+  // 手の並びを現在の局面から順に打つ (棋譜の読み込み用)
+  // moves: [{r, c, turn?}] または [{pass: true}]。パスが省略されていれば自動で補う
+  // 置けない手があれば Error を投げる (それまでの手は打たれたまま)
+  playSequence(moves) {
+    moves.forEach((move, i) => {
+      if (move.pass) {
+        if (!this.pass()) throw new Error(`${i + 1}手目: 置ける場所があるのでパスできません`);
+        return;
+      }
+      if (!this.hasValidMove(this.turn)) this.pass();
+      if (move.turn !== undefined && move.turn !== this.turn) {
+        throw new Error(`${i + 1}手目: 手番が棋譜と一致しません`);
+      }
+      if (!this.makeMove(move.r, move.c, this.turn)) {
+        throw new Error(`${i + 1}手目: (${move.r}, ${move.c}) には置けません`);
+      }
+    });
+  }
+
+  // 現在の局面までの棋譜 (コピー)
+  getMoveHistory() {
+    return this.history.slice(0, this.ply).map(entry => ({ ...entry }));
+  }
+
   // パス判定 (現在の手番が置ける場所がない)
   hasValidMove(turn) {
     return this.getValidMoves(turn).length > 0;
@@ -192,12 +430,13 @@ class GameCore {
       isGameOver: this.gameEnded,
       black,
       white,
+      winner: this.gameEnded ? GameCore.getWinner(black, white, this.rules) : null,
       currentTurnHasMove: (this.turn === 1) ? p1Moves : p2Moves
     };
   }
 
   // 座標が盤面内か
   isValidBounds(r, c) {
-    return GameCore.isValidBounds(r, c);
+    return GameCore.isValidBounds(r, c, this.rows);
   }
 }
\ No newline at end of file
@@ -0,0 +1,216 @@
+/**
+ * Reversi: Character Duel - Game Record
+ * 棋譜の書き出し・読み込み（オセロ標準の棋譜文字列 "f5d6c3..." と GGF 形式）
+ *
+ * 座標は列 a-h、行 1-8（a1 = 左上。10x10 盤では a-j、1-10）。パスは棋譜文字列には書かず、GGF では PA と書く。
+ * アンチリバーシは GGF の TY に "a" を付けて表す（例: TY[8a]）。置き石・初期配置は BO に残る。
+ */
+class GameRecord {
+
+    // ========== 座標 ==========
+
+    /**
+     * {r, c} を "f5" 形式に変換
+     */
+    static toCoord(move) {
+        return String.fromCharCode(97 + move.c) + (move.r + 1);
+    }
+
+    /**
+     * "f5" 形式を {r, c} に変換（大文字も可）
+     * @returns {{r: number, c: number}|null} 不正な座標なら null
+     */
+    static fromCoord(coord) {
+        const m = /^([a-z])(\d{1,2})$/i.exec(coord.trim());
+        if (!m) return null;
+        return { r: parseInt(m[2], 10) - 1, c: m[1].toLowerCase().charCodeAt(0) - 97 };
+    }
+
+    // ========== 棋譜文字列 ==========
+
+    /**
+     * 現在の局面までの棋譜文字列（パスは省略）
+     * @param {GameCore} game
+     * @returns {string} 例: "f5d6c3d3c4"
+     */
+    static toTranscript(game) {
+        return game.getMoveHistory()
+            .filter(entry => entry.type === 'move')
+            .map(entry => GameRecord.toCoord(entry))
+            .join('');
+    }
+
+    /**
+     * 棋譜文字列を手の一覧に分解する（区切りの空白・記号は無視）
+     * @returns {{r: number, c: number}[]}
+     */
+    static parseTranscript(text) {
+        const compact = text.replace(/[\s,.\-]/g, '');
+        const tokens = compact.match(/[a-z]\d{1,2}/gi) || [];
+        if (tokens.join('').length !== compact.length) {
+            throw new Error(`棋譜の形式が正しくありません: ${text}`);
+        }
+        return tokens.map(token => GameRecord.fromCoord(token));
+    }
+
+    // ========== GGF ==========
+
+    /**
+     * GGF 形式で書き出す
+     * @param {GameCore} game
+     * @param {Object} [meta] - { black, white, place, date }（black / white は対局者名）
+     * @returns {string}
+     */
+    static toGGF(game, meta = {}) {
+        const size = game.rows;
+        const props = [
+            'GM[Othello]',
+            `PC[${GameRecord._escape(meta.place || 'Reversi: Character Duel')}]`,
+            `DT[${meta.date || new Date().toISOString()}]`,
+            `PB[${GameRecord._escape(meta.black || 'Black')}]`,
+            `PW[${GameRecord._escape(meta.white || 'White')}]`,
+            `RE[${GameRecord._formatResult(game)}]`,
+            `TY[${size}${game.rules.anti ? 'a' : ''}]`,
+            `BO[${size} ${GameRecord._formatBoard(game.startBoard, game.startTurn)}]`
+        ];
+
+        const moves = game.getMoveHistory().map(entry => {
+            const color = entry.turn === 1 ? 'B' : 'W';
+            const coord = entry.type === 'pass' ? 'PA' : GameRecord.toCoord(entry).toUpperCase();
+            return `${color}[${coord}]`;
+        });
+
+        return `(;${props.join('')}${moves.join('')};)`;
+    }
+
+    /**
+     * GGF を解析する
+     * @returns {{size: number, anti: boolean, board: number[][], turn: number,
+     *            moves: ({r: number, c: number}|{pass: true})[], black: string, white: string, result: string}}
+     */
+    static parseGGF(text) {
+        const body = /\(;([\s\S]*?);\)/.exec(text);
+        if (!body) throw new Error('GGF の形式が正しくありません');
+
+        const props = [];
+        const re = /([A-Z]+)\[((?:\\.|[^\]\\])*)\]/g;
+        let m;
+        while ((m = re.exec(body[1])) !== null) {
+            props.push({ key: m[1], value: m[2] });
+        }
+
+        const get = key => {
+            const prop = props.find(p => p.key === key);
+            return prop ? GameRecord._unescape(prop.value) : '';
+        };
+
+        if (get('GM') && get('GM').toLowerCase() !== 'othello') {
+            throw new Error(`オセロ以外の棋譜です: ${get('GM')}`);
+        }
+
+        const start = get('BO')
+            ? GameRecord._parseBoard(get('BO'))
+            : null;
+        // TY は "8" や "8a" のように盤面サイズの後ろに種別が付く
+        const type = /^(\d*)([a-z]*)$/i.exec(get('TY').trim()) || ['', '', ''];
+        const size = start ? start.board.length : parseInt(type[1], 10) || 8;
+
+        const moves = props
+            .filter(p => p.key === 'B' || p.key === 'W')
+            .map(p => {
+                // "F5//1.23" のように評価値・時間が付くことがある
+                const coord = p.value.split('/')[0].trim();
+                if (coord.toUpperCase() === 'PA') return { pass: true, turn: p.key === 'B' ? 1 : -1 };
+                const move = GameRecord.fromCoord(coord);
+                if (!move) throw new Error(`GGF の着手が読めません: ${p.value}`);
+                return { ...move, turn: p.key === 'B' ? 1 : -1 };
+            });
+
+        return {
+            size,
+            anti: type[2].toLowerCase().includes('a'),
+            board: start ? start.board : null,
+            turn: start ? start.turn : 1,
+            moves,
+            black: get('PB'),
+            white: get('PW'),
+            result: get('RE')
+        };
+    }
+
+    // ========== 読み込み ==========
+
+    /**
+     * 棋譜文字列または GGF を GameCore に読み込む（自動判別）
+     * 読み込み後の局面は棋譜の最終局面。undo で途中に戻れる
+     * 棋譜文字列は game の現在の盤面サイズ・ルールで、GGF は BO / TY の盤面とルールで再生する
+     * @param {GameCore} game
+     * @param {string} text
+     * @returns {{black: string, white: string, result: string}|null} GGF のときは対局情報
+     */
+    static load(game, text) {
+        if (text.trim().startsWith('(;')) {
+            const record = GameRecord.parseGGF(text);
+            if (record.board) {
+                game.rules = GameCore.normalizeRules({ anti: record.anti });
+                game.loadBoard(record.board, record.turn);
+            } else {
+                game.reset(record.size, { anti: record.anti });
+            }
+            game.playSequence(record.moves);
+            return { black: record.black, white: record.white, result: record.result };
+        }
+
+        game.reset();
+        game.playSequence(GameRecord.parseTranscript(text));
+        return null;
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * 結果（黒から見た石差）。決着がついていなければ "?"
+     */
+    static _formatResult(game) {
+        const status = game.checkGameState();
+        if (!status.isGameOver) return '?';
+        const diff = status.black - status.white;
+        return (diff > 0 ? '+' : '') + diff.toFixed(3);
+    }
+
+    /**
+     * 盤面を GGF の BO 形式に（- 空き, * 黒, O 白, 最後に手番）
+     */
+    static _formatBoard(board, turn) {
+        const rows = board.map(row => row.map(cell => cell === 1 ? '*' : cell === -1 ? 'O' : '-').join(''));
+        return `${rows.join(' ')} ${turn === 1 ? '*' : 'O'}`;
+    }
+
+    /**
+     * GGF の BO を盤面に
+     */
+    static _parseBoard(value) {
+        const tokens = value.trim().split(/\s+/);
+        const size = parseInt(tokens.shift(), 10);
+        const side = tokens.pop();
+        const cells = tokens.join('');
+
+        if (!size || cells.length !== size * size || !/^[-*O]+$/i.test(cells) || !/^[*O]$/i.test(side)) {
+            throw new Error(`GGF の盤面 (BO) が正しくありません: ${value}`);
+        }
+
+        const board = [];
+        for (let r = 0; r < size; r++) {
+            board.push([...cells.slice(r * size, (r + 1) * size)].map(ch => ch === '*' ? 1 : ch === '-' ? 0 : -1));
+        }
+        return { board, turn: side === '*' ? 1 : -1 };
+    }
+
+    static _escape(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/\]/g, '\\]');
+    }
+
+    static _unescape(text) {
+        return text.replace(/\\(.)/g, '$1');
+    }
+}
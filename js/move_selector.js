@@ -0,0 +1,74 @@
+/**
+ * Reversi: Character Duel - Move Selector
+ * 読み終えたルートの手から、キャラクターの強さに合わせて打つ手を選ぶ
+ *
+ * キャラクター設定（旧フォーマットは最上位、新フォーマットは ai の中）:
+ *   temperature : 評価値の差に応じたソフトマックスの温度（評価値の単位。0 なら常に最善手）
+ *                 最善手より temperature 分悪い手は、最善手の 1/e の確率で選ばれる
+ *   maxLoss     : 最善手からの評価値の損をここまでに抑える（省略時は制限なし）
+ *   blunderRate : 悪手を打つ確率（{ opening, midgame, endgame } でフェーズごと、または数値で全フェーズ共通）
+ *                 悪手は最善手以外から評価値に関係なく選ぶ（temperature・maxLoss は無視する）
+ *   randomness  : 上位何手の中から一様に選ぶか（旧来の設定。temperature があればそちらを使う）
+ * 評価値の大きさはキャラクターの評価の重みで変わる（終盤読み切りでは石1個 = 1000、勝敗だけの読み切りでは勝ち 1000・負け -1000）。
+ *
+ * エンジン（Worker）と並列探索の統合（メインスレッド）の両方から使う
+ */
+class MoveSelector {
+
+    /**
+     * 打つ手を選ぶ
+     * @param {{r: number, c: number, score: number}[]} moves - 評価値の高い順に並べたルートの手
+     * @param {Object} settings - temperature・maxLoss・blunderRate・randomness を持つ設定
+     * @param {string} phase - ルート局面のフェーズ（blunderRate を引く）
+     * @param {function(): number} [random] - 0 以上 1 未満の乱数
+     * @returns {{index: number, blunder: boolean}|null} moves の添字と悪手を選んだか（moves が空なら null）
+     */
+    static select(moves, settings, phase, random = Math.random) {
+        if (moves.length === 0) return null;
+
+        if (moves.length > 1 && random() < MoveSelector.blunderRate(settings, phase)) {
+            return { index: 1 + Math.floor(random() * (moves.length - 1)), blunder: true };
+        }
+
+        // 損の上限に収まる手だけを候補にする（最善手は必ず残る）
+        const best = moves[0].score;
+        const maxLoss = settings.maxLoss !== undefined && settings.maxLoss !== null ? settings.maxLoss : Infinity;
+        let count = 1;
+        while (count < moves.length && best - moves[count].score <= maxLoss) count++;
+
+        const temperature = settings.temperature || 0;
+        if (temperature > 0) {
+            const weights = moves.slice(0, count).map(move => Math.exp((move.score - best) / temperature));
+            let x = random() * weights.reduce((sum, w) => sum + w, 0);
+            for (let i = 0; i < count; i++) {
+                x -= weights[i];
+                if (x < 0) return { index: i, blunder: false };
+            }
+            return { index: count - 1, blunder: false };
+        }
+
+        const topN = Math.min(settings.randomness || 0, count - 1);
+        return { index: Math.floor(random() * (topN + 1)), blunder: false };
+    }
+
+    /**
+     * ルートの全ての手の正確な評価値が要る設定か（最善手以外も評価値で選ぶ）
+     * @param {Object} settings
+     * @returns {boolean}
+     */
+    static needsScores(settings) {
+        return (settings.temperature || 0) > 0 || (settings.randomness || 0) > 0;
+    }
+
+    /**
+     * フェーズの悪手率
+     * @param {Object} settings
+     * @param {string} phase
+     * @returns {number}
+     */
+    static blunderRate(settings, phase) {
+        const rate = settings.blunderRate;
+        if (!rate) return 0;
+        return typeof rate === 'number' ? rate : rate[phase] || 0;
+    }
+}
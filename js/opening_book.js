@@ -0,0 +1,251 @@
+/**
+ * Reversi: Character Duel - Opening Book
+ * 定跡（序盤の決まった手順）の読み込みと検索
+ *
+ * 定跡は data/books/<name>.json から読み込む。ファイルの形式:
+ * {
+ *   "size": 8,
+ *   "lines": [{ "id": "tiger", "name": "虎", "moves": "f5d6c3d3c4", "weight": 3 }, ...]
+ * }
+ * moves は通常の初期配置からの棋譜文字列、weight はその定跡の選ばれやすさ（省略時 1）。
+ * 局面は盤の回転・反転（8通り）をそろえて引くので、f5 以外の初手から入っても同じ定跡になる。
+ *
+ * キャラクター設定の book（旧フォーマットは最上位、新フォーマットは ai の中）:
+ *   { name: "standard", depth: 10, lines: { tiger: 2, rose: 1 }, randomness: 1 }
+ *   depth      : 何手目まで定跡を使うか（開始局面の石を除いて depth 個の石が置かれるまで）
+ *   lines      : 使う定跡と重み（省略時は全ての定跡をファイルの weight で使う）
+ *   randomness : 定跡手の選び方。0 なら重みが最大の手、1 なら重みに比例、その間は重みの差を強調する
+ */
+class OpeningBook {
+
+    /** 読み込み済みの定跡（名前 -> OpeningBook） */
+    static _registry = new Map();
+
+    // ========== 読み込み ==========
+
+    /**
+     * 定跡を読み込んで登録する（読み込み済みならそれを返す）
+     * @param {string} name - 定跡の名前（キャラクター設定の book.name）
+     * @param {string} url - JSON の URL
+     * @returns {Promise<OpeningBook>}
+     */
+    static async load(name, url) {
+        if (OpeningBook._registry.has(name)) return OpeningBook._registry.get(name);
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`定跡を読み込めません: ${url} (${response.status})`);
+        }
+        return OpeningBook.register(name, await response.json());
+    }
+
+    /**
+     * 定跡のデータを登録する
+     * @param {string} name
+     * @param {Object} data - 定跡ファイルの内容
+     * @returns {OpeningBook}
+     */
+    static register(name, data) {
+        const book = new OpeningBook(data);
+        OpeningBook._registry.set(name, book);
+        return book;
+    }
+
+    /**
+     * 登録済みの定跡を取得する
+     * @returns {OpeningBook|null}
+     */
+    static get(name) {
+        return OpeningBook._registry.get(name) || null;
+    }
+
+    // ========== コンストラクタ ==========
+
+    /**
+     * @param {Object} data - 定跡ファイルの内容
+     */
+    constructor(data) {
+        this.size = data.size || 8;
+        this.transforms = OpeningBook._buildTransforms(this.size);
+
+        // 定跡 ID -> { id, name, weight }
+        this.lines = new Map();
+
+        // 正規化した局面 -> (正規化した座標での着手マス -> その手を含む定跡 ID の一覧)
+        this.positions = new Map();
+
+        for (const line of data.lines) {
+            this.lines.set(line.id, { id: line.id, name: line.name || line.id, weight: line.weight || 1 });
+            this._addLine(line);
+        }
+    }
+
+    // ========== 検索 ==========
+
+    /**
+     * 局面の定跡手の一覧
+     * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
+     * @param {number} turn - 手番
+     * @param {Object} [settings] - キャラクター設定の book（lines で使う定跡と重みを絞る）
+     * @returns {{r: number, c: number, weight: number, line: string}[]} line はその手を含む中で最も重い定跡
+     */
+    lookup(board, turn, settings = {}) {
+        if (board.length !== this.size) return [];
+
+        const { key, transform } = this._canonical(board, turn);
+        const moves = this.positions.get(key);
+        if (!moves) return [];
+
+        const candidates = [];
+        for (const [sq, lineIds] of moves) {
+            let weight = 0;
+            let best = null;
+            for (const id of lineIds) {
+                const lineWeight = this._lineWeight(id, settings);
+                if (lineWeight <= 0) continue;
+                weight += lineWeight;
+                if (!best || lineWeight > best.weight) best = { id, weight: lineWeight };
+            }
+            if (weight <= 0) continue;
+
+            const original = transform.inverse[sq];
+            candidates.push({
+                r: Math.floor(original / this.size),
+                c: original % this.size,
+                weight,
+                line: best.id
+            });
+        }
+        return candidates;
+    }
+
+    /**
+     * 定跡手を1つ選ぶ
+     * @param {number[][]} board
+     * @param {number} turn
+     * @param {Object} [settings] - キャラクター設定の book
+     * @param {function(): number} [random] - 0 以上 1 未満の乱数
+     * @returns {{r: number, c: number, book: string}|null} 定跡外なら null（book は定跡 ID）
+     */
+    choose(board, turn, settings = {}, random = Math.random) {
+        const candidates = this.lookup(board, turn, settings);
+        if (candidates.length === 0) return null;
+
+        const randomness = settings.randomness !== undefined ? settings.randomness : 1;
+        let chosen;
+        if (randomness <= 0) {
+            chosen = candidates.reduce((a, b) => (b.weight > a.weight ? b : a));
+        } else {
+            // randomness が小さいほど重みの差を強調する（1 なら重みに比例）
+            const weights = candidates.map(m => Math.pow(m.weight, 1 / randomness));
+            let x = random() * weights.reduce((sum, w) => sum + w, 0);
+            chosen = candidates[candidates.length - 1];
+            for (let i = 0; i < candidates.length; i++) {
+                x -= weights[i];
+                if (x < 0) {
+                    chosen = candidates[i];
+                    break;
+                }
+            }
+        }
+        return { r: chosen.r, c: chosen.c, book: chosen.line };
+    }
+
+    /**
+     * 定跡の名前
+     * @param {string} id
+     * @returns {string}
+     */
+    lineName(id) {
+        const line = this.lines.get(id);
+        return line ? line.name : id;
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * 定跡1本を初期配置から並べ、通った局面と手を登録する
+     */
+    _addLine(line) {
+        const coords = line.moves.match(/[a-z]\d{1,2}/gi) || [];
+        let board = GameCore.createStartPosition(this.size, {}).board;
+        let turn = 1;
+
+        for (const coord of coords) {
+            const r = parseInt(coord.slice(1), 10) - 1;
+            const c = coord.toLowerCase().charCodeAt(0) - 97;
+
+            // 打てない手（パスが必要な局面を含む）があれば定跡として登録しない
+            const next = GameCore.isValidBounds(r, c, this.size) ? GameCore.simulateMove(board, r, c, turn) : null;
+            if (!next) {
+                throw new Error(`定跡 ${line.id} の ${coord} は打てません`);
+            }
+
+            const { key, transform } = this._canonical(board, turn);
+            if (!this.positions.has(key)) this.positions.set(key, new Map());
+            const moves = this.positions.get(key);
+            const sq = transform.forward[r * this.size + c];
+            if (!moves.has(sq)) moves.set(sq, []);
+            if (!moves.get(sq).includes(line.id)) moves.get(sq).push(line.id);
+
+            board = next;
+            turn = -turn;
+        }
+    }
+
+    /**
+     * 設定を反映した定跡の重み（設定の lines にない定跡は 0）
+     */
+    _lineWeight(id, settings) {
+        if (settings.lines) return settings.lines[id] || 0;
+        return this.lines.get(id).weight;
+    }
+
+    /**
+     * 8通りの対称形の中で最小の文字列を局面のキーにする
+     * @returns {{key: string, transform: {forward: number[], inverse: number[]}}}
+     */
+    _canonical(board, turn) {
+        const cells = board.flat();
+        let best = null;
+        for (const transform of this.transforms) {
+            let key = turn === 1 ? 'X' : 'O';
+            for (let sq = 0; sq < cells.length; sq++) {
+                const cell = cells[transform.inverse[sq]];
+                key += cell === 1 ? 'x' : cell === -1 ? 'o' : '-';
+            }
+            if (!best || key < best.key) best = { key, transform };
+        }
+        return best;
+    }
+
+    /**
+     * 盤の回転・反転8通りについて、マス番号の対応表を作る
+     * forward[元のマス] = 変換後のマス、inverse はその逆
+     */
+    static _buildTransforms(size) {
+        const last = size - 1;
+        const maps = [
+            (r, c) => [r, c],
+            (r, c) => [c, last - r],
+            (r, c) => [last - r, last - c],
+            (r, c) => [last - c, r],
+            (r, c) => [r, last - c],
+            (r, c) => [last - r, c],
+            (r, c) => [c, r],
+            (r, c) => [last - c, last - r]
+        ];
+        return maps.map(map => {
+            const forward = [];
+            const inverse = [];
+            for (let r = 0; r < size; r++) {
+                for (let c = 0; c < size; c++) {
+                    const [tr, tc] = map(r, c);
+                    forward[r * size + c] = tr * size + tc;
+                    inverse[tr * size + tc] = r * size + c;
+                }
+            }
+            return { forward, inverse };
+        });
+    }
+}
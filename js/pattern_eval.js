@@ -0,0 +1,273 @@
+/**
+ * Reversi: Character Duel - Pattern Evaluator
+ * パターン評価（辺+2X・隅3x3・隅2x5・各列・斜めなど、石の並びごとの重み表で局面を評価する）
+ *
+ * 重みは data/patterns/<name>.json から読み込む。ファイルの形式:
+ * {
+ *   "size": 8,                      // 盤面の一辺（他のサイズの盤では使わない）
+ *   "phases": [40, 16, 0],          // 段階の境目。空きマス数がこの値以上になる最初の段階の重みを使う
+ *   "patterns": [{ "name": "edge2x", "squares": ["a1", "b1", ..., "g2"] }, ...],
+ *   "weights": { "edge2x": ["<base64>", ...], ... },  // 段階ごとの表（3^マス数 個）
+ *   "mobility": [60, 40, 10]        // 段階ごとの着手可能数の差の重み（省略可）
+ * }
+ * 表は Int16 リトルエンディアンを base64 にした文字列か、数値の配列で書く。
+ * 表の添字は、パターンのマスを 空き=0・手番側=1・相手=2 として3進数で読んだ値（先頭のマスが最下位の桁）。
+ * パターンは盤の回転・反転（8通り）にも当てはめる。同じマスの組になるものは1つにまとめ、
+ * 表はまとめたマスの並び方について平均する（盤を回転・反転しても評価値が変わらないように）
+ */
+class PatternEvaluator {
+
+    /** 読み込み済みの重み（名前 -> PatternEvaluator） */
+    static _registry = new Map();
+
+    // ========== 読み込み ==========
+
+    /**
+     * 重みを読み込んで登録する（読み込み済みならそれを返す）
+     * @param {string} name - 重みの名前（キャラクター設定の ai.patternWeights）
+     * @param {string} url - JSON の URL
+     * @returns {Promise<PatternEvaluator>}
+     */
+    static async load(name, url) {
+        if (PatternEvaluator._registry.has(name)) return PatternEvaluator._registry.get(name);
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`パターンの重みを読み込めません: ${url} (${response.status})`);
+        }
+        return PatternEvaluator.register(name, await response.json());
+    }
+
+    /**
+     * 重みのデータを登録する
+     * @param {string} name
+     * @param {Object} data - 重みファイルの内容
+     * @returns {PatternEvaluator}
+     */
+    static register(name, data) {
+        const evaluator = new PatternEvaluator(data);
+        PatternEvaluator._registry.set(name, evaluator);
+        return evaluator;
+    }
+
+    /**
+     * 登録済みの重みを取得する
+     * @returns {PatternEvaluator|null}
+     */
+    static get(name) {
+        return PatternEvaluator._registry.get(name) || null;
+    }
+
+    // ========== コンストラクタ ==========
+
+    /**
+     * @param {Object} data - 重みファイルの内容
+     */
+    constructor(data) {
+        const size = data.size;
+        if (!Bitboard.SIZES.includes(size)) {
+            throw new Error(`対応していない盤面サイズです: ${size}`);
+        }
+        if (!Array.isArray(data.phases) || data.phases.length === 0) {
+            throw new Error('パターンの重みに phases がありません');
+        }
+
+        this.size = size;
+        this.phases = data.phases;
+        this.mobility = data.mobility || null;
+
+        // 対称形に展開したパターン（マス番号の並びと、段階ごとの表）
+        this.instances = [];
+        for (const pattern of data.patterns) {
+            const squares = pattern.squares.map(coord => PatternEvaluator._parseSquare(coord, size));
+            const length = 3 ** squares.length;
+            const permutations = PatternEvaluator._selfPermutations(squares, size);
+            const tables = (data.weights[pattern.name] || []).map(table =>
+                PatternEvaluator._symmetrizeTable(PatternEvaluator._decodeTable(table, length), permutations));
+            if (tables.length !== this.phases.length) {
+                throw new Error(`パターン ${pattern.name} の重みの段階数が phases と合いません`);
+            }
+            for (const instance of PatternEvaluator._symmetries(squares, size)) {
+                this.instances.push({ squares: instance, tables });
+            }
+        }
+
+        // 評価のたびに作り直さないよう、マスごとの状態を入れる配列を持っておく
+        this.states = new Uint8Array(size * size);
+    }
+
+    // ========== 評価 ==========
+
+    /**
+     * 手番側から見た評価値
+     * @param {bigint} player - 手番側の石
+     * @param {bigint} opponent - 相手の石
+     * @param {Bitboard} bb - 盤面サイズのビットボード操作
+     * @returns {number}
+     */
+    evaluate(player, opponent, bb) {
+        const empties = bb.squares - Bitboard.popcount(player | opponent);
+        const phase = this.phaseOf(empties);
+
+        // マスごとの状態（空き=0・手番側=1・相手=2）を32bitワード単位で取り出す
+        const states = this.states;
+        const own = bb.toWords(player);
+        const opp = bb.toWords(opponent);
+        for (let sq = 0; sq < bb.squares; sq++) {
+            const word = sq >>> 5;
+            const shift = sq & 31;
+            states[sq] = ((own[word] >>> shift) & 1) | (((opp[word] >>> shift) & 1) << 1);
+        }
+
+        let score = 0;
+        for (const { squares, tables } of this.instances) {
+            let index = 0;
+            for (let k = squares.length - 1; k >= 0; k--) {
+                index = index * 3 + states[squares[k]];
+            }
+            score += tables[phase][index];
+        }
+
+        if (this.mobility) {
+            const mobility = Bitboard.popcount(bb.getMoves(player, opponent)) -
+                Bitboard.popcount(bb.getMoves(opponent, player));
+            score += mobility * this.mobility[phase];
+        }
+
+        return score;
+    }
+
+    /**
+     * 空きマス数に対応する段階
+     * @param {number} empties
+     * @returns {number} phases の添字
+     */
+    phaseOf(empties) {
+        const phases = this.phases;
+        for (let i = 0; i < phases.length - 1; i++) {
+            if (empties >= phases[i]) return i;
+        }
+        return phases.length - 1;
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * "a1" 形式の座標をマス番号に
+     */
+    static _parseSquare(coord, size) {
+        const m = /^([a-z])(\d{1,2})$/.exec(coord);
+        const r = m ? parseInt(m[2], 10) - 1 : -1;
+        const c = m ? m[1].charCodeAt(0) - 97 : -1;
+        if (r < 0 || r >= size || c < 0 || c >= size) {
+            throw new Error(`パターンのマスが正しくありません: ${coord}`);
+        }
+        return r * size + c;
+    }
+
+    /**
+     * 重みの表を数値配列にする（base64 の Int16 か数値の配列）
+     * @param {string|number[]} table
+     * @param {number} length - 表の大きさ（3^マス数）
+     * @returns {Int16Array|Float64Array}
+     */
+    static _decodeTable(table, length) {
+        let values;
+        if (typeof table === 'string') {
+            const bytes = Uint8Array.from(atob(table), ch => ch.charCodeAt(0));
+            const view = new DataView(bytes.buffer);
+            values = new Int16Array(bytes.length / 2);
+            for (let i = 0; i < values.length; i++) values[i] = view.getInt16(i * 2, true);
+        } else {
+            values = Float64Array.from(table);
+        }
+        if (values.length !== length) {
+            throw new Error(`パターンの重みの大きさが正しくありません: ${values.length} (期待値 ${length})`);
+        }
+        return values;
+    }
+
+    /**
+     * パターンを盤の回転・反転で展開する（同じマスの組になるものは最初の1つだけ残す）
+     * @param {number[]} squares - マス番号の並び
+     * @returns {number[][]}
+     */
+    static _symmetries(squares, size) {
+        const seen = new Set();
+        const instances = [];
+        for (const mapped of PatternEvaluator._transformed(squares, size)) {
+            const key = [...mapped].sort((a, b) => a - b).join(',');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            instances.push(mapped);
+        }
+        return instances;
+    }
+
+    /**
+     * パターンを自分自身のマスの組に移す回転・反転を、マスの並べ替えとして返す
+     * （例えば対角線は 180度回転で逆順になる）。並べ替え p は「k 番目のマスが元の p[k] 番目のマス」を表す
+     * @param {number[]} squares - マス番号の並び
+     * @returns {number[][]} 恒等な並べ替えを含む
+     */
+    static _selfPermutations(squares, size) {
+        const key = [...squares].sort((a, b) => a - b).join(',');
+        const seen = new Set();
+        const permutations = [];
+        for (const mapped of PatternEvaluator._transformed(squares, size)) {
+            if ([...mapped].sort((a, b) => a - b).join(',') !== key) continue;
+            const permutation = mapped.map(sq => squares.indexOf(sq));
+            if (seen.has(permutation.join(','))) continue;
+            seen.add(permutation.join(','));
+            permutations.push(permutation);
+        }
+        return permutations;
+    }
+
+    /**
+     * 表をマスの並べ替えについて平均する（並べ替えが恒等だけならそのまま返す）
+     * @param {Int16Array|Float64Array} table
+     * @param {number[][]} permutations - _selfPermutations の結果
+     * @returns {Int16Array|Float64Array}
+     */
+    static _symmetrizeTable(table, permutations) {
+        if (permutations.length === 1) return table;
+
+        const length = permutations[0].length;
+        const digits = new Uint8Array(length);
+        const result = new Float64Array(table.length);
+        for (let index = 0; index < table.length; index++) {
+            for (let k = 0, rest = index; k < length; k++, rest = Math.floor(rest / 3)) digits[k] = rest % 3;
+            let sum = 0;
+            for (const permutation of permutations) {
+                let permuted = 0;
+                for (let k = length - 1; k >= 0; k--) permuted = permuted * 3 + digits[permutation[k]];
+                sum += table[permuted];
+            }
+            result[index] = sum / permutations.length;
+        }
+        return result;
+    }
+
+    /**
+     * パターンの8通りの回転・反転（重複を含む）
+     * @returns {number[][]}
+     */
+    static _transformed(squares, size) {
+        const last = size - 1;
+        const transforms = [
+            (r, c) => [r, c],
+            (r, c) => [c, last - r],
+            (r, c) => [last - r, last - c],
+            (r, c) => [last - c, r],
+            (r, c) => [r, last - c],
+            (r, c) => [last - r, c],
+            (r, c) => [c, r],
+            (r, c) => [last - c, last - r]
+        ];
+        return transforms.map(transform => squares.map(sq => {
+            const [r, c] = transform(Math.floor(sq / size), sq % size);
+            return r * size + c;
+        }));
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * Reversi: Character Duel - Transposition Table
+ * Zobristハッシュをキーにした置換表（探索済み局面の評価値・境界・最善手を保持）
+ *
+ * ハッシュは黒白の絶対色で計算し、白番のときは SIDE キーを XOR する。
+ * 着手時は「置いた石」「裏返った石」「手番」の差分だけを XOR して更新する。
+ *
+ * エントリは探索をまたいで残す（前の手番や先読みの結果を次の探索で使う）。
+ * 世代 (age) は置き換えの優先度にだけ使い、古い世代のエントリは深さに関係なく上書きする。
+ */
+class TranspositionTable {
+
+    // ========== 定数 ==========
+
+    /** 1エントリあたりのバイト数（key 8 + score 8 + depth/flag/move/age 各1） */
+    static ENTRY_BYTES = 20;
+
+    /** 境界の種類 */
+    static EXACT = 1;
+    static LOWER = 2;  // score 以上（β カット）
+    static UPPER = 3;  // score 以下（α を超えなかった）
+
+    /** 終盤完全読みの結果を表す深さ（通常探索のどの深さよりも大きい） */
+    static SOLVED_DEPTH = 127;
+
+    /** Zobristキー（固定シードで生成するので、どの環境でも同じ値になる。最大の 10x10 盤まで） */
+    static ZOBRIST = TranspositionTable._generateKeys(100, 0x2545f491);
+
+    // ========== コンストラクタ ==========
+
+    /**
+     * @param {number} sizeMB - 使用するメモリ量の目安 (MB)
+     */
+    constructor(sizeMB) {
+        const maxEntries = Math.max(1, Math.floor(sizeMB * 1024 * 1024 / TranspositionTable.ENTRY_BYTES));
+        // インデックス計算を AND で済ませるため 2 の冪に切り下げる
+        const bits = Math.floor(Math.log2(maxEntries));
+
+        this.sizeMB = sizeMB;
+        this.size = 2 ** bits;
+        this.indexMask = BigInt(this.size - 1);
+
+        this.keys = new BigUint64Array(this.size);
+        this.scores = new Float64Array(this.size);
+        this.depths = new Int8Array(this.size);
+        this.flags = new Uint8Array(this.size);
+        this.moves = new Int8Array(this.size).fill(-1);
+        this.ages = new Uint8Array(this.size);  // 0 = 空き
+        this.age = 1;
+    }
+
+    // ========== Zobristハッシュ ==========
+
+    /**
+     * Zobristキーの生成（xorshift32 で 64bit キーを作る）
+     * @returns {{black: bigint[], white: bigint[], flip: bigint[], side: bigint}}
+     */
+    static _generateKeys(squares, seed) {
+        let state = seed >>> 0;
+        const next32 = () => {
+            state ^= state << 13;
+            state >>>= 0;
+            state ^= state >>> 17;
+            state ^= state << 5;
+            state >>>= 0;
+            return BigInt(state);
+        };
+        const next64 = () => (next32() << 32n) | next32();
+
+        const black = Array.from({ length: squares }, next64);
+        const white = Array.from({ length: squares }, next64);
+        return {
+            black,
+            white,
+            // 石が裏返るときは黒キーと白キーを入れ替えるので、両者の XOR を用意しておく
+            flip: black.map((key, i) => key ^ white[i]),
+            side: next64()
+        };
+    }
+
+    /**
+     * 局面のハッシュを一から計算する
+     * @param {bigint} player - 手番側の石
+     * @param {bigint} opponent - 相手の石
+     * @param {number} color - 手番側の色 (1=黒, -1=白)
+     * @returns {bigint}
+     */
+    static hash(player, opponent, color) {
+        const keys = TranspositionTable.ZOBRIST;
+        const mine = color === 1 ? keys.black : keys.white;
+        const theirs = color === 1 ? keys.white : keys.black;
+
+        let hash = color === 1 ? 0n : keys.side;
+        for (const sq of Bitboard.toSquareList(player)) hash ^= mine[sq];
+        for (const sq of Bitboard.toSquareList(opponent)) hash ^= theirs[sq];
+        return hash;
+    }
+
+    /**
+     * 着手後のハッシュ（差分更新）
+     * @param {bigint} hash - 着手前のハッシュ
+     * @param {number} sq - 着手したマス
+     * @param {bigint} flips - 裏返った石
+     * @param {number} color - 着手した側の色
+     * @returns {bigint}
+     */
+    static hashAfterMove(hash, sq, flips, color) {
+        const keys = TranspositionTable.ZOBRIST;
+        hash ^= (color === 1 ? keys.black : keys.white)[sq] ^ keys.side;
+        for (const f of Bitboard.toSquareList(flips)) hash ^= keys.flip[f];
+        return hash;
+    }
+
+    /**
+     * パス後のハッシュ
+     */
+    static hashAfterPass(hash) {
+        return hash ^ TranspositionTable.ZOBRIST.side;
+    }
+
+    // ========== テーブル操作 ==========
+
+    /**
+     * 新しい探索を開始する（世代を進める。以前の探索のエントリは引けるが、優先して上書きされる）
+     */
+    newSearch() {
+        if (this.age === 255) {
+            // 世代が一巡したら、新旧の区別がつかなくなるので空にする
+            this.clear();
+            return;
+        }
+        this.age++;
+    }
+
+    /**
+     * 全てのエントリを消す（評価関数やルールが変わり、保存した評価値が使えなくなったとき）
+     */
+    clear() {
+        this.ages.fill(0);
+        this.age = 1;
+    }
+
+    /**
+     * 局面を引く
+     * @param {bigint} hash
+     * @returns {number} エントリの添字（見つからなければ -1）
+     */
+    probe(hash) {
+        const index = Number(hash & this.indexMask);
+        if (this.ages[index] === 0 || this.keys[index] !== hash) return -1;
+        return index;
+    }
+
+    /**
+     * 局面を保存する（同じ世代で、より深い探索結果が入っている場合は上書きしない）
+     * @param {bigint} hash
+     * @param {number} depth - 残り探索深さ
+     * @param {number} score - 評価値
+     * @param {number} flag - EXACT / LOWER / UPPER
+     * @param {number} move - 最善手のマス番号（なければ -1）
+     */
+    store(hash, depth, score, flag, move) {
+        const index = Number(hash & this.indexMask);
+        if (this.ages[index] === this.age &&
+            this.keys[index] !== hash &&
+            this.depths[index] > depth) {
+            return;
+        }
+
+        this.keys[index] = hash;
+        this.scores[index] = score;
+        this.depths[index] = depth;
+        this.flags[index] = flag;
+        this.moves[index] = move;
+        this.ages[index] = this.age;
+    }
+
+    /**
+     * 保存された境界から、探索せずに値が確定するか判定する
+     * @returns {number|null} 確定した評価値（確定しなければ null）
+     */
+    cutoff(index, depth, alpha, beta) {
+        if (this.depths[index] < depth) return null;
+
+        const score = this.scores[index];
+        const flag = this.flags[index];
+        if (flag === TranspositionTable.EXACT) return score;
+        if (flag === TranspositionTable.LOWER && score >= beta) return score;
+        if (flag === TranspositionTable.UPPER && score <= alpha) return score;
+        return null;
+    }
+}
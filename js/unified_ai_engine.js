@@ -3,11 +3,18 @@
  * 統合AIエンジン - 全キャラクターを単一のパラメータ化されたロジックで動作
  * 
  * 機能:
- * - 反復深化探索
+ * - ビットボードによる盤面表現（6x6 / 8x8 / 10x10）
+ * - 反復深化探索（時間管理: 対局の持ち時間の配分・最善手が安定したら早めに終える・揺れたら延長する）
  * - α-β枝刈り
- * - 終盤読み切り
- * - Move Ordering
+ * - 置換表（Zobristハッシュ）
+ * - 終盤読み切り（石差・勝敗のみ。読み切れなければ反復深化の結果を使う）
+ * - Move Ordering（置換表・キラームーブ・ヒストリー）
+ * - PVS（Principal Variation Search）・Aspiration Window
+ * - 先読み（相手の手番の間に応手を予想して読んでおく）
+ * - ルートの手を分担した並列探索（searchRoot。結果の統合は AIClient が行う）
  * - フェーズ別評価関数
+ * - パターン評価（ai.evaluator: "pattern"。重みは PatternEvaluator が読み込む）
+ * - 定跡（キャラクター設定の book。定跡は OpeningBook が読み込む）
  * - 後方互換性のある設定読み込み
  */
 
@@ -15,25 +22,62 @@ class UnifiedAIEngine {
 
     // ========== 定数 ==========
 
-    /** 位置評価テーブル（研究ベース） */
-    static POSITION_WEIGHTS = [
-        [500, -150, 30, 10, 10, 30, -150, 500],
-        [-150, -250, 0, 0, 0, 0, -250, -150],
-        [30, 0, 1, 2, 2, 1, 0, 30],
-        [10, 0, 2, 16, 16, 2, 0, 10],
-        [10, 0, 2, 16, 16, 2, 0, 10],
-        [30, 0, 1, 2, 2, 1, 0, 30],
-        [-150, -250, 0, 0, 0, 0, -250, -150],
-        [500, -150, 30, 10, 10, 30, -150, 500]
-    ];
-
-    /** フェーズ判定の閾値 */
+    /** キラームーブの加点（角より下、通常のマスより上） */
+    static KILLER_BONUS = 4000;
+
+    /** ヒストリーの上限（X打ち・C打ちの減点は覆さない程度） */
+    static HISTORY_MAX = 2000;
+
+    /** フェーズ判定の閾値（8x8 の手数。他の盤面サイズでは総手数の比率で伸縮する。キャラクターごとに phases で変えられる） */
     static PHASE_THRESHOLDS = {
         opening: 20,   // 1-20手目
         midgame: 44,   // 21-44手目
         endgame: 60    // 45-60手目
     };
 
+    /** 旧フォーマットの dynamic_turn で、switchTurn の前後何手を中盤にするか（既定の境目 20/44 と同じ幅） */
+    static LEGACY_SWITCH_SPAN = 12;
+
+    /** 終盤読み切りの前に、手を並べるために浅く読む深さ */
+    static ENDGAME_PRESEARCH_DEPTH = 4;
+
+    /** 終盤読み切りに使う時間の割合（読み切れなければ残りの時間で反復深化する） */
+    static ENDGAME_SOLVER_SHARE = 0.7;
+
+    /** 終盤読み切りで速さ優先（相手の着手可能数が少ない手から）に並べる空きマス数（これより多いとき） */
+    static FASTEST_FIRST_EMPTIES = 4;
+
+    /** 終盤読み切りの Move Ordering で、空きが奇数の領域の手に付ける加点（静的な優先度より強い） */
+    static PARITY_BONUS = 20000;
+
+    /** 速さ優先の Move Ordering で、相手の着手可能数1つあたりの減点（偶数理論の加点より強い） */
+    static FASTEST_FIRST_PENALTY = 100000;
+
+    /** 1手の上限時間と目安時間の比（目安を過ぎたら次の深さに進まない。延長しても上限まで） */
+    static TIME_EXTENSION_MAX = 2;
+
+    /** 最善手が変わったときに目安時間を延ばす倍率 */
+    static TIME_EXTENSION = 1.5;
+
+    /** 持ち時間を配分するときのフェーズごとの重み（中盤に厚く） */
+    static TIME_PHASE_WEIGHTS = { opening: 0.7, midgame: 1.3, endgame: 1.0 };
+
+    /** 持ち時間が残り少なくても1手に使う時間 (ms) */
+    static MIN_MOVE_TIME = 100;
+
+    /** 最善手がこの深さの数だけ続けて同じで、次善手との差が DOMINANCE_MARGIN 以上なら探索を打ち切る */
+    static DOMINANCE_DEPTHS = 4;
+    static DOMINANCE_MARGIN = 3000;
+
+    /** 先読みで相手の応手を予想するときの探索深さ */
+    static PONDER_GUESS_DEPTH = 4;
+
+    /** 先読みの1回の探索時間 (ms)。これを単位に読み直すので、中断はこの程度の遅れで効く */
+    static PONDER_SLICE = 300;
+
+    /** 先読みで1つの応手に使う探索の回数の上限。読み終えなくても次の応手に移る */
+    static PONDER_REPLY_SLICES = 10;
+
     // ========== コンストラクタ ==========
 
     constructor() {
@@ -41,6 +85,96 @@ class UnifiedAIEngine {
         this.nodesSearched = 0;
         this.currentConfig = null;
         this.debugMode = false;
+        this.analysisMode = false;
+
+        // 解析時の最善手順の復元用（評価値が窓の内側に収まった局面の最善手。置換表と違い上書きされにくい）
+        this.pvMoves = new Map();
+
+        // 石差の符号（アンチリバーシでは石が少ないほど良いので -1）
+        this.discSign = 1;
+
+        // パターン評価（設定で選ばれ、重みが使える場合のみ。null なら特徴量の評価）
+        this.patternEvaluator = null;
+
+        // 盤上の石数ごとの特徴量の重み（フェーズの重みを手数で補間したもの。_buildWeightTable を参照）
+        this.weightTable = null;
+
+        // 置換表（設定で有効な場合のみ確保し、反復深化の各深さ・各手番で使い回す）
+        this.tt = null;
+        this.ttSignature = null;
+        this.timeUp = false;
+
+        // 時間管理（目安時間と、最善手の安定度で目安を伸び縮みさせるか。_planTime を参照）
+        // nodeLimit のある設定では、上限・目安・経過をノード数で数える（_elapsed を参照）
+        this.timeTarget = 0;
+        this.adaptiveTime = false;
+
+        // 読んでいる深さで読み終えたルートの手（時間切れで打ち切ったとき、途中までの結果を使う）
+        this.partialMoves = [];
+
+        // 先読みで最大深さまで読み終えた局面の結果（局面キー -> { move, signature }）
+        this.ponderResults = new Map();
+
+        // 読み終えた深さごとのルートの評価（searchRoot の結果。並列探索の統合に使う）
+        this.iterations = [];
+
+        // 手を選ぶときの乱数（設定に seed があれば局面ごとに決まる乱数列。_createRandom を参照）
+        this.random = Math.random;
+
+        // ルート局面のフェーズ（手を選ぶときの悪手率に使う）
+        this.rootPhase = 'opening';
+
+        // 中断要求（cancel() で立て、時間切れと同じ扱いで探索を打ち切る）
+        this.cancelRequested = false;
+
+        // 探索の途中経過の通知先（深さを読み終えるたびに呼ぶ。_reportProgress を参照）
+        this.onProgress = null;
+
+        // キラームーブ・ヒストリー（反復深化の間だけ保持）
+        this.iterationDepth = 0;
+        this.killers = [];
+        this.history = null;
+
+        // 盤面サイズごとの事前計算テーブル（位置評価・Move Ordering 用）
+        this.bb = null;
+        this.positionWeights = null;
+        this.positionMasks = null;
+        this.cornerMask = 0n;
+        this.movePriority = null;
+        this.regionMasks = null;
+        this._setBoardSize(8);
+    }
+
+    // ========== 位置評価テーブル ==========
+
+    /**
+     * 盤面サイズに応じた位置評価テーブルを生成する（8x8 では研究ベースの従来テーブルと同じ値）
+     * マスの重みは「最も近い辺までの距離」の組で決まる:
+     * 角 500、C打ち -150、X打ち -250、角から2つ目の辺 30、その他の辺 10、
+     * 中央4マス 16、X打ちの内側の斜め 1、その他の内側 2、辺の1つ内側 0
+     * @param {number} size - 盤面の一辺
+     * @returns {number[][]}
+     */
+    static generatePositionWeights(size) {
+        const center = size / 2 - 1;
+        const weightAt = (near, far) => {
+            if (near === 0) {
+                if (far === 0) return 500;
+                if (far === 1) return -150;
+                if (far === 2) return 30;
+                return 10;
+            }
+            if (near === 1) return far === 1 ? -250 : 0;
+            if (near === center && far === center) return 16;
+            if (near === 2 && far === 2) return 1;
+            return 2;
+        };
+
+        return Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => {
+            const dr = Math.min(r, size - 1 - r);
+            const dc = Math.min(c, size - 1 - c);
+            return weightAt(Math.min(dr, dc), Math.max(dr, dc));
+        }));
     }
 
     // ========== メインエントリーポイント ==========
@@ -50,16 +184,237 @@ class UnifiedAIEngine {
      * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
      * @param {number} turn - 手番 (1 or -1)
      * @param {Object} config - キャラクター設定
-     * @returns {Promise<{r: number, c: number}>} 最善手
+     * @param {Object} [rules] - 対局ルール（GameCore.normalizeRules の形式。anti なら石が少ないほうが勝ち）
+     * @param {{used: number}} [clock] - この対局で AI が既に使った時間 (ms)。持ち時間 (timeBudget) の配分に使う
+     * @returns {Promise<{r: number, c: number}>} 最善手（定跡手なら book に定跡 ID、bookName に定跡名が付く）
      */
-    async computeMove(board, turn, config) {
+    async computeMove(board, turn, config, rules = {}, clock = null) {
+        const bookMove = this.bookMove(board, turn, config, rules);
+        if (bookMove) return bookMove;
+
+        const search = this._beginSearch(board, turn, config, rules, false, clock);
+        const { validMoves } = search;
+        if (validMoves.length === 0) return null;
+        if (validMoves.length === 1) return this._toMove(validMoves[0]);
+
+        // 先読みで読み終えている局面なら、その結果をそのまま使う
+        const pondered = this._ponderedMove(search);
+        if (pondered) return pondered;
+
+        const result = await this._runSearch(search);
+
+        if (this.debugMode) {
+            const { bestMove } = result;
+            console.log(`[UnifiedAI] Result: (${bestMove.r}, ${bestMove.c}), Nodes: ${this.nodesSearched}, Time: ${Date.now() - this.startTime}ms`);
+        }
+
+        return result.bestMove;
+    }
+
+    /**
+     * 局面を解析する（ヒント・棋譜検討・パラメータ調整用）
+     * 全ての合法手を正確な評価値付きで読み、最善手順も返す。キャラクターのランダム性は使わない
+     * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
+     * @param {number} turn - 手番 (1 or -1)
+     * @param {Object} config - キャラクター設定（探索深さ・時間・評価関数）
+     * @param {Object} [rules] - 対局ルール
+     * @returns {Promise<{moves: {r: number, c: number, score: number}[], bestMove: {r: number, c: number, score: number},
+     *           pv: ({r: number, c: number}|{pass: true})[], depth: number, nodes: number, elapsed: number,
+     *           endgame: boolean, wld: boolean, timedOut: boolean, phase: string}|null>} 合法手がなければ null
+     *           wld なら評価値は勝ち 1000・引き分け 0・負け -1000
+     */
+    async analyze(board, turn, config, rules = {}) {
+        const search = this._beginSearch(board, turn, config, rules, true);
+        if (search.validMoves.length === 0) return null;
+
+        const result = await this._runSearch(search);
+
+        // 時間切れで1手も読めなかった手は評価値なしで並べる
+        const moves = result.scoredMoves.length > 0
+            ? result.scoredMoves
+            : search.validMoves.map(sq => ({ ...this._toMove(sq), score: null }));
+        const best = moves[0];
+
+        return {
+            moves,
+            bestMove: best,
+            pv: this._extractPV(search.player, search.opponent, search.hash, turn,
+                this.bb.toIndex(best.r, best.c), Math.max(result.depth, 1)),
+            depth: result.depth,
+            nodes: this.nodesSearched,
+            elapsed: Date.now() - this.startTime,
+            endgame: result.endgame,
+            wld: !!result.wld,
+            timedOut: this.timeUp,
+            phase: search.phase
+        };
+    }
+
+    /**
+     * 定跡手を引く
+     * 定跡を使わない設定・定跡の手数を過ぎた・定跡外の局面・アンチリバーシ（定跡は通常ルールのもの）なら null
+     * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
+     * @param {number} turn - 手番 (1 or -1)
+     * @param {Object} config - キャラクター設定（book を使う）
+     * @param {Object} [rules] - 対局ルール
+     * @returns {{r: number, c: number, book: string, bookName: string}|null}
+     */
+    bookMove(board, turn, config, rules = {}) {
+        // 前の探索（中断した先読みなど）の中断要求は持ち越さない（定跡手では _beginSearch を通らないため）
+        this.cancelRequested = false;
+        const { book: settings, seed } = this._normalizeConfig(config);
+        if (!settings || rules.anti || typeof OpeningBook === 'undefined') return null;
+
+        const book = OpeningBook.get(settings.name || 'standard');
+        if (!book) return null;
+
+        // 手数は開始局面の石（置き石を含む）を除いて数える
+        const discs = b => b.flat().filter(cell => cell !== 0).length;
+        const played = discs(board) - discs(GameCore.createStartPosition(board.length, rules).board);
+        if (played >= (settings.depth || Infinity)) return null;
+
+        const move = book.choose(board, turn, settings, this._createRandom(seed, board, turn));
+        if (!move) return null;
+
+        if (this.debugMode) {
+            console.log(`[UnifiedAI] Book: (${move.r}, ${move.c}) ${move.book}`);
+        }
+        return { ...move, bookName: book.lineName(move.book) };
+    }
+
+    /**
+     * 指定したルートの手だけを読む（並列探索で、複数の Worker が手を分担するときに呼ぶ）
+     * 読み終えた深さごとに評価値を返すので、呼び出し側は全員が読み終えた深さで結果を比べる。
+     * 評価値は先頭（最善）の手のみ正確で、他は上限（評価値で手を選ぶキャラは全て正確。MoveSelector.needsScores）
+     * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
+     * @param {number} turn - 手番 (1 or -1)
+     * @param {Object} config - キャラクター設定
+     * @param {Object} rules - 対局ルール
+     * @param {{r: number, c: number}[]} moves - 担当する手（合法手でないものは無視する）
+     * @param {{used: number}} [clock] - この対局で AI が既に使った時間 (ms)
+     * @returns {Promise<{iterations: {depth: number, moves: {r: number, c: number, score: number}[], endgame?: boolean}[],
+     *           endgame: boolean, nodes: number, phase: string, fallback: {r: number, c: number, score: number}|null}|null>}
+     *           担当する合法手がなければ null
+     *           終盤読み切りの結果は endgame 付きで最後に入る（その前は読み切りの前に浅く読んだ反復深化）
+     *           fallback は深さ1も読み終えられなかったときの手（途中まで読んだ最善手か、先頭の手の静的評価）
+     */
+    async searchRoot(board, turn, config, rules, moves, clock = null) {
+        const search = this._beginSearch(board, turn, config, rules, false, clock);
+
+        // 最善手の安定度は担当する手だけでは判断できないので、目安時間は伸び縮みさせない
+        this.adaptiveTime = false;
+        const assigned = new Set(moves.map(m => this.bb.toIndex(m.r, m.c)));
+        search.validMoves = search.validMoves.filter(sq => assigned.has(sq));
+        if (search.validMoves.length === 0) return null;
+
+        const result = await this._runSearch(search);
+        const fallback = this.iterations.length > 0 ? null : this._scoredFallback(search, result.bestMove);
+        return { iterations: this.iterations, endgame: result.endgame, nodes: this.nodesSearched, phase: search.phase, fallback };
+    }
+
+    /**
+     * 探索せずに決まる手を返す（定跡手か、先読みで読み終えている局面の手）
+     * 並列探索では先読みの結果を持つのはこの Worker だけなので、手を分担する前に確かめる
+     * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
+     * @param {number} turn - 手番 (1 or -1)
+     * @param {Object} config - キャラクター設定
+     * @param {Object} [rules] - 対局ルール
+     * @returns {Promise<{r: number, c: number}|null>} 探索が必要なら null
+     */
+    async quickMove(board, turn, config, rules = {}) {
+        const bookMove = this.bookMove(board, turn, config, rules);
+        if (bookMove) return bookMove;
+
+        const search = this._beginSearch(board, turn, config, rules, false);
+        return this._ponderedMove(search);
+    }
+
+    /**
+     * 先読み（相手の手番の間に呼ぶ。cancel() されるか、全ての応手を読み終えるまで続ける）
+     * 相手の応手を浅く読んで有力な順に並べ、応手後の局面を自分の手番として読んでおく。
+     * 読んだ結果は置換表に残るので、実際に指された後の computeMove はその続きから深く読める。
+     * 最大深さ（または終盤の読み切り）まで読み終えた局面は、computeMove で結果をそのまま返す。
+     * 置換表を使わない設定では読んだ結果を次に生かせないので、先読みしない
+     * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
+     * @param {number} turn - 相手（これから指す側）の手番
+     * @param {Object} config - 自分のキャラクター設定
+     * @param {Object} [rules] - 対局ルール
+     * @returns {Promise<number>} 最大深さまで読み終えた応手の数（nodeLimit のある設定では先読みしないので 0）
+     */
+    async ponder(board, turn, config, rules = {}) {
+        this.ponderResults.clear();
+        // ノード数で制限する設定は毎回置換表を空にして読むので、先読みしても使われない
+        const { ponder, nodeLimit } = this._normalizeConfig(config);
+        if (!ponder || nodeLimit > 0) return 0;
+
+        // 相手の立場で浅く読み、有力な応手から順に読む
+        const guess = await this._withConfig(config, { maxDepth: UnifiedAIEngine.PONDER_GUESS_DEPTH },
+            cfg => this.analyze(board, turn, cfg, rules));
+        if (!guess || this.cancelRequested) return 0;
+
+        let completed = 0;
+        for (const reply of guess.moves) {
+            const next = this._boardAfter(board, reply, turn);
+
+            // 短い探索を繰り返し、置換表に残った結果を足場に少しずつ深く読む
+            // （読み終わらない応手で止まらないよう、回数に上限を設ける）
+            for (let slice = 0; slice < UnifiedAIEngine.PONDER_REPLY_SLICES; slice++) {
+                const search = this._beginSearch(next, -turn, config, rules, false);
+                if (search.validMoves.length === 0) break;
+
+                this.currentConfig.timeLimit = this.timeTarget = UnifiedAIEngine.PONDER_SLICE;
+                this.adaptiveTime = false;
+                const result = await this._runSearch(search);
+                if (this.cancelRequested) return completed;
+
+                const finished = result.endgame ? !this.timeUp : result.depth >= this.currentConfig.maxDepth;
+                if (finished || search.validMoves.length === 1) {
+                    const move = search.validMoves.length === 1 ? this._toMove(search.validMoves[0]) : result.bestMove;
+                    this.ponderResults.set(this._positionKey(search),
+                        { move: { r: move.r, c: move.c }, signature: this.ttSignature });
+                    completed++;
+                    break;
+                }
+            }
+        }
+
+        return completed;
+    }
+
+    /**
+     * 探索の準備（設定・盤面サイズ・置換表・時間配分を整え、ルート局面の情報をまとめる）
+     * @param {boolean} analysis - 解析モード（全ての手を正確に読む。最善手順の復元に置換表を使う）
+     * @param {{used: number}} [clock] - この対局で AI が既に使った時間 (ms)
+     */
+    _beginSearch(board, turn, config, rules, analysis, clock = null) {
         this.startTime = Date.now();
         this.nodesSearched = 0;
+        this.timeUp = false;
+        this.cancelRequested = false;
         this.currentConfig = this._normalizeConfig(config);
+        if (analysis) {
+            this.currentConfig.useTranspositionTable = true;
+        }
+        this.analysisMode = analysis;
+        this.pvMoves.clear();
+        this.iterations = [];
+        this.discSign = rules.anti ? -1 : 1;
+        this._setBoardSize(board.length);
+
+        // 探索は全てビットボード上で行う（手番側 = player）
+        const { player, opponent } = this.bb.fromBoard(board, turn);
 
-        const emptyCount = this._countEmpty(board);
-        const currentTurn = 64 - emptyCount - 4 + 1;
+        const emptyCount = this._countEmpty(player, opponent);
+        const currentTurn = this.bb.squares - emptyCount - 4 + 1;
         const phase = this._getPhase(currentTurn);
+        this.rootPhase = phase;
+
+        this.patternEvaluator = this._selectPatternEvaluator(rules);
+        this.weightTable = this.patternEvaluator ? null : this._buildWeightTable();
+        this._prepareTranspositionTable();
+        this._planTime(emptyCount, clock);
+        this.random = this._createRandom(this.currentConfig.seed, board, turn);
+        const hash = this.tt ? TranspositionTable.hash(player, opponent, turn) : 0n;
 
         if (this.debugMode) {
             console.log(`[UnifiedAI] Turn: ${currentTurn}, Phase: ${phase}, Empty: ${emptyCount}`);
@@ -67,45 +422,101 @@ class UnifiedAIEngine {
         }
 
         // 合法手取得
-        const validMoves = GameCore.getValidMoves(board, turn);
-        if (validMoves.length === 0) return null;
-        if (validMoves.length === 1) return validMoves[0];
+        const validMoves = Bitboard.toSquareList(this.bb.getMoves(player, opponent));
 
-        let bestMove;
+        return { player, opponent, hash, color: turn, emptyCount, phase, validMoves };
+    }
 
+    /**
+     * 終盤読み切りか反復深化で探索する
+     * 空きマスが endgameSolverDepth 以下なら石差まで、wldSolverDepth 以下なら勝敗だけを読み切る
+     * @returns {Promise<{bestMove: Object, scoredMoves: Object[], depth: number, endgame: boolean, wld?: boolean}>}
+     */
+    async _runSearch({ player, opponent, hash, color, emptyCount, validMoves }) {
         // 終盤読み切りモード
-        if (this.currentConfig.endgameSolverDepth > 0 &&
-            emptyCount <= this.currentConfig.endgameSolverDepth) {
+        const { endgameSolverDepth, wldSolverDepth } = this.currentConfig;
+        const exact = endgameSolverDepth > 0 && emptyCount <= endgameSolverDepth;
+        if (exact || (wldSolverDepth > 0 && emptyCount <= wldSolverDepth)) {
             if (this.debugMode) {
-                console.log('[UnifiedAI] Mode: Perfect Endgame');
+                console.log(`[UnifiedAI] Mode: ${exact ? 'Perfect Endgame' : 'WLD Endgame'}`);
             }
-            bestMove = await this._perfectEndgame(board, turn, validMoves);
-        } else {
-            // 反復深化モード
-            if (this.debugMode) {
-                console.log('[UnifiedAI] Mode: Iterative Deepening');
-            }
-            bestMove = await this._iterativeDeepening(board, turn, validMoves, phase);
+            return this._solveEndgame(player, opponent, validMoves, hash, color, !exact);
         }
 
+        // 反復深化モード
         if (this.debugMode) {
-            console.log(`[UnifiedAI] Result: (${bestMove.r}, ${bestMove.c}), Nodes: ${this.nodesSearched}, Time: ${Date.now() - this.startTime}ms`);
+            console.log('[UnifiedAI] Mode: Iterative Deepening');
+        }
+        return this._iterativeDeepening(player, opponent, validMoves, hash, color);
+    }
+
+    /**
+     * 探索中に記録した最善手（なければ置換表の最善手）をたどって、最善手順（PV）を復元する
+     * @param {number} firstSq - ルートの最善手
+     * @param {number} maxLength - 最大の手数（パスは数えない）
+     * @returns {({r: number, c: number}|{pass: true})[]}
+     */
+    _extractPV(player, opponent, hash, color, firstSq, maxLength) {
+        const pv = [];
+        let sq = firstSq;
+        let length = 0;
+
+        while (sq >= 0 && length < maxLength) {
+            const flips = this.bb.getFlips(player, opponent, sq);
+            if (flips === 0n) break;
+
+            pv.push(this._toMove(sq));
+            length++;
+            hash = this._childHash(hash, sq, flips, color);
+            [player, opponent] = [opponent ^ flips, player | flips | this.bb.bit[sq]];
+            color = -color;
+
+            if (this.bb.getMoves(player, opponent) === 0n) {
+                if (this.bb.getMoves(opponent, player) === 0n) break;
+                pv.push({ pass: true });
+                hash = this._passHash(hash);
+                [player, opponent] = [opponent, player];
+                color = -color;
+            }
+
+            if (this.pvMoves.has(hash)) {
+                sq = this.pvMoves.get(hash);
+            } else {
+                const index = this.tt ? this.tt.probe(hash) : -1;
+                sq = index >= 0 ? this.tt.moves[index] : -1;
+            }
         }
 
-        return bestMove;
+        return pv;
     }
 
     // ========== 探索アルゴリズム ==========
 
     /**
      * 反復深化探索
+     * @returns {Promise<{bestMove: Object, scoredMoves: Object[], depth: number, endgame: boolean}>}
+     *          depth は最後まで読み終えた深さ
      */
-    async _iterativeDeepening(board, turn, validMoves, phase) {
-        let bestMove = validMoves[0];
+    async _iterativeDeepening(player, opponent, validMoves, hash, color) {
+        const config = this.currentConfig;
+        let bestMove = this._toMove(validMoves[0]);
         let scoredMoves = [];
         let lastCompletedDepth = 0;
+        let previousScore = null;
+
+        // 全ての手の正確な評価値が必要か（評価値で手を選ぶキャラのため。解析時も必要）
+        const exactRoot = this.analysisMode || MoveSelector.needsScores(config);
+
+        let rootMoves = config.useMoveOrdering ? this._orderMoves(validMoves) : validMoves;
+        this._resetMoveOrderingTables();
 
-        for (let depth = 1; depth <= this.currentConfig.maxDepth; depth++) {
+        // 前の深さの最善手と、それが同じまま続いた深さの数
+        let previousBest = -1;
+        let stableDepths = 0;
+
+        for (let depth = 1; depth <= config.maxDepth; depth++) {
+            // 深さごとにイベントループへ制御を返し、中断要求を受け取れるようにする
+            await this._yield();
             if (this._isTimeUp()) {
                 if (this.debugMode) {
                     console.log(`[UnifiedAI] Timeout at depth ${depth}`);
@@ -113,15 +524,51 @@ class UnifiedAIEngine {
                 break;
             }
 
+            // 目安時間を過ぎたら次の深さには進まない
+            if (lastCompletedDepth > 0 && this._elapsed() >= this.timeTarget) {
+                if (this.debugMode) {
+                    console.log(`[UnifiedAI] Time target reached before depth ${depth}`);
+                }
+                break;
+            }
+
             try {
-                scoredMoves = this._searchAtDepth(board, turn, validMoves, depth, phase);
+                this.iterationDepth = depth;
+                scoredMoves = exactRoot
+                    ? this._searchAtDepth(player, opponent, rootMoves, depth, hash, color)
+                    : this._searchWithAspiration(player, opponent, rootMoves, depth, hash, color, previousScore);
                 bestMove = this._selectMove(scoredMoves);
+                previousScore = scoredMoves[0].score;
                 lastCompletedDepth = depth;
+                this.iterations.push({ depth, moves: scoredMoves });
+                this._reportProgress(depth, scoredMoves[0], false);
+
+                // 最善手が変わったら目安時間を延ばし（上限まで）、同じ手が大差で続いていれば打ち切る
+                const best = this.bb.toIndex(scoredMoves[0].r, scoredMoves[0].c);
+                const changed = previousBest >= 0 && best !== previousBest;
+                stableDepths = best === previousBest ? stableDepths + 1 : 0;
+                previousBest = best;
+                if (this.adaptiveTime && changed) {
+                    this.timeTarget = Math.min(this.timeTarget * UnifiedAIEngine.TIME_EXTENSION, config.timeLimit);
+                } else if (this.adaptiveTime && stableDepths >= UnifiedAIEngine.DOMINANCE_DEPTHS && depth < config.maxDepth &&
+                    this._dominates(player, opponent, scoredMoves, depth, hash, color, exactRoot)) {
+                    if (this.debugMode) {
+                        console.log(`[UnifiedAI] Best move dominates at depth ${depth}`);
+                    }
+                    break;
+                }
+
+                // 前の深さの評価順（最善手が先頭）で次の深さを読む
+                if (config.useMoveOrdering) {
+                    rootMoves = scoredMoves.map(m => this.bb.toIndex(m.r, m.c));
+                }
+                this._ageHistory();
             } catch (e) {
                 if (e.message === 'TIMEOUT') {
                     if (this.debugMode) {
                         console.log(`[UnifiedAI] Timeout during depth ${depth}`);
                     }
+                    bestMove = this._partialBest(bestMove, lastCompletedDepth, scoredMoves[0]) || bestMove;
                     break;
                 }
                 throw e;
@@ -132,200 +579,616 @@ class UnifiedAIEngine {
             console.log(`[UnifiedAI] Completed Depth: ${lastCompletedDepth}`);
         }
 
-        return bestMove;
+        return { bestMove, scoredMoves, depth: lastCompletedDepth, endgame: false };
     }
 
     /**
-     * 指定深度での探索
+     * 指定深度での探索（全ての手をフルウィンドウで読み、正確な評価値を付ける）
+     * @param {number[]} rootMoves - 読む順に並べたマス番号
      */
-    _searchAtDepth(board, turn, validMoves, depth, phase) {
+    _searchAtDepth(player, opponent, rootMoves, depth, hash, color) {
         const scoredMoves = [];
+        this.partialMoves = scoredMoves;
 
-        // Move Ordering
-        const orderedMoves = this.currentConfig.useMoveOrdering
-            ? this._orderMoves(board, turn, validMoves)
-            : validMoves;
+        for (const sq of rootMoves) {
+            if (this._isTimeUp()) throw new Error('TIMEOUT');
+
+            const flips = this.bb.getFlips(player, opponent, sq);
+            const score = -this._negamax(
+                opponent ^ flips, player | flips | this.bb.bit[sq],
+                depth - 1, -Infinity, Infinity,
+                this._childHash(hash, sq, flips, color), -color
+            );
+            // 読んでいる途中で時間切れになった手の評価値は不正確なので使わない
+            if (this.timeUp) throw new Error('TIMEOUT');
+            scoredMoves.push({ ...this._toMove(sq), score });
+        }
 
-        for (const move of orderedMoves) {
+        scoredMoves.sort((a, b) => b.score - a.score);
+        return scoredMoves;
+    }
+
+    /**
+     * 最善手だけを求める探索（Aspiration Window 付き）
+     * 前の深さの評価値を中心とした狭い窓で読み、外れたらその側の窓を開いて読み直す
+     */
+    _searchWithAspiration(player, opponent, rootMoves, depth, hash, color, previousScore) {
+        const config = this.currentConfig;
+        let alpha = -Infinity;
+        let beta = Infinity;
+
+        if (config.useAspiration && previousScore !== null && Number.isFinite(previousScore)) {
+            alpha = previousScore - config.aspirationWindow;
+            beta = previousScore + config.aspirationWindow;
+        }
+
+        for (;;) {
+            const scoredMoves = this._searchRoot(player, opponent, rootMoves, depth, alpha, beta, hash, color);
+            const best = scoredMoves[0].score;
+
+            if (best <= alpha) {
+                if (this.debugMode) console.log(`[UnifiedAI] Aspiration fail-low at depth ${depth}`);
+                alpha = -Infinity;
+            } else if (best >= beta) {
+                if (this.debugMode) console.log(`[UnifiedAI] Aspiration fail-high at depth ${depth}`);
+                beta = Infinity;
+            } else {
+                return scoredMoves;
+            }
+        }
+    }
+
+    /**
+     * ルート局面の α-β 探索（PVS 対応）
+     * 先頭の手以外は評価値の上限しか求めないので、返り値は最善手のみ正確
+     */
+    _searchRoot(player, opponent, rootMoves, depth, alpha, beta, hash, color) {
+        const scoredMoves = [];
+        this.partialMoves = scoredMoves;
+        let first = true;
+
+        for (const sq of rootMoves) {
             if (this._isTimeUp()) throw new Error('TIMEOUT');
 
-            const nextBoard = GameCore.simulateMove(board, move.r, move.c, turn);
-            const score = this._negamax(
-                nextBoard, depth - 1, -Infinity, Infinity, false, turn, phase
+            const flips = this.bb.getFlips(player, opponent, sq);
+            const score = this._searchChild(
+                opponent ^ flips, player | flips | this.bb.bit[sq],
+                depth - 1, alpha, beta,
+                this._childHash(hash, sq, flips, color), -color, first
             );
-            scoredMoves.push({ ...move, score });
+            if (this.timeUp) throw new Error('TIMEOUT');
+            scoredMoves.push({ ...this._toMove(sq), score });
+            first = false;
+
+            if (score > alpha) alpha = score;
+            if (alpha >= beta) break;
         }
 
         scoredMoves.sort((a, b) => b.score - a.score);
         return scoredMoves;
     }
 
+    /**
+     * 子局面を読んで、親から見た評価値を返す
+     * PVS が有効なら、最初の手以外はまずヌルウィンドウで読み、α を超えたときだけ読み直す
+     */
+    _searchChild(player, opponent, depth, alpha, beta, hash, color, isFirst) {
+        if (isFirst || !this.currentConfig.usePVS) {
+            return -this._negamax(player, opponent, depth, -beta, -alpha, hash, color);
+        }
+
+        let score = -this._negamax(player, opponent, depth, -alpha - 1, -alpha, hash, color);
+        if (score > alpha && score < beta) {
+            score = -this._negamax(player, opponent, depth, -beta, -alpha, hash, color);
+        }
+        return score;
+    }
+
     /**
      * NegaMax探索（α-β枝刈り付き）
+     * 評価値は常に手番側 (player) から見た値
+     * @param {bigint} hash - 局面のZobristハッシュ（置換表が無効なら 0n）
+     * @param {number} color - 手番側の色（ハッシュの差分更新に使う）
      */
-    _negamax(board, depth, alpha, beta, isMaximizing, aiTurn, phase) {
+    _negamax(player, opponent, depth, alpha, beta, hash, color) {
         this.nodesSearched++;
 
         if (depth === 0 || this._isTimeUp()) {
-            return this._evaluate(board, aiTurn, phase);
+            return this._evaluate(player, opponent);
         }
 
-        const turnOwner = isMaximizing ? aiTurn : -aiTurn;
-        const validMoves = GameCore.getValidMoves(board, turnOwner);
+        // 置換表の参照
+        const tt = this.tt;
+        let ttMove = -1;
+        if (tt) {
+            const index = tt.probe(hash);
+            if (index >= 0) {
+                const cached = tt.cutoff(index, depth, alpha, beta);
+                if (cached !== null) return cached;
+                ttMove = tt.moves[index];
+            }
+        }
+
+        const moves = this.bb.getMoves(player, opponent);
 
-        if (validMoves.length === 0) {
+        if (moves === 0n) {
             // パス判定
-            const opponentMoves = GameCore.getValidMoves(board, -turnOwner);
-            if (opponentMoves.length === 0) {
+            if (this.bb.getMoves(opponent, player) === 0n) {
                 // ゲーム終了
-                return this._evaluateFinal(board, aiTurn);
+                return this._evaluateFinal(player, opponent);
             }
-            return this._negamax(board, depth - 1, alpha, beta, !isMaximizing, aiTurn, phase);
-        }
-
-        // Move Ordering（深い探索時のみ）
-        const orderedMoves = (this.currentConfig.useMoveOrdering && depth >= 2)
-            ? this._orderMoves(board, turnOwner, validMoves)
-            : validMoves;
-
-        if (isMaximizing) {
-            let maxEval = -Infinity;
-            for (const move of orderedMoves) {
-                const nextBoard = GameCore.simulateMove(board, move.r, move.c, turnOwner);
-                const evalVal = this._negamax(nextBoard, depth - 1, alpha, beta, false, aiTurn, phase);
-                maxEval = Math.max(maxEval, evalVal);
-                alpha = Math.max(alpha, evalVal);
-                if (beta <= alpha) break;
+            return -this._negamax(
+                opponent, player, depth - 1, -beta, -alpha,
+                this._passHash(hash), -color
+            );
+        }
+
+        // Move Ordering（深い探索時のみ）。置換表の最善手は常に最初に読む
+        const ply = this.iterationDepth - depth;
+        const squares = Bitboard.toSquareList(moves);
+        const orderedMoves = this._withFirstMove(
+            (this.currentConfig.useMoveOrdering && depth >= 2) ? this._orderMoves(squares, ply, color) : squares,
+            ttMove
+        );
+
+        const alphaOrig = alpha;
+        let bestEval = -Infinity;
+        let bestMove = -1;
+        let first = true;
+        for (const sq of orderedMoves) {
+            const flips = this.bb.getFlips(player, opponent, sq);
+            const evalVal = this._searchChild(
+                opponent ^ flips, player | flips | this.bb.bit[sq],
+                depth - 1, alpha, beta,
+                this._childHash(hash, sq, flips, color), -color, first
+            );
+            first = false;
+            if (evalVal > bestEval) {
+                bestEval = evalVal;
+                bestMove = sq;
             }
-            return maxEval;
-        } else {
-            let minEval = Infinity;
-            for (const move of orderedMoves) {
-                const nextBoard = GameCore.simulateMove(board, move.r, move.c, turnOwner);
-                const evalVal = this._negamax(nextBoard, depth - 1, alpha, beta, true, aiTurn, phase);
-                minEval = Math.min(minEval, evalVal);
-                beta = Math.min(beta, evalVal);
-                if (beta <= alpha) break;
+            alpha = Math.max(alpha, evalVal);
+            if (beta <= alpha) {
+                this._recordCutoff(sq, ply, depth, color);
+                break;
             }
-            return minEval;
         }
+
+        this._storeResult(hash, depth, bestEval, alphaOrig, beta, bestMove);
+        return bestEval;
     }
 
     /**
-     * 終盤完全読み
+     * 終盤読み切り（読み切れなければ反復深化の結果を使う）
+     * 1. 浅い反復深化でルートの手を並べ、読み切れなかったときの手を用意する
+     * 2. 制限時間の ENDGAME_SOLVER_SHARE まで読み切る。勝ちの手が見つかれば、読み切れなくてもその手を打つ
+     * 3. 読み切れなければ、負けと分かった手を除いて残りの時間で反復深化する
+     * @param {boolean} wld - 勝敗だけを読む
+     * @returns {Promise<{bestMove: Object, scoredMoves: Object[], depth: number, endgame: boolean, wld?: boolean}>}
+     *          読み切れなかったときは反復深化の結果（endgame: false）
      */
-    async _perfectEndgame(board, turn, validMoves) {
-        const scoredMoves = [];
+    async _solveEndgame(player, opponent, validMoves, hash, color, wld) {
+        const config = this.currentConfig;
+        const { maxDepth, timeLimit } = config;
+
+        config.maxDepth = Math.min(maxDepth, UnifiedAIEngine.ENDGAME_PRESEARCH_DEPTH);
+        const presearch = await this._iterativeDeepening(player, opponent, validMoves, hash, color);
+        config.maxDepth = maxDepth;
+        if (this.timeUp) return presearch;
+
+        const rootMoves = presearch.scoredMoves.length > 0
+            ? this._withFirstMove(this._orderMoves(validMoves),
+                this.bb.toIndex(presearch.scoredMoves[0].r, presearch.scoredMoves[0].c))
+            : this._orderMoves(validMoves);
+
+        config.timeLimit = timeLimit * UnifiedAIEngine.ENDGAME_SOLVER_SHARE;
+        const solved = await this._perfectEndgame(player, opponent, rootMoves, hash, color, wld);
+        config.timeLimit = timeLimit;
+
+        const { scoredMoves } = solved;
+        if (!this.timeUp || (scoredMoves.length > 0 && scoredMoves[0].score > 0)) {
+            this.iterations.push({ depth: solved.depth, moves: scoredMoves, endgame: true });
+            return solved;
+        }
+        if (this.cancelRequested) return presearch;
 
-        // 終盤は角優先でOrdering
-        const orderedMoves = this._orderMoves(board, turn, validMoves);
+        if (this.debugMode) {
+            console.log(`[UnifiedAI] Endgame solver timed out after ${scoredMoves.length} moves`);
+        }
+        const lost = new Set(scoredMoves.filter(m => m.score < 0).map(m => this.bb.toIndex(m.r, m.c)));
+        const presearchIterations = this.iterations;
+        this.timeUp = false;
+        this.timeTarget = timeLimit;
+        this.iterations = [];
+        const fallback = await this._iterativeDeepening(player, opponent,
+            validMoves.filter(sq => !lost.has(sq)), hash, color);
+        if (fallback.depth === 0) {
+            this.iterations = presearchIterations;
+            return presearch;
+        }
+        return fallback;
+    }
+
+    /**
+     * 終盤完全読み（ルートの手を順に読み切る。時間切れになったら、そこまでに読み切った手を返す）
+     * 石差を読むときは、全ての手の正確な評価値が要る場合を除き、2手目以降は PVS で最善手を超えるかだけを調べる。
+     * 勝敗だけを読むときは (-1, 1) の窓で読み、勝ちの手が見つかればそこで打ち切る
+     * @param {number[]} rootMoves - 読む順に並べたマス番号
+     * @param {boolean} wld - 勝敗だけを読む（評価値は勝ち 1000・引き分け 0・負け -1000）
+     * @returns {Promise<{bestMove: Object, scoredMoves: Object[], depth: number, endgame: boolean, wld: boolean}>}
+     *          depth は読み切った空きマス数
+     */
+    async _perfectEndgame(player, opponent, rootMoves, hash, color, wld) {
+        const emptyCount = this._countEmpty(player, opponent);
+        const exactRoot = this.analysisMode || MoveSelector.needsScores(this.currentConfig);
+        const scoredMoves = [];
+        let alpha = -Infinity;
 
-        for (const move of orderedMoves) {
+        for (const sq of rootMoves) {
+            await this._yield();
             if (this._isTimeUp()) break;
 
-            const nextBoard = GameCore.simulateMove(board, move.r, move.c, turn);
-            const score = this._negamaxEndgame(nextBoard, -Infinity, Infinity, false, turn);
-            scoredMoves.push({ ...move, score });
+            const flips = this.bb.getFlips(player, opponent, sq);
+            const childPlayer = opponent ^ flips;
+            const childOpponent = player | flips | this.bb.bit[sq];
+            const childHash = this._childHash(hash, sq, flips, color);
+            let score;
+            if (wld) {
+                score = -this._negamaxEndgame(childPlayer, childOpponent, -1, 1, childHash, -color);
+                score = score > 0 ? 1000 : score < 0 ? -1000 : 0;
+            } else if (exactRoot || scoredMoves.length === 0) {
+                score = -this._negamaxEndgame(childPlayer, childOpponent, -Infinity, Infinity, childHash, -color);
+            } else {
+                score = -this._negamaxEndgame(childPlayer, childOpponent, -alpha - 1, -alpha, childHash, -color);
+                if (score > alpha && !this.timeUp) {
+                    score = -this._negamaxEndgame(childPlayer, childOpponent, -Infinity, -alpha, childHash, -color);
+                }
+            }
+            if (this.timeUp) break;
+            scoredMoves.push({ ...this._toMove(sq), score });
+            alpha = Math.max(alpha, score);
+
+            // 読み切った手の中での最善を途中経過として通知
+            const best = scoredMoves.reduce((a, b) => (b.score > a.score ? b : a));
+            this._reportProgress(emptyCount, best, true, wld);
+
+            if (wld && score > 0 && !exactRoot) break;
         }
 
         scoredMoves.sort((a, b) => b.score - a.score);
-        return this._selectMove(scoredMoves);
+        return {
+            bestMove: this._selectMove(scoredMoves) || this._toMove(rootMoves[0]),
+            scoredMoves,
+            depth: emptyCount,
+            endgame: true,
+            wld
+        };
     }
 
     /**
      * 終盤用NegaMax（石差のみ評価）
+     * 置換表には「読み切り済み」の深さで保存し、通常探索の結果とは区別する
      */
-    _negamaxEndgame(board, alpha, beta, isMaximizing, aiTurn) {
+    _negamaxEndgame(player, opponent, alpha, beta, hash, color) {
         this.nodesSearched++;
 
-        const turnOwner = isMaximizing ? aiTurn : -aiTurn;
-        const validMoves = GameCore.getValidMoves(board, turnOwner);
+        const tt = this.tt;
+        let ttMove = -1;
+        if (tt) {
+            const index = tt.probe(hash);
+            if (index >= 0) {
+                const cached = tt.cutoff(index, TranspositionTable.SOLVED_DEPTH, alpha, beta);
+                if (cached !== null) return cached;
+                ttMove = tt.moves[index];
+            }
+        }
+
+        // 確定石による枝刈り（最終石差の上限が α 以下なら、これ以上読まなくても α を超えない）
+        const upperBound = this._stabilityUpperBound(player, opponent, alpha);
+        if (upperBound <= alpha) return upperBound;
+
+        const moves = this.bb.getMoves(player, opponent);
 
-        if (validMoves.length === 0) {
-            const opponentMoves = GameCore.getValidMoves(board, -turnOwner);
-            if (opponentMoves.length === 0) {
+        if (moves === 0n) {
+            if (this.bb.getMoves(opponent, player) === 0n) {
                 // ゲーム終了 - 石差を返す
-                return this._evaluateFinal(board, aiTurn);
+                return this._evaluateFinal(player, opponent);
             }
-            return this._negamaxEndgame(board, alpha, beta, !isMaximizing, aiTurn);
+            return -this._negamaxEndgame(opponent, player, -beta, -alpha, this._passHash(hash), -color);
         }
 
         // 終盤はMove Ordering必須
-        const orderedMoves = this._orderMoves(board, turnOwner, validMoves);
-
-        if (isMaximizing) {
-            let maxEval = -Infinity;
-            for (const move of orderedMoves) {
-                if (this._isTimeUp()) return maxEval;
-                const nextBoard = GameCore.simulateMove(board, move.r, move.c, turnOwner);
-                const evalVal = this._negamaxEndgame(nextBoard, alpha, beta, false, aiTurn);
-                maxEval = Math.max(maxEval, evalVal);
-                alpha = Math.max(alpha, evalVal);
-                if (beta <= alpha) break;
+        const orderedMoves = this._orderEndgameMoves(player, opponent, moves, ttMove);
+
+        const alphaOrig = alpha;
+        let bestEval = -Infinity;
+        let bestMove = -1;
+        for (const { sq, flips } of orderedMoves) {
+            if (this._isTimeUp()) return bestEval;
+            const evalVal = -this._negamaxEndgame(
+                opponent ^ flips, player | flips | this.bb.bit[sq], -beta, -alpha,
+                this._childHash(hash, sq, flips, color), -color
+            );
+            if (evalVal > bestEval) {
+                bestEval = evalVal;
+                bestMove = sq;
+            }
+            alpha = Math.max(alpha, evalVal);
+            if (beta <= alpha) break;
+        }
+
+        this._storeResult(hash, TranspositionTable.SOLVED_DEPTH, bestEval, alphaOrig, beta, bestMove);
+        return bestEval;
+    }
+
+    /**
+     * 確定石から求めた最終評価（_evaluateFinal の尺度）の上限
+     * 最後まで残る石は確定石以上なので、相手の確定石（アンチリバーシでは自分の確定石）が多いほど上限は下がる
+     * 確定石の計算は重いので、石の数だけで α を超えうると分かる局面では計算しない
+     * @param {number} alpha - これを超えられるかだけを知りたい値
+     * @returns {number} 上限（計算を省いた場合は Infinity）
+     */
+    _stabilityUpperBound(player, opponent, alpha) {
+        // 最後まで残り続ける側の石（通常は相手、アンチリバーシでは自分）
+        const [keeper, other] = this.discSign > 0 ? [opponent, player] : [player, opponent];
+        const squares = this.bb.squares;
+        if ((squares - 2 * Bitboard.popcount(keeper)) * 1000 > alpha) return Infinity;
+
+        const stable = Bitboard.popcount(this.bb.getStable(keeper, other));
+        return (squares - 2 * stable) * 1000;
+    }
+
+    // ========== 時間管理 ==========
+
+    /**
+     * 1手に使う時間を決める
+     * 上限 (timeLimit) の 1/TIME_EXTENSION_MAX を目安時間とし、反復深化は目安を過ぎたら次の深さに進まない。
+     * 持ち時間 (timeBudget) があれば、残りを自分の残りの手数にフェーズの重みを付けて配分し、上限もそれに合わせて縮める。
+     * 解析は全ての手を正確に読むので、上限まで使う。
+     * nodeLimit があれば、timeLimit・持ち時間の代わりに nodeLimit を上限とし、目安も同じ割合のノード数にする
+     * （探索の深さが端末の速さで変わらないので、seed と合わせれば同じ局面で必ず同じ手になる）
+     * @param {number} emptyCount - ルート局面の空きマス数
+     * @param {{used: number}} [clock] - この対局で AI が既に使った時間 (ms)
+     */
+    _planTime(emptyCount, clock) {
+        const config = this.currentConfig;
+        this.adaptiveTime = !this.analysisMode;
+        if (config.nodeLimit > 0) {
+            config.timeLimit = config.nodeLimit;
+        }
+        if (this.analysisMode) {
+            this.timeTarget = config.timeLimit;
+            return;
+        }
+
+        if (config.timeBudget > 0 && config.nodeLimit === 0) {
+            const remaining = Math.max(0, config.timeBudget - (clock ? clock.used : 0));
+            let totalWeight = 0;
+            for (let empties = emptyCount; empties > 0; empties -= 2) {
+                totalWeight += this._timeWeight(empties);
             }
-            return maxEval;
-        } else {
-            let minEval = Infinity;
-            for (const move of orderedMoves) {
-                if (this._isTimeUp()) return minEval;
-                const nextBoard = GameCore.simulateMove(board, move.r, move.c, turnOwner);
-                const evalVal = this._negamaxEndgame(nextBoard, alpha, beta, true, aiTurn);
-                minEval = Math.min(minEval, evalVal);
-                beta = Math.min(beta, evalVal);
-                if (beta <= alpha) break;
+            const share = Math.max(UnifiedAIEngine.MIN_MOVE_TIME, remaining * this._timeWeight(emptyCount) / totalWeight);
+            config.timeLimit = Math.min(config.timeLimit, share * UnifiedAIEngine.TIME_EXTENSION_MAX);
+        }
+        this.timeTarget = config.timeLimit / UnifiedAIEngine.TIME_EXTENSION_MAX;
+
+        if (this.debugMode) {
+            const unit = config.nodeLimit > 0 ? ' nodes' : 'ms';
+            console.log(`[UnifiedAI] Time: target ${Math.round(this.timeTarget)}${unit}, limit ${Math.round(config.timeLimit)}${unit}`);
+        }
+    }
+
+    /**
+     * 持ち時間を配分するときの重み（空きマス数からフェーズを求める）
+     */
+    _timeWeight(empties) {
+        const phase = this._getPhase(this.bb.squares - empties - 4 + 1);
+        return UnifiedAIEngine.TIME_PHASE_WEIGHTS[phase];
+    }
+
+    /**
+     * 最善手が他の全ての手より DOMINANCE_MARGIN 以上良いか
+     * 評価値が全て正確なら次善手との差を見る。PVS・Aspiration Window では次善以下の評価値は上限でしかないので、
+     * 他の手を「最善手の評価値 - DOMINANCE_MARGIN」のヌルウィンドウで読み直し、全てそれ以下になることを確かめる
+     * @param {Object[]} scoredMoves - 読み終えた深さの手（評価順）
+     * @param {number} depth - 読み終えた深さ
+     * @param {boolean} exact - scoredMoves の評価値が全て正確か
+     * @returns {boolean}
+     */
+    _dominates(player, opponent, scoredMoves, depth, hash, color, exact) {
+        if (scoredMoves.length < 2) return false;
+
+        const threshold = scoredMoves[0].score - UnifiedAIEngine.DOMINANCE_MARGIN;
+        if (exact) return scoredMoves[1].score <= threshold;
+
+        for (const move of scoredMoves.slice(1)) {
+            if (move.score <= threshold) continue;
+            const sq = this.bb.toIndex(move.r, move.c);
+            const flips = this.bb.getFlips(player, opponent, sq);
+            const score = -this._negamax(
+                opponent ^ flips, player | flips | this.bb.bit[sq],
+                depth - 1, -threshold - 1, -threshold,
+                this._childHash(hash, sq, flips, color), -color
+            );
+            if (this.timeUp || score > threshold) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 時間切れで打ち切った深さの途中結果から、前の深さの最善手より良いと分かった手を求める
+     * 前の深さで選んだ手が最善手なら、それを読み終えていて、それより評価の高い手を読み終えていればその手。
+     * 最善手以外を選んでいた（ランダム性・悪手）か深さ1なら、読み終えた手の中から _selectMove で選び直す
+     * （途中結果の最善手をそのまま使うと、キャラクターの手の選び方が打ち消されるため）
+     * @param {{r: number, c: number}} bestMove - 前の深さまでに選んだ手
+     * @param {number} completedDepth - 読み終えた深さ
+     * @param {{r: number, c: number}} [previousTop] - 前の深さの最善手（評価順の先頭）
+     * @returns {{r: number, c: number, score: number}|null} なければ null
+     */
+    _partialBest(bestMove, completedDepth, previousTop) {
+        const partial = this.partialMoves;
+        if (partial.length === 0) return null;
+
+        if (completedDepth === 0 || previousTop.r !== bestMove.r || previousTop.c !== bestMove.c) {
+            return this._selectMove([...partial].sort((a, b) => b.score - a.score));
+        }
+
+        const best = partial.reduce((a, b) => (b.score > a.score ? b : a));
+        const previous = partial.find(m => m.r === bestMove.r && m.c === bestMove.c);
+        if (!previous || best.score <= previous.score) return null;
+
+        if (this.debugMode) {
+            console.log(`[UnifiedAI] Partial depth improves: (${best.r}, ${best.c})`);
+        }
+        return best;
+    }
+
+    // ========== キラームーブ・ヒストリー ==========
+
+    /**
+     * キラームーブ（深さごとに直近でβカットした2手）とヒストリー（色・マスごとのカット実績）を初期化
+     */
+    _resetMoveOrderingTables() {
+        this.iterationDepth = 0;
+        this.killers = Array.from({ length: this.currentConfig.maxDepth + 1 }, () => [-1, -1]);
+        this.history = new Int32Array(2 * this.bb.squares);
+    }
+
+    /**
+     * βカットを起こした手を記録する
+     */
+    _recordCutoff(sq, ply, depth, color) {
+        const config = this.currentConfig;
+
+        if (config.useKillerMoves && this.killers[ply]) {
+            const killers = this.killers[ply];
+            if (killers[0] !== sq) {
+                killers[1] = killers[0];
+                killers[0] = sq;
             }
-            return minEval;
         }
+
+        if (config.useHistoryHeuristic) {
+            const index = (color === 1 ? 0 : this.bb.squares) + sq;
+            this.history[index] = Math.min(this.history[index] + depth * depth, UnifiedAIEngine.HISTORY_MAX);
+        }
+    }
+
+    /**
+     * 深さが進むたびにヒストリーを半減させ、古い実績の影響を薄める
+     */
+    _ageHistory() {
+        for (let i = 0; i < this.history.length; i++) {
+            this.history[i] >>= 1;
+        }
+    }
+
+    // ========== 置換表 ==========
+
+    /**
+     * 設定に合わせて置換表を用意する
+     * テーブル自体はエンジンが保持し続け、computeMove ごとに世代だけを進める。
+     * 前の手番や先読みの評価値はそのまま使うが、評価関数・ルール・盤面サイズの
+     * どれかが変わると評価値の意味が変わるので、そのときは空にする。
+     * nodeLimit のある設定では、前の探索の結果で読む順や深さが変わらないよう毎回空にする
+     */
+    _prepareTranspositionTable() {
+        const { useTranspositionTable, ttSizeMB, patternWeights, weights, phases } = this.currentConfig;
+        const evaluation = this.patternEvaluator ? patternWeights : [weights, phases];
+        const signature = JSON.stringify([this.bb.size, this.discSign, evaluation]);
+        if (!useTranspositionTable) {
+            this.tt = null;
+            this.ttSignature = signature;
+            return;
+        }
+        if (!this.tt || this.tt.sizeMB !== ttSizeMB) {
+            this.tt = new TranspositionTable(ttSizeMB);
+        } else if (signature !== this.ttSignature || this.currentConfig.nodeLimit > 0) {
+            this.tt.clear();
+        }
+        this.ttSignature = signature;
+        this.tt.newSearch();
+    }
+
+    /**
+     * 子局面のハッシュ（置換表が無効なら計算しない）
+     */
+    _childHash(hash, sq, flips, color) {
+        return this.tt ? TranspositionTable.hashAfterMove(hash, sq, flips, color) : 0n;
+    }
+
+    /**
+     * パス後のハッシュ
+     */
+    _passHash(hash) {
+        return this.tt ? TranspositionTable.hashAfterPass(hash) : 0n;
+    }
+
+    /**
+     * 探索結果を置換表に保存する
+     * 時間切れで打ち切られた探索の値は不正確なので保存しない
+     */
+    _storeResult(hash, depth, score, alphaOrig, beta, bestMove) {
+        if (!this.tt || this.timeUp) return;
+
+        let flag = TranspositionTable.EXACT;
+        if (score <= alphaOrig) flag = TranspositionTable.UPPER;
+        else if (score >= beta) flag = TranspositionTable.LOWER;
+        else if (this.analysisMode) this.pvMoves.set(hash, bestMove);
+        this.tt.store(hash, depth, score, flag, bestMove);
     }
 
     // ========== 評価関数 ==========
 
     /**
-     * 盤面評価（フェーズ別重み適用）
+     * 盤面評価（盤上の石数に応じて補間した重みを適用）
+     * 各項目は「自分 - 相手」の形なので、手番側 (player) から見た値になる
      */
-    _evaluate(board, aiTurn, phase) {
-        const weights = this._getWeights(phase);
+    _evaluate(player, opponent) {
+        if (this.patternEvaluator) {
+            return this.patternEvaluator.evaluate(player, opponent, this.bb);
+        }
+
+        const weights = this.weightTable[Bitboard.popcount(player | opponent)];
         let score = 0;
 
         // 1. 位置評価
-        score += this._evaluatePosition(board, aiTurn) * weights.position;
+        score += this._evaluatePosition(player, opponent) * weights.position;
 
         // 2. 着手可能数
-        score += this._evaluateMobility(board, aiTurn) * weights.mobility;
+        score += this._evaluateMobility(player, opponent) * weights.mobility;
 
         // 3. 確定石（stabilityが設定されている場合のみ）
         if (weights.stability && weights.stability > 0) {
-            score += this._evaluateStability(board, aiTurn) * weights.stability;
+            score += this._evaluateStability(player, opponent) * weights.stability;
         }
 
         // 4. 石差
-        score += this._evaluateDiscDiff(board, aiTurn) * weights.discDiff;
+        score += this._evaluateDiscDiff(player, opponent) * weights.discDiff;
 
         // 5. 角評価
         if (weights.corner && weights.corner > 0) {
-            score += this._evaluateCorners(board, aiTurn) * weights.corner;
+            score += this._evaluateCorners(player, opponent) * weights.corner;
         }
 
         // 6. フロンティア評価（frontierが設定されている場合のみ）
         if (weights.frontier && weights.frontier > 0) {
-            score += this._evaluateFrontier(board, aiTurn) * weights.frontier;
+            score += this._evaluateFrontier(player, opponent) * weights.frontier;
         }
 
         return score;
     }
 
     /**
-     * 位置評価
+     * 位置評価（同じ重みのマスをまとめたマスクごとに、32bitワード単位で集計）
      */
-    _evaluatePosition(board, aiTurn) {
+    _evaluatePosition(player, opponent) {
+        const myWords = this.bb.toWords(player);
+        const opWords = this.bb.toWords(opponent);
         let score = 0;
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (board[r][c] === aiTurn) {
-                    score += UnifiedAIEngine.POSITION_WEIGHTS[r][c];
-                } else if (board[r][c] === -aiTurn) {
-                    score -= UnifiedAIEngine.POSITION_WEIGHTS[r][c];
-                }
+        for (const { weight, words } of this.positionMasks) {
+            for (let i = 0; i < words.length; i++) {
+                score += weight * (Bitboard.popcount32(myWords[i] & words[i]) - Bitboard.popcount32(opWords[i] & words[i]));
             }
         }
         return score;
@@ -334,53 +1197,19 @@ class UnifiedAIEngine {
     /**
      * 着手可能数評価
      */
-    _evaluateMobility(board, aiTurn) {
-        const myMoves = GameCore.getValidMoves(board, aiTurn).length;
-        const opMoves = GameCore.getValidMoves(board, -aiTurn).length;
+    _evaluateMobility(player, opponent) {
+        const myMoves = Bitboard.popcount(this.bb.getMoves(player, opponent));
+        const opMoves = Bitboard.popcount(this.bb.getMoves(opponent, player));
         return myMoves - opMoves;
     }
 
     /**
-     * 確定石評価（強化版 - 角からの連続確定石をカウント）
+     * 確定石評価（確定石の数の差。従来の辺の確定石と同じく1個2点）
      */
-    _evaluateStability(board, aiTurn) {
-        let myStable = 0;
-        let opStable = 0;
-
-        // 4つの角からそれぞれ確定石をカウント
-        const corners = [
-            { r: 0, c: 0, dr: [0, 1, 1], dc: [1, 0, 1] },  // 左上
-            { r: 0, c: 7, dr: [0, 1, 1], dc: [-1, 0, -1] }, // 右上
-            { r: 7, c: 0, dr: [0, -1, -1], dc: [1, 0, 1] }, // 左下
-            { r: 7, c: 7, dr: [0, -1, -1], dc: [-1, 0, -1] } // 右下
-        ];
-
-        for (const corner of corners) {
-            const owner = board[corner.r][corner.c];
-            if (owner === 0) continue;
-
-            // 角自体をカウント
-            if (owner === aiTurn) myStable += 3;
-            else opStable += 3;
-
-            // 辺方向に連続する確定石をカウント（横方向）
-            let c = corner.c + corner.dc[0];
-            while (c >= 0 && c < 8 && board[corner.r][c] === owner) {
-                if (owner === aiTurn) myStable += 2;
-                else opStable += 2;
-                c += corner.dc[0];
-            }
-
-            // 辺方向に連続する確定石をカウント（縦方向）
-            let r = corner.r + corner.dr[1];
-            while (r >= 0 && r < 8 && board[r][corner.c] === owner) {
-                if (owner === aiTurn) myStable += 2;
-                else opStable += 2;
-                r += corner.dr[1];
-            }
-        }
-
-        return myStable - opStable;
+    _evaluateStability(player, opponent) {
+        const myStable = Bitboard.popcount(this.bb.getStable(player, opponent));
+        const opStable = Bitboard.popcount(this.bb.getStable(opponent, player));
+        return (myStable - opStable) * 2;
     }
 
     /**
@@ -388,74 +1217,37 @@ class UnifiedAIEngine {
      * フロンティア = 空きマスに隣接している石の数
      * フロンティアが少ないほど有利（相手に置ける場所を与えない）
      */
-    _evaluateFrontier(board, aiTurn) {
-        let myFrontier = 0;
-        let opFrontier = 0;
-
-        const directions = [
-            [-1, -1], [-1, 0], [-1, 1],
-            [0, -1], [0, 1],
-            [1, -1], [1, 0], [1, 1]
-        ];
+    _evaluateFrontier(player, opponent) {
+        const empty = ~(player | opponent) & this.bb.full;
+        const frontier = this.bb.neighbours(empty);
 
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (board[r][c] === 0) continue;
-
-                // この石が空きマスに隣接しているかチェック
-                let hasEmptyNeighbor = false;
-                for (const [dr, dc] of directions) {
-                    const nr = r + dr;
-                    const nc = c + dc;
-                    if (nr >= 0 && nr < 8 && nc >= 0 && nc < 8 && board[nr][nc] === 0) {
-                        hasEmptyNeighbor = true;
-                        break;
-                    }
-                }
-
-                if (hasEmptyNeighbor) {
-                    if (board[r][c] === aiTurn) myFrontier++;
-                    else opFrontier++;
-                }
-            }
-        }
+        const myFrontier = Bitboard.popcount(player & frontier);
+        const opFrontier = Bitboard.popcount(opponent & frontier);
 
         // フロンティアは少ないほうが良い → 相手のフロンティア - 自分のフロンティア
         return opFrontier - myFrontier;
     }
 
     /**
-     * 石差評価
+     * 石差評価（アンチリバーシでは符号を反転）
      */
-    _evaluateDiscDiff(board, aiTurn) {
-        let myDiscs = 0, opDiscs = 0;
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (board[r][c] === aiTurn) myDiscs++;
-                else if (board[r][c] === -aiTurn) opDiscs++;
-            }
-        }
-        return myDiscs - opDiscs;
+    _evaluateDiscDiff(player, opponent) {
+        return (Bitboard.popcount(player) - Bitboard.popcount(opponent)) * this.discSign;
     }
 
     /**
      * 角評価
      */
-    _evaluateCorners(board, aiTurn) {
-        let score = 0;
-        const corners = [[0, 0], [0, 7], [7, 0], [7, 7]];
-        for (const [r, c] of corners) {
-            if (board[r][c] === aiTurn) score += 1;
-            else if (board[r][c] === -aiTurn) score -= 1;
-        }
-        return score;
+    _evaluateCorners(player, opponent) {
+        const corners = this.cornerMask;
+        return Bitboard.popcount(player & corners) - Bitboard.popcount(opponent & corners);
     }
 
     /**
-     * 最終評価（石差のみ）
+     * 最終評価（石差のみ。勝ち負けの向きは _evaluateDiscDiff に従う）
      */
-    _evaluateFinal(board, aiTurn) {
-        return this._evaluateDiscDiff(board, aiTurn) * 1000;
+    _evaluateFinal(player, opponent) {
+        return this._evaluateDiscDiff(player, opponent) * 1000;
     }
 
     // ========== 設定処理（後方互換性） ==========
@@ -469,9 +1261,29 @@ class UnifiedAIEngine {
             return {
                 maxDepth: config.ai.maxDepth || 4,
                 timeLimit: config.ai.timeLimit || 2000,
+                timeBudget: config.ai.timeBudget || 0,
                 endgameSolverDepth: config.ai.endgameSolverDepth || 0,
+                wldSolverDepth: config.ai.wldSolverDepth || 0,
                 randomness: config.ai.randomness !== undefined ? config.ai.randomness : 0,
+                temperature: config.ai.temperature || 0,
+                maxLoss: config.ai.maxLoss !== undefined ? config.ai.maxLoss : null,
+                blunderRate: config.ai.blunderRate || null,
                 useMoveOrdering: config.ai.useMoveOrdering || false,
+                useTranspositionTable: config.ai.useTranspositionTable || false,
+                ttSizeMB: config.ai.ttSizeMB || 8,
+                usePVS: config.ai.usePVS || false,
+                useAspiration: config.ai.useAspiration || false,
+                aspirationWindow: config.ai.aspirationWindow || 500,
+                useKillerMoves: config.ai.useKillerMoves || false,
+                useHistoryHeuristic: config.ai.useHistoryHeuristic || false,
+                // 先読みの結果は置換表に残して使うので、置換表なしでは先読みしない
+                ponder: !!(config.ai.ponder && config.ai.useTranspositionTable),
+                phases: { ...UnifiedAIEngine.PHASE_THRESHOLDS, ...config.ai.phases },
+                evaluator: config.ai.evaluator || 'features',
+                patternWeights: config.ai.patternWeights || 'default',
+                book: config.ai.book || null,
+                seed: config.ai.seed !== undefined ? config.ai.seed : null,
+                nodeLimit: config.ai.nodeLimit || 0,
                 weights: config.ai.weights || this._getDefaultWeights()
             };
         }
@@ -479,10 +1291,29 @@ class UnifiedAIEngine {
         // 旧フォーマット（後方互換）
         return {
             maxDepth: this._convertDepth(config.depth || 4),
-            timeLimit: 2000,
+            timeLimit: config.timeLimit || 2000,
+            timeBudget: 0,
             endgameSolverDepth: this._getEndgameDepthFromOldDepth(config.depth || 4),
+            wldSolverDepth: 0,
             randomness: config.randomness !== undefined ? config.randomness : 0,
+            temperature: config.temperature || 0,
+            maxLoss: config.maxLoss !== undefined ? config.maxLoss : null,
+            blunderRate: config.blunderRate || null,
             useMoveOrdering: (config.depth || 4) >= 4,
+            useTranspositionTable: false,
+            ttSizeMB: 8,
+            usePVS: false,
+            useAspiration: false,
+            aspirationWindow: 500,
+            useKillerMoves: false,
+            useHistoryHeuristic: false,
+            ponder: false,
+            phases: config.phases ? { ...UnifiedAIEngine.PHASE_THRESHOLDS, ...config.phases } : this._convertLegacyPhases(config),
+            evaluator: 'features',
+            patternWeights: 'default',
+            book: config.book || null,
+            seed: config.seed !== undefined ? config.seed : null,
+            nodeLimit: config.nodeLimit || 0,
             weights: this._convertLegacyWeights(config)
         };
     }
@@ -511,6 +1342,26 @@ class UnifiedAIEngine {
         return 0;
     }
 
+    /**
+     * 旧フォーマットのフェーズの境目
+     * dynamic_turn は switchTurn を中盤の中央にするので、early から late の重みへの切り替えがちょうど switchTurn になる。
+     * switchTurn が序盤・終盤に寄りすぎているときは、境目が 0 手目から終盤の開始までに収まるように詰める
+     */
+    _convertLegacyPhases(config) {
+        const params = config.parameters || {};
+        if (config.logicType !== 'dynamic_turn' || !params.switchTurn) return { ...UnifiedAIEngine.PHASE_THRESHOLDS };
+
+        const span = UnifiedAIEngine.LEGACY_SWITCH_SPAN;
+        const endgame = UnifiedAIEngine.PHASE_THRESHOLDS.endgame;
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        const opening = clamp(params.switchTurn - span, 0, endgame);
+        return {
+            opening,
+            midgame: clamp(params.switchTurn + span, opening, endgame),
+            endgame
+        };
+    }
+
     /**
      * 旧パラメータを新フォーマットに変換
      */
@@ -560,10 +1411,58 @@ class UnifiedAIEngine {
     }
 
     /**
-     * フェーズ別重みを取得
+     * 設定でパターン評価が選ばれていれば、その評価関数を返す
+     * 重みが読み込まれていない・盤面サイズが違う・アンチリバーシ（重みは通常ルールで作る）のときは
+     * null を返し、特徴量の評価で読む
+     * @returns {PatternEvaluator|null}
      */
-    _getWeights(phase) {
-        return this.currentConfig.weights[phase] || this.currentConfig.weights.midgame;
+    _selectPatternEvaluator(rules) {
+        const { evaluator, patternWeights } = this.currentConfig;
+        if (evaluator !== 'pattern' || rules.anti || typeof PatternEvaluator === 'undefined') return null;
+
+        const patterns = PatternEvaluator.get(patternWeights);
+        if (!patterns || patterns.size !== this.bb.size) {
+            if (this.debugMode) {
+                console.log(`[UnifiedAI] Pattern weights "${patternWeights}" unavailable for ${this.bb.size}x${this.bb.size}`);
+            }
+            return null;
+        }
+        return patterns;
+    }
+
+    /**
+     * 盤上の石数ごとの特徴量の重みを作る
+     * 各フェーズの重みをそのフェーズの中央の手数に置き、間は手数で線形に補間する（境目で評価が急に変わらないように）。
+     * 最初のフェーズの中央より前・最後のフェーズの中央より後は、そのフェーズの重みのまま
+     * @returns {Object[]} 添字は盤上の石数
+     */
+    _buildWeightTable() {
+        const { weights, phases } = this.currentConfig;
+        const total = UnifiedAIEngine.PHASE_THRESHOLDS.endgame;
+        const anchors = [
+            { turn: phases.opening / 2, weights: weights.opening || weights.midgame },
+            { turn: (phases.opening + phases.midgame) / 2, weights: weights.midgame },
+            { turn: (phases.midgame + total) / 2, weights: weights.endgame || weights.midgame }
+        ];
+        const keys = [...new Set(anchors.flatMap(anchor => Object.keys(anchor.weights)))];
+        const scale = (this.bb.squares - 4) / total;
+
+        const table = [];
+        for (let discs = 0; discs <= this.bb.squares; discs++) {
+            // 次に打つのが何手目か（8x8 の手数に換算）
+            const turn = (discs - 3) / scale;
+            const i = turn > anchors[1].turn ? 1 : 0;
+            const from = anchors[i];
+            const to = anchors[i + 1];
+            const t = to.turn > from.turn ? Math.min(1, Math.max(0, (turn - from.turn) / (to.turn - from.turn))) : 1;
+
+            const entry = {};
+            for (const key of keys) {
+                entry[key] = (from.weights[key] || 0) * (1 - t) + (to.weights[key] || 0) * t;
+            }
+            table.push(entry);
+        }
+        return table;
     }
 
     /**
@@ -580,82 +1479,351 @@ class UnifiedAIEngine {
     // ========== ユーティリティ ==========
 
     /**
-     * フェーズ判定
+     * フェーズ判定（キャラクターの phases の境目で分ける）
      */
     _getPhase(currentTurn) {
-        if (currentTurn <= UnifiedAIEngine.PHASE_THRESHOLDS.opening) return 'opening';
-        if (currentTurn <= UnifiedAIEngine.PHASE_THRESHOLDS.midgame) return 'midgame';
+        const { phases } = this.currentConfig;
+        const scale = (this.bb.squares - 4) / UnifiedAIEngine.PHASE_THRESHOLDS.endgame;
+        if (currentTurn <= phases.opening * scale) return 'opening';
+        if (currentTurn <= phases.midgame * scale) return 'midgame';
         return 'endgame';
     }
 
     /**
      * 空きマス数
      */
-    _countEmpty(board) {
-        let count = 0;
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (board[r][c] === 0) count++;
-            }
-        }
-        return count;
+    _countEmpty(player, opponent) {
+        return this.bb.squares - Bitboard.popcount(player | opponent);
     }
 
     /**
      * タイムアウト判定
      */
     _isTimeUp() {
-        return Date.now() - this.startTime > this.currentConfig.timeLimit;
+        // 一度時間切れになったら、その探索が終わるまで時間切れのまま扱う
+        if (!this.timeUp &&
+            (this.cancelRequested || this._elapsed() > this.currentConfig.timeLimit)) {
+            this.timeUp = true;
+        }
+        return this.timeUp;
     }
 
     /**
-     * Move Ordering（角優先、位置重み順）
+     * 探索開始からの経過（nodeLimit のある設定では読んだノード数、なければ ms）
+     */
+    _elapsed() {
+        return this.currentConfig.nodeLimit > 0 ? this.nodesSearched : Date.now() - this.startTime;
+    }
+
+    /**
+     * 途中経過を通知する
+     * @param {number} depth - 読み終えた深さ（終盤読み切りでは空きマス数）
+     * @param {{r: number, c: number, score: number}} best - その時点の最善手（手番側から見た評価値）
+     * @param {boolean} endgame - 終盤読み切り中か
+     * @param {boolean} [wld] - 勝敗だけの読み切りか（評価値は勝ち 1000・引き分け 0・負け -1000）
+     */
+    _reportProgress(depth, best, endgame, wld = false) {
+        if (!this.onProgress) return;
+        this.onProgress({
+            depth,
+            move: { r: best.r, c: best.c },
+            score: best.score,
+            nodes: this.nodesSearched,
+            elapsed: Date.now() - this.startTime,
+            endgame,
+            wld
+        });
+    }
+
+    /**
+     * イベントループに制御を返す（Worker で CANCEL メッセージを受け取るため）
+     */
+    _yield() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * 設定の一部を差し替えて処理を呼ぶ（旧フォーマットの設定も正規化してから差し替える）
+     * @param {Object} config - キャラクター設定
+     * @param {Object} overrides - 差し替える項目（正規化後の名前）
+     * @param {function(Object): *} fn - 差し替えた設定（ai フォーマット）を受け取る
+     */
+    _withConfig(config, overrides, fn) {
+        return fn({ ai: { ...this._normalizeConfig(config), ...overrides } });
+    }
+
+    /**
+     * {r, c} に turn の石を置いた後の盤面
+     */
+    _boardAfter(board, move, turn) {
+        const bb = Bitboard.of(board.length);
+        const { player, opponent } = bb.fromBoard(board, turn);
+        const sq = bb.toIndex(move.r, move.c);
+        const flips = bb.getFlips(player, opponent, sq);
+        return bb.toBoard(player | flips | bb.bit[sq], opponent ^ flips, turn);
+    }
+
+    /**
+     * 先読みで読み終えている局面なら、その手（評価関数・ルールなどが変わっていれば使わない）
+     * @returns {{r: number, c: number}|null}
+     */
+    _ponderedMove(search) {
+        const pondered = this.ponderResults.get(this._positionKey(search));
+        if (!pondered || pondered.signature !== this.ttSignature) return null;
+
+        if (this.debugMode) {
+            console.log(`[UnifiedAI] Pondered: (${pondered.move.r}, ${pondered.move.c})`);
+        }
+        return { ...pondered.move };
+    }
+
+    /**
+     * 評価値の付いた手にする（評価値がなければ、打った後の局面の静的評価を手番側から見た値で付ける）
+     */
+    _scoredFallback({ player, opponent }, move) {
+        if (move.score !== undefined && move.score !== null) return { r: move.r, c: move.c, score: move.score };
+
+        const sq = this.bb.toIndex(move.r, move.c);
+        const flips = this.bb.getFlips(player, opponent, sq);
+        return { r: move.r, c: move.c, score: -this._evaluate(opponent ^ flips, player | flips | this.bb.bit[sq]) };
+    }
+
+    /**
+     * 先読みの結果を引くための局面キー
+     */
+    _positionKey({ player, opponent, color }) {
+        return `${this.bb.size}:${color}:${player}:${opponent}`;
+    }
+
+    /**
+     * マス番号を {r, c} に変換
+     */
+    _toMove(sq) {
+        return { r: Math.floor(sq / this.bb.size), c: sq % this.bb.size };
+    }
+
+    /**
+     * 盤面サイズに合わせて事前計算テーブルを用意する（サイズが変わったときだけ作り直す）
+     */
+    _setBoardSize(size) {
+        if (this.bb && this.bb.size === size) return;
+
+        this.bb = Bitboard.of(size);
+        this.positionWeights = UnifiedAIEngine.generatePositionWeights(size);
+        this.positionMasks = this._buildPositionMasks();
+        this.movePriority = this._buildMovePriority();
+        this.regionMasks = this._buildRegionMasks();
+        this.history = new Int32Array(2 * this.bb.squares);
+
+        const last = size - 1;
+        this.cornerMask = this.bb.bit[this.bb.toIndex(0, 0)] | this.bb.bit[this.bb.toIndex(0, last)] |
+            this.bb.bit[this.bb.toIndex(last, 0)] | this.bb.bit[this.bb.toIndex(last, last)];
+    }
+
+    /**
+     * 位置評価テーブルを「重み → マスク」の組にまとめる
      */
-    _orderMoves(board, turn, moves) {
-        const scored = moves.map(move => {
-            let priority = 0;
+    _buildPositionMasks() {
+        const masks = new Map();
+        const size = this.bb.size;
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                const weight = this.positionWeights[r][c];
+                if (weight === 0) continue;
+                masks.set(weight, (masks.get(weight) || 0n) | this.bb.bit[this.bb.toIndex(r, c)]);
+            }
+        }
+        return [...masks].map(([weight, mask]) => ({ weight, words: this.bb.toWords(mask) }));
+    }
 
-            // 角は最優先
-            if ((move.r === 0 || move.r === 7) && (move.c === 0 || move.c === 7)) {
-                priority += 10000;
+    /**
+     * マスごとの静的な着手優先度（角優先、X打ち・C打ちは後回し、位置重み順）
+     */
+    _buildMovePriority() {
+        const priority = [];
+        const size = this.bb.size;
+        const last = size - 1;
+        const isEdge = i => i === 0 || i === last;
+        const isSecond = i => i === 1 || i === last - 1;
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                let p = 0;
+
+                // 角は最優先
+                if (isEdge(r) && isEdge(c)) {
+                    p += 10000;
+                }
+                // X打ち（角の斜め隣）は後回し
+                else if (isSecond(r) && isSecond(c)) {
+                    p -= 5000;
+                }
+                // C打ち（角の隣）も後回し
+                else if ((isEdge(r) && isSecond(c)) || (isSecond(r) && isEdge(c))) {
+                    p -= 3000;
+                }
+
+                // 位置重み
+                p += this.positionWeights[r][c];
+                priority.push(p);
             }
-            // X打ち（角の斜め隣）は後回し
-            else if ((move.r === 1 || move.r === 6) && (move.c === 1 || move.c === 6)) {
-                priority -= 5000;
+        }
+        return priority;
+    }
+
+    /**
+     * マスごとに、偶数理論で使う領域（盤を縦横に2分割した4つの区画）のマスク
+     */
+    _buildRegionMasks() {
+        const size = this.bb.size;
+        const half = size / 2;
+        const quadrants = [0n, 0n, 0n, 0n];
+        const quadrantOf = (r, c) => (r < half ? 0 : 2) + (c < half ? 0 : 1);
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                quadrants[quadrantOf(r, c)] |= this.bb.bit[this.bb.toIndex(r, c)];
             }
-            // C打ち（角の隣）も後回し
-            else if (
-                ((move.r === 0 || move.r === 7) && (move.c === 1 || move.c === 6)) ||
-                ((move.r === 1 || move.r === 6) && (move.c === 0 || move.c === 7))
-            ) {
-                priority -= 3000;
+        }
+        const masks = [];
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                masks.push(quadrants[quadrantOf(r, c)]);
             }
+        }
+        return masks;
+    }
 
-            // 位置重み
-            priority += UnifiedAIEngine.POSITION_WEIGHTS[move.r][move.c];
+    /**
+     * 指定の手（置換表の最善手など）を先頭に移す
+     * @param {number[]} moves - マス番号の一覧
+     * @param {number} first - 先頭にするマス番号（-1 なら何もしない）
+     */
+    _withFirstMove(moves, first) {
+        const index = moves.indexOf(first);
+        if (index <= 0) return moves;
+        return [first, ...moves.slice(0, index), ...moves.slice(index + 1)];
+    }
 
-            return { ...move, priority };
-        });
+    /**
+     * Move Ordering（角優先、位置重み順）
+     * ply を渡した場合は、キラームーブとヒストリーの加点も反映する
+     * @param {number[]} moves - マス番号の一覧
+     * @param {number} [ply] - ルートからの深さ
+     * @param {number} [color] - 手番側の色
+     */
+    _orderMoves(moves, ply = -1, color = 0) {
+        const priority = this.movePriority;
+        const config = this.currentConfig;
+        const useKillers = ply >= 0 && config.useKillerMoves && this.killers[ply];
+        const useHistory = ply >= 0 && config.useHistoryHeuristic;
+
+        if (!useKillers && !useHistory) {
+            return [...moves].sort((a, b) => priority[b] - priority[a]);
+        }
 
-        scored.sort((a, b) => b.priority - a.priority);
-        return scored;
+        const killers = useKillers ? this.killers[ply] : null;
+        const historyBase = color === 1 ? 0 : this.bb.squares;
+        return moves
+            .map(sq => {
+                let score = priority[sq];
+                if (killers && (killers[0] === sq || killers[1] === sq)) {
+                    score += UnifiedAIEngine.KILLER_BONUS;
+                }
+                if (useHistory) {
+                    score += this.history[historyBase + sq];
+                }
+                return { sq, score };
+            })
+            .sort((a, b) => b.score - a.score)
+            .map(m => m.sq);
     }
 
     /**
-     * 手の選択（ランダム性考慮）
+     * 終盤読み切りの Move Ordering
+     * 空きが多いうちは相手の着手可能数が少なくなる手から読む（速さ優先。相手の手が少ないほど早く読み終わる）。
+     * どちらの場合も、空きマスが奇数の領域の手を先に読む（偶数理論。最後の1マスを自分が埋められる領域から）。
+     * 置換表の最善手は常に最初に読む
+     * @param {bigint} moves - 合法手
+     * @param {number} ttMove - 置換表の最善手（なければ -1）
+     * @returns {{sq: number, flips: bigint}[]} 返す石を付けた手の一覧
+     */
+    _orderEndgameMoves(player, opponent, moves, ttMove) {
+        const empty = ~(player | opponent) & this.bb.full;
+        const fastestFirst = Bitboard.popcount(empty) > UnifiedAIEngine.FASTEST_FIRST_EMPTIES;
+        const ordered = [];
+        for (const sq of Bitboard.toSquareList(moves)) {
+            const flips = this.bb.getFlips(player, opponent, sq);
+            let score = this.movePriority[sq];
+            if (sq === ttMove) {
+                score = Infinity;
+            } else {
+                if (Bitboard.popcount(empty & this.regionMasks[sq]) & 1) {
+                    score += UnifiedAIEngine.PARITY_BONUS;
+                }
+                if (fastestFirst) {
+                    const replies = this.bb.getMoves(opponent ^ flips, player | flips | this.bb.bit[sq]);
+                    score -= Bitboard.popcount(replies) * UnifiedAIEngine.FASTEST_FIRST_PENALTY;
+                }
+            }
+            ordered.push({ sq, flips, score });
+        }
+        return ordered.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * 手の選択（キャラクターの temperature・maxLoss・blunderRate・randomness で選ぶ。MoveSelector を参照）
+     * @param {{r: number, c: number, score: number}[]} scoredMoves - 評価値の高い順に並べたルートの手
      */
     _selectMove(scoredMoves) {
-        if (scoredMoves.length === 0) return null;
+        const selected = MoveSelector.select(scoredMoves, this.currentConfig, this.rootPhase, this.random);
+        if (!selected) return null;
 
-        const randomness = this.currentConfig.randomness || 0;
-        const topN = Math.min(randomness, scoredMoves.length - 1);
-        const index = Math.floor(Math.random() * (topN + 1));
+        if (this.debugMode && selected.index > 0) {
+            const loss = scoredMoves[0].score - scoredMoves[selected.index].score;
+            console.log(`[UnifiedAI] Selected ${selected.blunder ? 'blunder' : 'move'} #${selected.index + 1} of ${scoredMoves.length} (loss ${loss})`);
+        }
+
+        return scoredMoves[selected.index];
+    }
 
-        if (this.debugMode && randomness > 0) {
-            console.log(`[UnifiedAI] Randomness: Selected Top ${index + 1} of ${topN + 1}`);
+    /**
+     * 局面ごとの乱数を作る
+     * seed があれば seed と局面から決まる乱数列（FNV-1a で局面を混ぜた値を種にした mulberry32）にするので、
+     * 同じ seed なら対局の経過や端末に関係なく、同じ局面では同じ乱数列になる
+     * @param {number|null} seed - 設定の seed（null なら Math.random）
+     * @param {number[][]} board - 盤面 (0=空, 1=黒, -1=白)
+     * @param {number} turn - 手番
+     * @returns {function(): number} 0 以上 1 未満の乱数を返す関数
+     */
+    _createRandom(seed, board, turn) {
+        if (seed === null) return Math.random;
+
+        let state = seed >>> 0;
+        for (const cell of [...board.flat(), turn]) {
+            state = Math.imul(state ^ (cell + 2), 0x01000193) >>> 0;
         }
+        return UnifiedAIEngine.seededRandom(state);
+    }
+
+    /**
+     * 種から決まる乱数列 (mulberry32)。ツールの開始局面づくりなど、エンジンの外で再現できる乱数が要るときにも使う
+     * @param {number} seed - 32bit の種
+     * @returns {function(): number} 0 以上 1 未満の乱数を返す関数
+     */
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
 
-        return scoredMoves[index];
+    /**
+     * 実行中の探索を中断する（その時点までに読み終えた結果で返る）
+     */
+    cancel() {
+        this.cancelRequested = true;
     }
 
     /**
@@ -0,0 +1,102 @@
+/**
+ * adaptive_difficulty.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+const { AdaptiveDifficulty, CHARACTERS } = loadScripts('js/adaptive_difficulty.js', 'data/characters.js');
+
+/**
+ * localStorage の代わり（Map に保存する）
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+const legacy = { id: 'legacy', depth: 4, temperature: 0, adaptive: { depth: [2, 5], temperature: [0, 1500] } };
+const modern = { id: 'modern', ai: { maxDepth: 12, timeLimit: 3000, adaptive: { depth: [8, 16], timeLimit: [1000, 5000] } } };
+
+test('プレイヤーの出来は勝敗・石差・AI の形勢判断から 0〜1 で求まり、五分なら 0.5', () => {
+    const even = AdaptiveDifficulty.performance({ result: 0.5, margin: 0, squares: 64, aiScores: [] });
+    assert.strictEqual(even, 0.5);
+    assert.strictEqual(AdaptiveDifficulty.performance({ result: 1, margin: 64, squares: 64, aiScores: [-100, -5] }), 1);
+    assert.strictEqual(AdaptiveDifficulty.performance({ result: 0, margin: -64, squares: 64, aiScores: [300, 20] }), 0);
+
+    // 石差は盤面の 1/4 で頭打ち。AI が半分の手で有利と読んでいれば形勢判断は五分
+    const win = AdaptiveDifficulty.performance({ result: 1, margin: 8, squares: 64, aiScores: [100, -100] });
+    assert.strictEqual(win, 0.5 + 0.25 * 0.75 + 0.25 * 0.5);
+    assert.strictEqual(AdaptiveDifficulty.performance({ result: 1, margin: 16, squares: 64, aiScores: [] }),
+        AdaptiveDifficulty.performance({ result: 1, margin: 40, squares: 64, aiScores: [] }));
+});
+
+test('最初の強さはキャラクター本来の設定の位置で、対局するまで設定は変えない', () => {
+    const adaptive = new AdaptiveDifficulty(createStorage());
+    // 深さ 4 は [2, 5] の 2/3、温度 0 は一番強い端
+    assert.ok(Math.abs(adaptive.levelOf(legacy) - (2 / 3 + 1) / 2) < 1e-9);
+    assert.strictEqual(adaptive.levelOf(modern), 0.5);
+    assert.strictEqual(adaptive.apply(legacy), legacy);
+    assert.strictEqual(adaptive.levelOf({ id: 'plain', depth: 3 }), null);
+    assert.strictEqual(adaptive.recordGame({ id: 'plain', depth: 3 }, { result: 1, margin: 10, squares: 64, aiScores: [] }), null);
+});
+
+test('プレイヤーが勝ち続けると強くなり、負け続けると弱くなり、level は 0〜1 に収まる', () => {
+    const storage = createStorage();
+    const adaptive = new AdaptiveDifficulty(storage);
+    const won = { result: 1, margin: 30, squares: 64, aiScores: [-200] };
+    const lost = { result: 0, margin: -30, squares: 64, aiScores: [200] };
+
+    const first = adaptive.recordGame(modern, won);
+    assert.strictEqual(first.before, 0.5);
+    assert.strictEqual(first.after, 0.5 + 2 * AdaptiveDifficulty.RATE * 0.5);
+    assert.strictEqual(first.notice, 'get_serious');
+
+    for (let i = 0; i < 5; i++) adaptive.recordGame(modern, won);
+    assert.strictEqual(adaptive.levelOf(modern), 1);
+    assert.deepStrictEqual(adaptive.apply(modern).ai, { ...modern.ai, maxDepth: 16, timeLimit: 5000 });
+    assert.strictEqual(modern.ai.maxDepth, 12, '元の設定は変えない');
+
+    const down = adaptive.recordGame(modern, lost);
+    assert.strictEqual(down.notice, 'go_easy');
+    for (let i = 0; i < 10; i++) adaptive.recordGame(modern, lost);
+    assert.strictEqual(adaptive.levelOf(modern), 0);
+    assert.deepStrictEqual(adaptive.apply(modern).ai, { ...modern.ai, maxDepth: 8, timeLimit: 1000 });
+
+    // 五分の対局では変わらず、一言もない
+    const even = adaptive.recordGame(modern, { result: 0.5, margin: 0, squares: 64, aiScores: [] });
+    assert.deepStrictEqual(even, { before: 0, after: 0, notice: null });
+
+    // 保存した強さは別のインスタンスからも読め、対局数も数える
+    const saved = JSON.parse(storage.getItem(AdaptiveDifficulty.STORAGE_KEY));
+    assert.strictEqual(saved.modern.games, 18);
+    assert.strictEqual(new AdaptiveDifficulty(storage).levelOf(modern), 0);
+});
+
+test('旧フォーマットは depth を、温度は範囲を逆向きに動かす', () => {
+    const storage = createStorage();
+    storage.setItem(AdaptiveDifficulty.STORAGE_KEY, JSON.stringify({ legacy: { level: 0.5, games: 1 } }));
+    const applied = new AdaptiveDifficulty(storage).apply(legacy);
+    assert.strictEqual(applied.depth, 4);
+    assert.strictEqual(applied.temperature, 750);
+    assert.strictEqual(applied.maxDepth, undefined);
+
+    storage.setItem(AdaptiveDifficulty.STORAGE_KEY, '{壊れたデータ');
+    assert.strictEqual(new AdaptiveDifficulty(storage).apply(legacy), legacy);
+});
+
+test('adaptive のあるキャラクターは範囲が正しく、調整の一言を持つ', () => {
+    const characters = CHARACTERS.filter(character => AdaptiveDifficulty.settingsOf(character));
+    assert.ok(characters.length > 0);
+    for (const character of characters) {
+        for (const [min, max] of Object.values(AdaptiveDifficulty.settingsOf(character))) {
+            assert.ok(min < max, `${character.id}: ${min}, ${max}`);
+        }
+        assert.ok(character.dialogues.get_serious && character.dialogues.go_easy, character.id);
+        const level = new AdaptiveDifficulty(createStorage()).levelOf(character);
+        assert.ok(level >= 0 && level <= 1, `${character.id}: ${level}`);
+    }
+});
@@ -0,0 +1,275 @@
+/**
+ * ai_client.js のテスト（node --test test/）
+ * Worker の代わりに、送られたメッセージを記録するだけの偽物を使う
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers');
+
+/**
+ * 偽の Worker（postMessage を記録し、respond で応答を返す）
+ */
+class FakeWorker {
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.sent = [];
+        this.terminated = false;
+        this.onmessage = null;
+        this.onerror = null;
+        FakeWorker.instances.push(this);
+    }
+
+    postMessage(message) {
+        this.sent.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    respond(data) {
+        this.onmessage({ data });
+    }
+}
+
+global.Worker = FakeWorker;
+const { AIClient, GameCore } = loadScripts('js/bitboard.js', 'js/game_core.js', 'js/move_selector.js', 'js/ai_client.js');
+
+const board = [[0]];
+const config = { ai: { timeLimit: 10 } };
+
+/**
+ * 中断・タイムアウトの待ち時間を短くしたクライアントを作る
+ */
+function createClient(options) {
+    AIClient.TIMEOUT_MARGIN = 40;
+    AIClient.CANCEL_GRACE = 20;
+    const client = new AIClient('js/ai_worker.js', options);
+    return { client, worker: client.worker };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('応答は requestId でリクエストに対応付けられる（順不同でもよい）', async () => {
+    const { client, worker } = createClient();
+    const move = client.computeMove(board, 1, config, {});
+    const analysis = client.analyze(board, 1, config, {});
+
+    const [first, second] = worker.sent;
+    assert.strictEqual(first.type, 'COMPUTE');
+    assert.strictEqual(second.type, 'ANALYZE');
+    assert.notStrictEqual(first.requestId, second.requestId);
+
+    worker.respond({ type: 'ANALYSIS', requestId: second.requestId, analysis: { depth: 3 } });
+    worker.respond({ type: 'RESULT', requestId: first.requestId, move: { r: 2, c: 3 } });
+    assert.deepStrictEqual(await move, { r: 2, c: 3 });
+    assert.deepStrictEqual(await analysis, { depth: 3 });
+
+    const failed = client.computeMove(board, 1, config, {});
+    worker.respond({ type: 'ERROR', requestId: worker.sent[2].requestId, error: '盤面が不正です' });
+    await assert.rejects(failed, /盤面が不正です/);
+    client.terminate();
+});
+
+test('cancelAll はすぐに AbortError で終わらせ、遅れて届いた応答は捨てる', async () => {
+    const { client, worker } = createClient();
+    const move = client.computeMove(board, 1, config, {});
+    client.cancelAll();
+
+    await assert.rejects(move, error => AIClient.isCancelled(error));
+    const cancel = worker.sent.find(m => m.type === 'CANCEL');
+    assert.strictEqual(cancel.requestId, worker.sent[0].requestId);
+
+    worker.respond({ type: 'CANCELLED', requestId: cancel.requestId });
+    await wait(40);
+    assert.strictEqual(client.worker, worker, '中断に応じたので作り直さない');
+    client.terminate();
+});
+
+test('中断にも応答しない Worker は作り直す', async () => {
+    const errors = [];
+    const { client, worker } = createClient({ onError: reason => errors.push(reason) });
+    client.computeMove(board, 1, config, {}).catch(() => {});
+    client.cancelAll();
+
+    await wait(40);
+    assert.ok(worker.terminated);
+    assert.notStrictEqual(client.worker, worker);
+    assert.match(errors[0], /中断に応答しない/);
+    client.terminate();
+});
+
+test('制限時間を大きく過ぎても応答がなければエラーにして Worker を作り直す', async () => {
+    const errors = [];
+    const { client, worker } = createClient({ onError: reason => errors.push(reason) });
+    const move = client.computeMove(board, 1, config, {});
+
+    await assert.rejects(move, /タイムアウト/);
+    assert.ok(worker.terminated);
+    assert.strictEqual(errors.length, 1);
+
+    // 作り直した Worker で続けて使える
+    const next = client.computeMove(board, 1, config, {});
+    client.worker.respond({ type: 'RESULT', requestId: client.worker.sent[0].requestId, move: null });
+    assert.strictEqual(await next, null);
+    client.terminate();
+});
+
+test('PROGRESS はリクエストを終わらせずに onProgress へ渡し、中断後の PROGRESS は捨てる', async () => {
+    const { client, worker } = createClient();
+    const progress = [];
+    const move = client.computeMove(board, 1, config, {}, { onProgress: p => progress.push(p) });
+    const { requestId } = worker.sent[0];
+
+    worker.respond({ type: 'PROGRESS', requestId, progress: { depth: 1 } });
+    worker.respond({ type: 'PROGRESS', requestId, progress: { depth: 2 } });
+    worker.respond({ type: 'RESULT', requestId, move: { r: 0, c: 0 } });
+    assert.deepStrictEqual(await move, { r: 0, c: 0 });
+    assert.deepStrictEqual(progress, [{ depth: 1 }, { depth: 2 }]);
+
+    const cancelled = client.computeMove(board, 1, config, {}, { onProgress: p => progress.push(p) });
+    const next = worker.sent[1].requestId;
+    client.cancelAll();
+    await assert.rejects(cancelled, error => AIClient.isCancelled(error));
+    worker.respond({ type: 'PROGRESS', requestId: next, progress: { depth: 3 } });
+    assert.ok(client.cancelling.has(next), '最終応答が来るまでは中断待ち');
+    worker.respond({ type: 'CANCELLED', requestId: next });
+    assert.strictEqual(client.cancelling.size, 0);
+    assert.strictEqual(progress.length, 2);
+    client.terminate();
+});
+
+test('先読みはタイムアウトせず、stopPondering は先読みだけを中断する', async () => {
+    const { client, worker } = createClient();
+    const ponder = client.ponder(board, -1, config, {});
+    const move = client.computeMove(board, 1, config, {});
+    const [ponderRequest, moveRequest] = worker.sent;
+    assert.strictEqual(ponderRequest.type, 'PONDER');
+
+    client.stopPondering();
+    await assert.rejects(ponder, error => AIClient.isCancelled(error));
+    assert.deepStrictEqual(worker.sent.slice(2), [{ type: 'CANCEL', requestId: ponderRequest.requestId }]);
+    worker.respond({ type: 'CANCELLED', requestId: ponderRequest.requestId });
+
+    worker.respond({ type: 'RESULT', requestId: moveRequest.requestId, move: { r: 1, c: 1 } });
+    assert.deepStrictEqual(await move, { r: 1, c: 1 });
+
+    const long = client.ponder(board, -1, config, {});
+    await wait(80);
+    assert.ok(client.pending.has(worker.sent[3].requestId), '制限時間を過ぎても待ち続ける');
+    worker.respond({ type: 'PONDERED', requestId: worker.sent[3].requestId, replies: 4 });
+    assert.strictEqual(await long, 4);
+    client.terminate();
+});
+
+const iteration = (depth, moves, endgame = false) => (endgame ? { depth, moves, endgame } : { depth, moves });
+
+test('並列探索の結果は全員が読み終えた深さで比べ、読み切りは読み終えた手をそのまま比べる', () => {
+    const a = { iterations: [iteration(1, [{ r: 0, c: 0, score: 5 }]), iteration(2, [{ r: 0, c: 0, score: 1 }])], endgame: false, fallback: null };
+    const b = { iterations: [iteration(1, [{ r: 1, c: 1, score: 2 }])], endgame: false, fallback: null };
+    assert.deepStrictEqual(AIClient.mergeRootResults([a, b]), { r: 0, c: 0, score: 5 });
+
+    const solvedA = { iterations: [iteration(10, [{ r: 0, c: 0, score: -2000 }], true)], endgame: true, fallback: null };
+    const solvedB = { iterations: [iteration(10, [{ r: 1, c: 1, score: 4000 }], true)], endgame: true, fallback: null };
+    assert.deepStrictEqual(AIClient.mergeRootResults([solvedA, solvedB, null]), { r: 1, c: 1, score: 4000 });
+});
+
+test('深さ1も読めなかった Worker の手は、その評価値で候補に残る', () => {
+    const searched = {
+        iterations: [iteration(1, [{ r: 0, c: 0, score: -5 }]), iteration(2, [{ r: 0, c: 0, score: -9 }])],
+        endgame: false, fallback: null
+    };
+    const unsearched = { iterations: [], endgame: false, fallback: { r: 1, c: 1, score: 3 } };
+
+    assert.deepStrictEqual(AIClient.mergeRootResults([searched, unsearched]), { r: 1, c: 1, score: 3 });
+    assert.deepStrictEqual(AIClient.mergeRootResults([unsearched]), { r: 1, c: 1, score: 3 });
+    assert.strictEqual(AIClient.mergeRootResults([null]), null);
+});
+
+test('読み切りで負けでない手があれば、読めなかった Worker の手は選ばない', () => {
+    const solved = { iterations: [iteration(10, [{ r: 2, c: 2, score: 0 }], true)], endgame: true, fallback: null };
+    const unsearched = { iterations: [], endgame: false, fallback: { r: 1, c: 1, score: 3 } };
+    assert.deepStrictEqual(AIClient.mergeRootResults([solved, unsearched]), { r: 2, c: 2, score: 0 });
+
+    const lost = { iterations: [iteration(10, [{ r: 2, c: 2, score: -4000 }], true)], endgame: true, fallback: null };
+    assert.deepStrictEqual(AIClient.mergeRootResults([lost, unsearched]), { r: 1, c: 1, score: 3 });
+});
+
+test('読み切れなかった Worker があれば、勝ちが見つかっていない限り反復深化の結果で比べ、負けの手は除く', () => {
+    // A は読み切り（前に浅い反復深化）、B は読み切れずに反復深化だけ
+    const solved = score => ({
+        iterations: [iteration(1, [{ r: 0, c: 0, score: 50 }]), iteration(2, [{ r: 0, c: 0, score: 40 }]),
+            iteration(12, [{ r: 0, c: 0, score }], true)],
+        endgame: true, fallback: null
+    });
+    const searching = {
+        iterations: [iteration(1, [{ r: 1, c: 1, score: 30 }]), iteration(2, [{ r: 1, c: 1, score: 20 }]),
+            iteration(3, [{ r: 1, c: 1, score: 60 }])],
+        endgame: false, fallback: null
+    };
+
+    assert.deepStrictEqual(AIClient.mergeRootResults([solved(2000), searching]), { r: 0, c: 0, score: 2000 });
+    assert.deepStrictEqual(AIClient.mergeRootResults([solved(0), searching]), { r: 0, c: 0, score: 40 }, '深さ2で比べる');
+    assert.deepStrictEqual(AIClient.mergeRootResults([solved(-1000), searching]), { r: 1, c: 1, score: 20 });
+});
+
+test('統合した手はキャラクターの設定とルート局面のフェーズで MoveSelector が選ぶ', () => {
+    const result = (moves, phase) => ({ iterations: [iteration(2, moves)], endgame: false, phase, fallback: null });
+    const results = [result([{ r: 0, c: 0, score: 10 }], 'endgame'), result([{ r: 1, c: 1, score: 30 }, { r: 2, c: 2, score: -90 }], 'endgame')];
+
+    assert.deepStrictEqual(AIClient.mergeRootResults(results, {}, () => 0.99), { r: 1, c: 1, score: 30 });
+    assert.deepStrictEqual(AIClient.mergeRootResults(results, { randomness: 1 }, () => 0.99), { r: 0, c: 0, score: 10 });
+    assert.deepStrictEqual(AIClient.mergeRootResults(results, { randomness: 2, maxLoss: 50 }, () => 0.99), { r: 0, c: 0, score: 10 });
+    // 悪手率は統合した局面のフェーズのもの
+    assert.deepStrictEqual(AIClient.mergeRootResults(results, { blunderRate: { midgame: 1 } }, () => 0.99), { r: 1, c: 1, score: 30 });
+    assert.deepStrictEqual(AIClient.mergeRootResults(results, { blunderRate: { endgame: 1 } }, () => 0.99), { r: 2, c: 2, score: -90 });
+});
+
+test('並列探索は先に先読みの結果を確かめ、なければ合法手を Worker に振り分ける', async () => {
+    const start = new GameCore().board;
+    const parallel = { ai: { timeLimit: 10, parallel: true } };
+    const { client, worker } = createClient({ poolSize: 2 });
+    const helper = client.helpers[0].worker;
+
+    // 先読みで読み終えていれば、補助 Worker には何も送らない
+    const pondered = client.computeMove(start, 1, parallel, {});
+    assert.strictEqual(worker.sent[0].type, 'QUICK_MOVE');
+    worker.respond({ type: 'RESULT', requestId: worker.sent[0].requestId, move: { r: 2, c: 3 } });
+    assert.deepStrictEqual(await pondered, { r: 2, c: 3 });
+    assert.strictEqual(helper.sent.length, 0);
+
+    const move = client.computeMove(start, 1, parallel, {});
+    worker.respond({ type: 'RESULT', requestId: worker.sent[1].requestId, move: null });
+    await wait(0);
+    const [mine, theirs] = [worker.sent[2], helper.sent[0]];
+    assert.strictEqual(mine.type, 'SEARCH_ROOT');
+    assert.strictEqual(theirs.type, 'SEARCH_ROOT');
+    assert.strictEqual(mine.moves.length + theirs.moves.length, 4);
+
+    worker.respond({ type: 'ROOT_RESULT', requestId: mine.requestId,
+        result: { iterations: [iteration(1, mine.moves.map((m, i) => ({ ...m, score: -i })))], endgame: false, fallback: null } });
+    helper.respond({ type: 'ROOT_RESULT', requestId: theirs.requestId,
+        result: { iterations: [iteration(1, theirs.moves.map((m, i) => ({ ...m, score: 10 - i })))], endgame: false, fallback: null } });
+    assert.deepStrictEqual(await move, { ...theirs.moves[0], score: 10 });
+    client.terminate();
+});
+
+test('seed・nodeLimit のある設定は並列にせず1台で読み、タイムアウトはノード数から見込む', async () => {
+    const start = new GameCore().board;
+    const { client, worker } = createClient({ poolSize: 2 });
+    const helper = client.helpers[0].worker;
+
+    for (const ai of [{ timeLimit: 10, parallel: true, seed: 1 }, { timeLimit: 10, parallel: true, nodeLimit: 2000 }]) {
+        const move = client.computeMove(start, 1, { ai }, {});
+        const sent = worker.sent[worker.sent.length - 1];
+        assert.strictEqual(sent.type, 'COMPUTE');
+        // nodeLimit 2000 なら 2000 / MIN_NODE_RATE = 200ms を見込むので、timeLimit を過ぎても待つ
+        await wait(ai.nodeLimit ? 80 : 0);
+        worker.respond({ type: 'RESULT', requestId: sent.requestId, move: { r: 2, c: 3 } });
+        assert.deepStrictEqual(await move, { r: 2, c: 3 });
+    }
+    assert.strictEqual(helper.sent.length, 0);
+    client.terminate();
+});
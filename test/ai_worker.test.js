@@ -0,0 +1,185 @@
+/**
+ * ai_worker.js のテスト（node --test test/）
+ * Worker のスクリプトを vm の中で動かし、Web Worker と同じようにメッセージをやり取りする
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+const { CHARACTERS } = vm.runInNewContext(
+    fs.readFileSync(path.join(__dirname, '..', 'data', 'characters.js'), 'utf8') + ';({ CHARACTERS })');
+
+/**
+ * Worker を起動する（importScripts・fetch は js/ からの相対パスでファイルを読む）
+ * @returns {{post: function(Object): void, next: function(number): Promise<Object>,
+ *           progress: function(number): Object[], evaluate: function(string): *}}
+ */
+function startWorker() {
+    const messages = [];
+    const waiters = [];
+    const context = {
+        console, setTimeout, clearTimeout,
+        postMessage: message => {
+            messages.push(message);
+            waiters.splice(0).forEach(wake => wake());
+        },
+        importScripts: (...files) => files.forEach(file =>
+            vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file })),
+        fetch: async url => {
+            const text = fs.readFileSync(path.join(JS_DIR, url), 'utf8');
+            return { ok: true, status: 200, json: async () => JSON.parse(text) };
+        }
+    };
+    context.self = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(JS_DIR, 'ai_worker.js'), 'utf8'), context, { filename: 'ai_worker.js' });
+
+    return {
+        post: data => context.self.onmessage({ data }),
+        // 指定の requestId への応答（PROGRESS 以外）を待つ
+        next: async requestId => {
+            for (;;) {
+                const index = messages.findIndex(m => m.requestId === requestId && m.type !== 'PROGRESS');
+                if (index >= 0) return messages.splice(index, 1)[0];
+                await new Promise(resolve => waiters.push(resolve));
+            }
+        },
+        // 受け取った PROGRESS（next で応答を受け取った後に呼ぶ）
+        progress: requestId => messages.filter(m => m.requestId === requestId && m.type === 'PROGRESS'),
+        // Worker のトップレベルの変数を覗く
+        evaluate: code => vm.runInContext(code, context)
+    };
+}
+
+function startBoard() {
+    const board = Array.from({ length: 8 }, () => new Array(8).fill(0));
+    board[3][3] = board[4][4] = -1;
+    board[3][4] = board[4][3] = 1;
+    return board;
+}
+
+test('COMPUTE には RESULT、ANALYZE には ANALYSIS を同じ requestId で返す', async () => {
+    const worker = startWorker();
+    const config = CHARACTERS.find(c => c.id === 'saki');
+
+    worker.post({ requestId: 1, board: startBoard(), turn: 1, config, rules: {} });
+    const result = await worker.next(1);
+    assert.strictEqual(result.type, 'RESULT');
+    assert.ok([[2, 3], [3, 2], [4, 5], [5, 4]].some(([r, c]) => result.move.r === r && result.move.c === c));
+
+    worker.post({ type: 'ANALYZE', requestId: 2, board: startBoard(), turn: 1, config, rules: {} });
+    const analysis = await worker.next(2);
+    assert.strictEqual(analysis.type, 'ANALYSIS');
+    assert.strictEqual(analysis.analysis.moves.length, 4);
+
+    worker.post({ type: 'ANALYZE', requestId: 3, board: [[0]], turn: 1, config, rules: {} });
+    const error = await worker.next(3);
+    assert.strictEqual(error.type, 'ERROR');
+    assert.match(error.error, /盤面サイズ/);
+});
+
+test('実行前に中断したリクエストは CANCELLED を返し、次のリクエストには影響しない', async () => {
+    const worker = startWorker();
+    const config = CHARACTERS.find(c => c.id === 'saki');
+
+    worker.post({ type: 'COMPUTE', requestId: 1, board: startBoard(), turn: 1, config, rules: {} });
+    worker.post({ type: 'COMPUTE', requestId: 2, board: startBoard(), turn: 1, config, rules: {} });
+    worker.post({ type: 'CANCEL', requestId: 2 });
+    worker.post({ type: 'COMPUTE', requestId: 3, board: startBoard(), turn: 1, config, rules: {} });
+
+    assert.strictEqual((await worker.next(1)).type, 'RESULT');
+    assert.strictEqual((await worker.next(2)).type, 'CANCELLED');
+    assert.strictEqual((await worker.next(3)).type, 'RESULT');
+    assert.strictEqual(worker.evaluate('cancelledIds.size + queuedIds.size'), 0);
+});
+
+test('実行中の探索は CANCEL で打ち切られ、終わった後に届いた CANCEL は記録されない', async () => {
+    const worker = startWorker();
+    const config = { ai: { maxDepth: 60, timeLimit: 60000, useMoveOrdering: true } };
+
+    worker.post({ type: 'COMPUTE', requestId: 1, board: startBoard(), turn: 1, config, rules: {} });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    worker.post({ type: 'CANCEL', requestId: 1 });
+    assert.strictEqual((await worker.next(1)).type, 'CANCELLED');
+
+    const quick = CHARACTERS.find(c => c.id === 'saki');
+    worker.post({ type: 'COMPUTE', requestId: 2, board: startBoard(), turn: 1, config: quick, rules: {} });
+    assert.strictEqual((await worker.next(2)).type, 'RESULT');
+    worker.post({ type: 'CANCEL', requestId: 2 });
+    worker.post({ type: 'CANCEL', requestId: 99 });
+    assert.strictEqual(worker.evaluate('cancelledIds.size'), 0);
+});
+
+test('探索中は深さを読み終えるたびに、そのリクエストの PROGRESS を送る', async () => {
+    const worker = startWorker();
+    const config = { ai: { maxDepth: 3, timeLimit: 60000, useMoveOrdering: true } };
+
+    worker.post({ type: 'COMPUTE', requestId: 1, board: startBoard(), turn: 1, config, rules: {} });
+    const result = await worker.next(1);
+    const progress = worker.progress(1).map(m => m.progress);
+    assert.strictEqual(progress.map(p => p.depth).join(), '1,2,3');
+    assert.ok(progress.every(p => !p.endgame && p.nodes > 0));
+    assert.strictEqual(`${progress[2].move.r},${progress[2].move.c}`, `${result.move.r},${result.move.c}`);
+});
+
+test('先読みは CANCEL で CANCELLED を返し、その後の COMPUTE は中断の影響を受けない', async () => {
+    const worker = startWorker();
+    const config = { ai: { maxDepth: 60, timeLimit: 1000, useMoveOrdering: true, useTranspositionTable: true, ttSizeMB: 1, ponder: true } };
+
+    const board = startBoard();
+    board[4][5] = 1;
+    board[4][4] = 1;
+    worker.post({ type: 'PONDER', requestId: 1, board, turn: -1, config, rules: {} });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    worker.post({ type: 'CANCEL', requestId: 1 });
+    assert.strictEqual((await worker.next(1)).type, 'CANCELLED');
+
+    const quick = CHARACTERS.find(c => c.id === 'saki');
+    worker.post({ type: 'COMPUTE', requestId: 2, board: startBoard(), turn: 1, config: quick, rules: {} });
+    assert.strictEqual((await worker.next(2)).type, 'RESULT');
+    assert.strictEqual(worker.evaluate('cancelledIds.size'), 0);
+});
+
+test('SEARCH_ROOT は担当の手だけを読み、QUICK_MOVE は先読みの結果がなければ null を返す', async () => {
+    const worker = startWorker();
+    const config = { ai: { maxDepth: 2, timeLimit: 60000, useMoveOrdering: true } };
+
+    worker.post({ type: 'SEARCH_ROOT', requestId: 1, board: startBoard(), turn: 1, config, rules: {}, moves: [{ r: 2, c: 3 }, { r: 0, c: 0 }] });
+    const { type, result } = await worker.next(1);
+    assert.strictEqual(type, 'ROOT_RESULT');
+    assert.strictEqual(result.iterations.map(i => i.depth).join(), '1,2');
+    assert.ok(result.iterations.every(i => i.moves.length === 1 && i.moves[0].r === 2 && i.moves[0].c === 3));
+
+    worker.post({ type: 'QUICK_MOVE', requestId: 2, board: startBoard(), turn: 1, config, rules: {} });
+    const quick = await worker.next(2);
+    assert.strictEqual(quick.type, 'RESULT');
+    assert.strictEqual(quick.move, null);
+});
+
+test('先読みを中断した後でも、定跡手の COMPUTE は RESULT を返し、QUICK_MOVE も定跡手を返す', async () => {
+    const worker = startWorker();
+    const config = CHARACTERS.find(c => c.id === 'shiina_nightmare');
+
+    // AI（黒）の f5 の後、プレイヤー（白）の手番の間に先読みする
+    const board = startBoard();
+    board[4][5] = 1;
+    board[4][4] = 1;
+    worker.post({ type: 'PONDER', requestId: 1, board, turn: -1, config, rules: {} });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    worker.post({ type: 'CANCEL', requestId: 1 });
+    assert.strictEqual((await worker.next(1)).type, 'CANCELLED');
+
+    // 初手からの局面は定跡にあるので、探索せずに定跡手が返る
+    worker.post({ type: 'COMPUTE', requestId: 2, board: startBoard(), turn: 1, config, rules: {} });
+    const response = await worker.next(2);
+    assert.strictEqual(response.type, 'RESULT');
+    assert.ok(response.move.book);
+
+    worker.post({ type: 'QUICK_MOVE', requestId: 3, board: startBoard(), turn: 1, config, rules: {} });
+    const quick = await worker.next(3);
+    assert.strictEqual(quick.type, 'RESULT');
+    assert.ok(quick.move.book);
+});
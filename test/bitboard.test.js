@@ -0,0 +1,178 @@
+/**
+ * bitboard.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createRandom } = require('./helpers');
+
+const { Bitboard, GameCore } = loadScripts('js/bitboard.js', 'js/game_core.js');
+
+const DIRECTIONS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+/**
+ * 従来の方向ごとの判定 (checkDirection) で求めた、(r, c) に打ったときに裏返る石（"r,c" の一覧）
+ */
+function referenceFlips(board, r, c, turn) {
+    const flips = [];
+    if (board[r][c] !== 0) return flips;
+    for (const [dr, dc] of DIRECTIONS) {
+        if (!GameCore.checkDirection(board, r, c, dr, dc, turn)) continue;
+        for (let nr = r + dr, nc = c + dc; board[nr][nc] === -turn; nr += dr, nc += dc) flips.push(`${nr},${nc}`);
+    }
+    return flips.sort();
+}
+
+/**
+ * ランダムに打った対局の途中の局面を集める
+ */
+function randomPositions(size, games, seed) {
+    const random = createRandom(seed);
+    const positions = [];
+    for (let g = 0; g < games; g++) {
+        const game = new GameCore(size);
+        let turn = 1;
+        for (;;) {
+            positions.push({ board: GameCore.cloneBoard(game.board), turn });
+            let moves = game.getValidMoves(turn);
+            if (moves.length === 0) {
+                turn = -turn;
+                moves = game.getValidMoves(turn);
+                if (moves.length === 0) break;
+            }
+            const move = moves[Math.floor(random() * moves.length)];
+            game.makeMove(move.r, move.c, turn);
+            turn = -turn;
+        }
+    }
+    return positions;
+}
+
+for (const size of [6, 8, 10]) {
+    test(`${size}x${size}: 合法手と裏返る石が、方向ごとの判定と一致する`, () => {
+        const bb = Bitboard.of(size);
+        for (const { board, turn } of randomPositions(size, size === 8 ? 20 : 8, size)) {
+            const { player, opponent } = bb.fromBoard(board, turn);
+            const moves = new Set(bb.toMoveList(bb.getMoves(player, opponent)).map(m => `${m.r},${m.c}`));
+
+            for (let r = 0; r < size; r++) {
+                for (let c = 0; c < size; c++) {
+                    const expected = referenceFlips(board, r, c, turn);
+                    const flips = bb.toMoveList(bb.getFlips(player, opponent, bb.toIndex(r, c)))
+                        .map(m => `${m.r},${m.c}`).sort();
+                    assert.deepStrictEqual(flips, expected, `(${r}, ${c})`);
+                    assert.strictEqual(moves.has(`${r},${c}`), expected.length > 0, `(${r}, ${c})`);
+                }
+            }
+        }
+    });
+}
+
+test('盤面との変換・マスの一覧・石数の数え方', () => {
+    const bb = Bitboard.of(8);
+    const { board, turn } = randomPositions(8, 1, 2)[30];
+    const { player, opponent } = bb.fromBoard(board, turn);
+    assert.deepStrictEqual(bb.toBoard(player, opponent, turn), board);
+
+    const count = cell => board.flat().filter(v => v === cell).length;
+    assert.strictEqual(Bitboard.popcount(player), count(turn));
+    assert.strictEqual(Bitboard.popcount(opponent), count(-turn));
+
+    const bits = bb.bit[0] | bb.bit[31] | bb.bit[32] | bb.bit[63];
+    assert.deepStrictEqual(Bitboard.toSquareList(bits), [0, 31, 32, 63]);
+    assert.deepStrictEqual(bb.toMoveList(bits), [{ r: 0, c: 0 }, { r: 3, c: 7 }, { r: 4, c: 0 }, { r: 7, c: 7 }]);
+
+    // 10x10 は 64 ビットを超える
+    const big = Bitboard.of(10);
+    assert.deepStrictEqual(big.toMoveList(big.bit[99] | big.bit[64]), [{ r: 6, c: 4 }, { r: 9, c: 9 }]);
+});
+
+test('隣接マスは盤の端で折り返さない', () => {
+    for (const size of [6, 8, 10]) {
+        const bb = Bitboard.of(size);
+        const last = size - 1;
+        assert.deepStrictEqual(bb.toMoveList(bb.neighbours(bb.bit[bb.toIndex(0, last)])),
+            [{ r: 0, c: last - 1 }, { r: 1, c: last - 1 }, { r: 1, c: last }]);
+
+        assert.deepStrictEqual(bb.toMoveList(bb.neighbours(bb.bit[bb.toIndex(4, 0)])),
+            [{ r: 3, c: 0 }, { r: 3, c: 1 }, { r: 4, c: 1 }, { r: 5, c: 0 }, { r: 5, c: 1 }]);
+    }
+});
+
+test('対応していない盤面サイズは拒否される', () => {
+    assert.throws(() => Bitboard.of(7), /対応していない盤面サイズ/);
+    assert.strictEqual(Bitboard.of(6), Bitboard.of(6));
+});
+
+/**
+ * 局面文字列（黒 X・白 O、行は "/" 区切り）から黒と白のビットボードを作る
+ */
+function parseRows(bb, text) {
+    let black = 0n;
+    let white = 0n;
+    text.split('/').forEach((row, r) => [...row].forEach((ch, c) => {
+        if (ch === 'X') black |= bb.bit[bb.toIndex(r, c)];
+        if (ch === 'O') white |= bb.bit[bb.toIndex(r, c)];
+    }));
+    return { black, white };
+}
+
+test('確定石の数（手で数えた局面）', () => {
+    const bb = Bitboard.of(8);
+    const count = (text, color = 'black') => {
+        const { black, white } = parseRows(bb, text);
+        return Bitboard.popcount(color === 'black' ? bb.getStable(black, white) : bb.getStable(white, black));
+    };
+    const empty = '--------';
+
+    // 角だけ
+    assert.strictEqual(count(['X-------', empty, empty, '---OX---', '---XO---', empty, empty, empty].join('/')), 1);
+    // 角から続く辺の石と、角の隣の列の石。その先の白は黒に挟まれうる
+    const corner = ['XXXO----', 'X-------', empty, '---OX---', '---XO---', empty, empty, empty].join('/');
+    assert.strictEqual(count(corner), 4);
+    assert.strictEqual(count(corner, 'white'), 0);
+    // 埋まった辺は色に関係なく全て確定
+    const edge = ['XXOOXOOX', empty, empty, '---OX---', '---XO---', empty, empty, empty].join('/');
+    assert.strictEqual(count(edge), 4);
+    assert.strictEqual(count(edge, 'white'), 4);
+    // 中央の石は確定しない
+    assert.strictEqual(count([empty, empty, empty, '---OX---', '---XO---', empty, empty, empty].join('/')), 0);
+    // 角の 2x2 では b2 だけが a3-c1 の斜めで挟まれうる。3x3 まで埋まれば b2 も確定する
+    assert.strictEqual(count(['XX------', 'XX------', empty, empty, empty, empty, empty, empty].join('/')), 3);
+    assert.strictEqual(count(['XXX-----', 'XXX-----', 'XXX-----', empty, empty, empty, empty, empty].join('/')), 6);
+
+    // 全て埋まった盤面は全ての石が確定（6x6・10x10 も）
+    for (const size of [6, 10]) {
+        const board = Bitboard.of(size);
+        const half = board.full & ~board.bit.slice(0, size * 2).reduce((a, b) => a | b);
+        assert.strictEqual(Bitboard.popcount(board.getStable(half, board.full ^ half)), size * size - size * 2);
+    }
+});
+
+test('確定石はこの先どう打っても裏返らない', () => {
+    const bb = Bitboard.of(8);
+    const random = createRandom(14);
+    for (let g = 0; g < 30; g++) {
+        let player = bb.bit[28] | bb.bit[35];
+        let opponent = bb.bit[27] | bb.bit[36];
+        // 黒白それぞれ、一度確定した石がその後の局面で相手の石になっていないか
+        let stable = [0n, 0n];
+        for (let ply = 0; ; ply++) {
+            const side = ply % 2;
+            assert.strictEqual(stable[side] & ~player, 0n, '手番側の確定石が裏返った');
+            assert.strictEqual(stable[1 - side] & ~opponent, 0n, '相手の確定石が裏返った');
+            stable[side] |= bb.getStable(player, opponent);
+            stable[1 - side] |= bb.getStable(opponent, player);
+
+            const moves = Bitboard.toSquareList(bb.getMoves(player, opponent));
+            if (moves.length === 0) {
+                if (bb.getMoves(opponent, player) === 0n) break;
+            } else {
+                const sq = moves[Math.floor(random() * moves.length)];
+                const flips = bb.getFlips(player, opponent, sq);
+                player |= flips | bb.bit[sq];
+                opponent ^= flips;
+            }
+            [player, opponent] = [opponent, player];
+        }
+    }
+});
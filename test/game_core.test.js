@@ -0,0 +1,184 @@
+/**
+ * game_core.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadScripts, createRandom } = require('./helpers');
+
+const { GameCore } = loadScripts('js/bitboard.js', 'js/game_core.js');
+
+/**
+ * ランダムに終局まで打ち、各手数の局面（盤面と手番）を記録する
+ */
+function playRandomGame(game, random) {
+    const snapshots = [{ board: GameCore.cloneBoard(game.board), turn: game.turn }];
+    for (;;) {
+        const moves = game.getValidMoves(game.turn);
+        if (moves.length === 0) {
+            if (!game.hasValidMove(-game.turn)) break;
+            assert.ok(game.pass());
+        } else {
+            const { r, c } = moves[Math.floor(random() * moves.length)];
+            assert.ok(game.makeMove(r, c, game.turn));
+        }
+        snapshots.push({ board: GameCore.cloneBoard(game.board), turn: game.turn });
+    }
+    return snapshots;
+}
+
+test('undo / redo / goToPly で各手数の局面が再現される', () => {
+    const random = createRandom(4);
+    for (let g = 0; g < 5; g++) {
+        const game = new GameCore();
+        const snapshots = playRandomGame(game, random);
+        const last = snapshots.length - 1;
+        assert.strictEqual(game.ply, last);
+        assert.strictEqual(game.getMoveHistory().length, last);
+
+        for (let ply = last; ply > 0; ply--) {
+            assert.ok(game.undo());
+            assert.deepStrictEqual(game.board, snapshots[ply - 1].board);
+            assert.strictEqual(game.turn, snapshots[ply - 1].turn);
+        }
+        assert.strictEqual(game.undo(), false);
+
+        assert.ok(game.redo());
+        assert.deepStrictEqual(game.board, snapshots[1].board);
+
+        for (const n of [last, 0, Math.floor(last / 2), last]) {
+            assert.ok(game.goToPly(n));
+            assert.deepStrictEqual(game.board, snapshots[n].board);
+            assert.strictEqual(game.turn, snapshots[n].turn);
+        }
+        assert.strictEqual(game.redo(), false);
+        assert.strictEqual(game.goToPly(last + 1), false);
+        assert.strictEqual(game.goToPly(-1), false);
+    }
+});
+
+test('undo した後に打つと、戻した手は棋譜から破棄される', () => {
+    const game = new GameCore();
+    game.makeMove(2, 3, 1);  // d3
+    game.makeMove(2, 2, -1); // c3
+    game.undo();
+    assert.ok(game.canRedo());
+
+    game.makeMove(4, 2, -1); // c5
+    assert.strictEqual(game.canRedo(), false);
+    assert.deepStrictEqual(game.getMoveHistory().map(e => [e.r, e.c]), [[2, 3], [4, 2]]);
+});
+
+test('パスは打てる手がないときだけ記録され、1手として戻せる', () => {
+    const game = new GameCore();
+    assert.strictEqual(game.pass(), false);
+
+    // 黒は a1 に1つだけ、白は打てる場所がない
+    const board = Array.from({ length: 8 }, () => Array(8).fill(0));
+    board[0][0] = 1;
+    board[0][1] = -1;
+    game.loadBoard(board, -1);
+    assert.ok(game.pass());
+    assert.strictEqual(game.turn, 1);
+    assert.deepStrictEqual(game.getMoveHistory(), [{ type: 'pass', turn: -1 }]);
+
+    game.undo();
+    assert.strictEqual(game.turn, -1);
+    assert.strictEqual(game.ply, 0);
+});
+
+test('局面文字列の書き出しと読み込みが往復する', () => {
+    const start = GameCore.serializePosition(new GameCore().board, 1);
+    assert.strictEqual(start, '---------------------------OX------XO--------------------------- X');
+
+    const game = new GameCore();
+    game.makeMove(4, 5, 1); // f5
+    game.setPosition(game.getPosition());
+    assert.strictEqual(game.turn, -1);
+    assert.strictEqual(game.ply, 0);
+
+    // 行区切り・別の記号でも同じ局面になる
+    const rows = '--------/--------/--------/---OX---/---XO---/--------/--------/........ *';
+    assert.deepStrictEqual(GameCore.parsePosition(rows), GameCore.parsePosition(start));
+});
+
+test('不正な局面文字列は理由付きで拒否される', () => {
+    const rows = ['--------', '--------', '--------', '---OX---', '---XO---', '--------', '--------', '--------'];
+    const reject = (text, pattern) => assert.throws(() => GameCore.parsePosition(text), pattern);
+
+    reject(rows.join(''), /手番/);
+    reject(`${rows.join('')} B`, /手番は X か O/);
+    reject(`${rows.join('')}- X`, /マス数が 65/);
+    reject(`${[...rows.slice(0, 3), '---OX--', ...rows.slice(4)].join('/')} X`, /4行目のマス数が 7/);
+    reject(`${rows.join('').replace('OX', 'OZ')} X`, /不正な文字 "Z" があります \(4行5列\)/);
+    reject(`${rows.join('').replace('OX', '-X')} X`, /中央の4マス/);
+
+    // 黒は打てず白は打てる局面で黒番
+    reject('OOOOOOOO/OOOOOOOO/OOOOOOOO/OOOOOOOO/OOOOOOOO/OOOOOOOO/OOOOOOO-/OOOOOOX- X', /手番 \(黒\).*相手の手番/);
+});
+
+test('デバッグ用の局面はすべて読み込める', () => {
+    const { patterns } = JSON.parse(fs.readFileSync(path.join(ROOT, 'dev/debug/debug.json'), 'utf8'));
+    assert.ok(patterns.length > 0);
+    for (const pattern of patterns) {
+        assert.doesNotThrow(() => GameCore.parsePosition(pattern.position), pattern.name);
+    }
+});
+
+test('6x6・10x10 の盤面は中央4マスから始まり、局面文字列のマス数で大きさが決まる', () => {
+    for (const size of [6, 10]) {
+        const game = new GameCore(size);
+        const mid = size / 2;
+        assert.strictEqual(game.board.length, size);
+        assert.deepStrictEqual(game.board.flat().filter(v => v !== 0).length, 4);
+        assert.strictEqual(game.board[mid - 1][mid - 1], -1);
+        assert.strictEqual(game.board[mid - 1][mid], 1);
+        assert.strictEqual(game.getValidMoves(1).length, 4);
+        assert.strictEqual(game.makeMove(size - 1, size - 1, 1), false);
+        assert.strictEqual(game.makeMove(size, 0, 1), false, '盤外');
+
+        const parsed = GameCore.parsePosition(game.getPosition());
+        assert.strictEqual(parsed.board.length, size);
+        assert.deepStrictEqual(parsed.board, game.board);
+    }
+
+    const game = new GameCore();
+    game.reset(10);
+    assert.strictEqual(game.rows, 10);
+    assert.throws(() => game.reset(7), /対応していない盤面サイズ/);
+    assert.throws(() => new GameCore(12), /対応していない盤面サイズ/);
+});
+
+test('アンチリバーシでは石の少ないほうが勝ち、同数は引き分け', () => {
+    assert.strictEqual(GameCore.getWinner(40, 24), 1);
+    assert.strictEqual(GameCore.getWinner(40, 24, { anti: true }), -1);
+    assert.strictEqual(GameCore.getWinner(20, 44, { anti: true }), 1);
+    assert.strictEqual(GameCore.getWinner(32, 32, { anti: true }), 0);
+
+    const game = new GameCore(8, { anti: true });
+    game.setPosition('XXXXXXXX/XXXXXXXX/XXXXXXXX/XXXXXXXX/OOOOOOOO/OOOOOOOO/OOOOOOOO/OOOOOOXX X');
+    const status = game.checkGameState();
+    assert.ok(status.isGameOver);
+    assert.strictEqual(status.winner, -1);
+});
+
+test('置き石は決まった順に角へ置かれ、平行配置・局面文字列からも始められる', () => {
+    const { board } = GameCore.createStartPosition(8, { handicap: { color: -1, count: 3 } });
+    assert.strictEqual(board[0][0], -1);
+    assert.strictEqual(board[7][7], -1);
+    assert.strictEqual(board[0][7], -1);
+    assert.strictEqual(board[7][0], 0);
+    assert.strictEqual(board.flat().filter(v => v !== 0).length, 7);
+
+    const clamped = GameCore.createStartPosition(6, { handicap: { count: 9 } }).board;
+    assert.deepStrictEqual([clamped[0][0], clamped[5][5], clamped[0][5], clamped[5][0]], [1, 1, 1, 1]);
+
+    const parallel = new GameCore(8, { opening: 'parallel' });
+    assert.deepStrictEqual([parallel.board[3].slice(3, 5), parallel.board[4].slice(3, 5)], [[-1, 1], [-1, 1]]);
+    assert.deepStrictEqual(parallel.getValidMoves(1), [{ r: 2, c: 2 }, { r: 3, c: 2 }, { r: 4, c: 2 }, { r: 5, c: 2 }]);
+
+    const custom = new GameCore(8, { opening: '---------------------------OX------XO--------------------------- O' });
+    assert.strictEqual(custom.turn, -1);
+    assert.strictEqual(custom.startTurn, -1);
+});
@@ -0,0 +1,113 @@
+/**
+ * game_record.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createRandom } = require('./helpers');
+
+const { GameCore, GameRecord } = loadScripts('js/bitboard.js', 'js/game_core.js', 'js/game_record.js');
+
+/**
+ * ランダムに終局まで打った対局
+ */
+function randomGame(seed) {
+    const random = createRandom(seed);
+    const game = new GameCore();
+    for (;;) {
+        const moves = game.getValidMoves(game.turn);
+        if (moves.length === 0) {
+            if (!game.hasValidMove(-game.turn)) break;
+            game.pass();
+            continue;
+        }
+        const { r, c } = moves[Math.floor(random() * moves.length)];
+        game.makeMove(r, c, game.turn);
+    }
+    return game;
+}
+
+test('棋譜文字列を書き出して読み込むと同じ対局になる', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+        const game = randomGame(seed);
+        const transcript = GameRecord.toTranscript(game);
+
+        const loaded = new GameCore();
+        assert.strictEqual(GameRecord.load(loaded, transcript), null);
+        assert.deepStrictEqual(loaded.board, game.board);
+        assert.deepStrictEqual(loaded.getMoveHistory(), game.getMoveHistory(), 'パスも補われる');
+        assert.strictEqual(GameRecord.toTranscript(loaded), transcript);
+    }
+});
+
+test('GGF を書き出して読み込むと同じ対局と対局情報になる', () => {
+    const game = randomGame(6);
+    const ggf = GameRecord.toGGF(game, { black: 'Saki', white: 'Iso]roku', date: '2026-01-01' });
+    assert.match(ggf, /^\(;GM\[Othello\].*TY\[8\]/);
+
+    const loaded = new GameCore();
+    const info = GameRecord.load(loaded, ggf);
+    assert.strictEqual(info.black, 'Saki');
+    assert.strictEqual(info.white, 'Iso]roku');
+    assert.strictEqual(info.result, GameRecord._formatResult(game));
+    assert.deepStrictEqual(loaded.getMoveHistory(), game.getMoveHistory());
+});
+
+test('途中局面から始まる GGF は開始局面と手番ごと再現される', () => {
+    const game = new GameCore();
+    GameRecord.load(game, 'f5d6c3');
+    game.loadBoard(game.board, game.turn);
+    game.makeMove(3, 2, -1); // c4
+
+    const loaded = new GameCore();
+    GameRecord.load(loaded, GameRecord.toGGF(game));
+    assert.deepStrictEqual(loaded.startBoard, game.startBoard);
+    assert.strictEqual(loaded.startTurn, -1);
+    assert.deepStrictEqual(loaded.board, game.board);
+});
+
+test('読めない棋譜・置けない手・盤外の手はエラーになる', () => {
+    const game = new GameCore();
+    assert.throws(() => GameRecord.load(game, 'f5d6x'), /棋譜の形式/);
+    assert.throws(() => GameRecord.load(game, 'f5f5'), /2手目/);
+    assert.throws(() => GameRecord.load(game, 'f5i9'), /2手目/);
+    assert.throws(() => GameRecord.load(game, '(;GM[Othello]B[F5]W[Z12];)'), /2手目/);
+    assert.throws(() => GameRecord.load(game, '(;GM[Go]B[F5];)'), /オセロ以外/);
+    assert.throws(() => GameRecord.load(game, '(;GM[Othello]BO[8 --- *];)'), /BO/);
+    assert.throws(() => GameRecord.load(game, '(;GM[Othello]B[PA];)'), /パスできません/);
+});
+
+test('盤外の座標は makeMove・canPlace・simulateMove で拒否される', () => {
+    const game = new GameCore();
+    assert.strictEqual(game.makeMove(8, 4, 1), false);
+    assert.strictEqual(game.makeMove(-1, 0, 1), false);
+    assert.strictEqual(GameCore.canPlace(game.board, 4, 8, 1), false);
+    assert.strictEqual(GameCore.simulateMove(game.board, 9, 9, 1), null);
+});
+
+test('10x10 の棋譜は j 列・10 行目を含めて往復し、GGF は盤面サイズごと読み込まれる', () => {
+    const game = new GameCore(10);
+    for (const move of ['e4', 'd4', 'c4'].map(GameRecord.fromCoord)) assert.ok(game.makeMove(move.r, move.c, game.turn));
+    assert.deepStrictEqual(GameRecord.fromCoord('j10'), { r: 9, c: 9 });
+
+    const loaded = new GameCore();
+    GameRecord.load(loaded, GameRecord.toGGF(game));
+    assert.strictEqual(loaded.rows, 10);
+    assert.deepStrictEqual(loaded.board, game.board);
+
+    const replay = new GameCore(10);
+    GameRecord.load(replay, GameRecord.toTranscript(game));
+    assert.deepStrictEqual(replay.board, game.board);
+});
+
+test('アンチリバーシと置き石の対局は GGF の TY と BO に残る', () => {
+    const game = new GameCore(8, { anti: true, handicap: { color: 1, count: 2 } });
+    game.makeMove(2, 3, 1); // d3
+    const ggf = GameRecord.toGGF(game);
+    assert.match(ggf, /TY\[8a\]/);
+
+    const loaded = new GameCore();
+    GameRecord.load(loaded, ggf);
+    assert.strictEqual(loaded.rules.anti, true);
+    assert.deepStrictEqual(loaded.startBoard, game.startBoard);
+    assert.deepStrictEqual(loaded.board, game.board);
+});
@@ -0,0 +1,46 @@
+/**
+ * テストの共通処理
+ * ブラウザ用のスクリプト (js/*.js・data/*.js) をそのまま読み込み、宣言されたクラス・定数を取り出す
+ * （node --test はテストファイルごとに別のプロセスで動かすので、ファイルごとに読み込み直しになる）
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// 読み込み済みのスクリプト（同じクラスを二度宣言しないように）
+const loaded = new Set();
+
+/**
+ * スクリプトを順に読み込む
+ * @param {...string} files - リポジトリのルートからのパス（読み込む順）
+ * @returns {Object} スクリプトのトップレベルで宣言されたクラス・定数（名前 -> 値）
+ */
+function loadScripts(...files) {
+    const names = [];
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        if (!loaded.has(file)) {
+            vm.runInThisContext(source, { filename: file });
+            loaded.add(file);
+        }
+        names.push(...[...source.matchAll(/^(?:class|const) (\w+)/gm)].map(m => m[1]));
+    }
+    return vm.runInThisContext(`({ ${names.join(', ')} })`);
+}
+
+/**
+ * 0 以上 1 未満の乱数列（テストの局面を毎回同じにするための線形合同法）
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+module.exports = { ROOT, loadScripts, createRandom };
@@ -0,0 +1,68 @@
+/**
+ * move_selector.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createRandom } = require('./helpers');
+
+const { MoveSelector } = loadScripts('js/move_selector.js');
+
+const moves = [0, -100, -200, -1000].map((score, i) => ({ r: 0, c: i, score }));
+
+/**
+ * n 回選んだときの、各添字が選ばれた割合と悪手の割合
+ */
+function sample(settings, phase, n, seed) {
+    const random = createRandom(seed);
+    const counts = new Array(moves.length).fill(0);
+    let blunders = 0;
+    for (let i = 0; i < n; i++) {
+        const { index, blunder } = MoveSelector.select(moves, settings, phase, random);
+        counts[index]++;
+        if (blunder) blunders++;
+    }
+    return { rates: counts.map(count => count / n), blunders: blunders / n };
+}
+
+test('温度 0 なら常に最善手、空なら null', () => {
+    assert.deepStrictEqual(sample({}, 'midgame', 200, 1).rates, [1, 0, 0, 0]);
+    assert.strictEqual(MoveSelector.select([], { temperature: 100 }, 'midgame'), null);
+    assert.deepStrictEqual(MoveSelector.select(moves.slice(0, 1), { blunderRate: 1 }, 'midgame'), { index: 0, blunder: false });
+});
+
+test('ソフトマックスの温度に従った割合で選び、損の上限を超える手は選ばない', () => {
+    const { rates } = sample({ temperature: 100 }, 'midgame', 20000, 2);
+    const weights = moves.map(m => Math.exp(m.score / 100));
+    const total = weights.reduce((a, b) => a + b, 0);
+    weights.forEach((w, i) => assert.ok(Math.abs(rates[i] - w / total) < 0.015, `${i}: ${rates[i]} / ${w / total}`));
+
+    // 損 150 まで: 上位2手だけを e^0 : e^-1 で
+    const capped = sample({ temperature: 100, maxLoss: 150 }, 'midgame', 20000, 3).rates;
+    assert.deepStrictEqual(capped.slice(2), [0, 0]);
+    assert.ok(Math.abs(capped[1] - 1 / (1 + Math.E)) < 0.015, String(capped[1]));
+
+    // 旧来の randomness は上位 N+1 手から一様に（損の上限も効く）
+    const uniform = sample({ randomness: 2 }, 'midgame', 9000, 4).rates;
+    uniform.slice(0, 3).forEach(rate => assert.ok(Math.abs(rate - 1 / 3) < 0.02, String(rate)));
+    assert.strictEqual(uniform[3], 0);
+    assert.strictEqual(sample({ randomness: 50, maxLoss: 0 }, 'midgame', 100, 5).rates[0], 1);
+});
+
+test('悪手はフェーズごとの確率で、最善手以外から評価値に関係なく選ぶ', () => {
+    const settings = { temperature: 0, maxLoss: 0, blunderRate: { opening: 0, midgame: 0.3 } };
+    const midgame = sample(settings, 'midgame', 20000, 6);
+    assert.ok(Math.abs(midgame.blunders - 0.3) < 0.015, String(midgame.blunders));
+    assert.ok(Math.abs(midgame.rates[0] - 0.7) < 0.015);
+    midgame.rates.slice(1).forEach(rate => assert.ok(Math.abs(rate - 0.1) < 0.015, String(rate)));
+
+    assert.strictEqual(sample(settings, 'opening', 500, 7).blunders, 0);
+    assert.strictEqual(sample(settings, 'endgame', 500, 8).blunders, 0, '書いていないフェーズは 0');
+    assert.strictEqual(MoveSelector.blunderRate({ blunderRate: 0.2 }, 'endgame'), 0.2);
+});
+
+test('評価値で手を選ぶ設定だけがルートの全ての手の正確な評価値を要る', () => {
+    assert.strictEqual(MoveSelector.needsScores({}), false);
+    assert.strictEqual(MoveSelector.needsScores({ maxLoss: 500, blunderRate: 0.1 }), false);
+    assert.strictEqual(MoveSelector.needsScores({ temperature: 50 }), true);
+    assert.strictEqual(MoveSelector.needsScores({ randomness: 1 }), true);
+});
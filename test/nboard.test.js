@@ -0,0 +1,98 @@
+/**
+ * tools/nboard.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ROOT, loadScripts, createRandom } = require('./helpers');
+
+const { GameCore, GameRecord } = loadScripts('js/bitboard.js', 'js/game_core.js', 'js/game_record.js');
+
+/**
+ * アダプタにコマンドを送り、標準出力の行を返す
+ */
+function runAdapter(character, commands) {
+    const result = spawnSync(process.execPath, [path.join(ROOT, 'tools/nboard.js'), '--character', character], {
+        input: commands.join('\n') + '\n',
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    return { lines: result.stdout.trim().split('\n'), stderr: result.stderr };
+}
+
+/**
+ * 空きマスが empties 個になるまでランダムに打った局面の GGF
+ */
+function randomGGF(size, empties, seed) {
+    const random = createRandom(seed);
+    const game = new GameCore(size);
+    while (game.board.flat().filter(cell => cell === 0).length > empties) {
+        const moves = game.getValidMoves(game.turn);
+        if (moves.length === 0) {
+            if (!game.pass()) break;
+            continue;
+        }
+        const move = moves[Math.floor(random() * moves.length)];
+        game.makeMove(move.r, move.c, game.turn);
+    }
+    return GameRecord.toGGF(game, { date: '2000-01-01' });
+}
+
+test('名前・定跡手・着手・ping を NBoard の形式で返し、知らないコマンドは無視する', () => {
+    const { lines, stderr } = runAdapter('shiina_nightmare', ['nboard 2', 'go', 'move F5', 'set contempt 0', 'frobnicate', 'ping 7', 'quit']);
+    assert.strictEqual(lines[0], 'set myname shiina_nightmare');
+    // 開始局面は定跡手なので、評価値・時間を付けずに手だけを返す
+    assert.match(lines[1], /^=== [A-H][1-8]$/);
+    assert.strictEqual(lines[lines.length - 1], 'pong 7');
+    assert.match(stderr, /知らないコマンドです: frobnicate/);
+});
+
+test('中盤の評価値は eval、石差の読み切りは exact の付いた status で送る', () => {
+    const midgame = runAdapter('saki', [`set game ${randomGGF(8, 40, 25)}`, 'go', 'quit']).lines;
+    const statuses = midgame.filter(line => line.startsWith('status '));
+    assert.ok(statuses.length > 0);
+    for (const line of statuses) assert.match(line, /^status saki: depth \d+ [A-H][1-8] -?\d+\.\d{2} eval$/);
+    assert.match(midgame[midgame.length - 2], /^=== [A-H][1-8]\/-?\d+\.\d{2}\/\d+\.\d{2}$/);
+    assert.match(midgame[midgame.length - 1], /^nodestats \d+ \d+\.\d{2}$/);
+
+    // 空き 8 マスは石差まで読み切る。石差は盤の全マスと偶奇が同じ整数
+    const endgame = runAdapter('shiina_nightmare', [`set game ${randomGGF(8, 8, 26)}`, 'go', 'quit']).lines;
+    const last = endgame.filter(line => line.startsWith('status ')).pop();
+    const m = /^status shiina_nightmare: depth 8 [A-H][1-8] (-?\d+)\.00 exact$/.exec(last);
+    assert.ok(m, last);
+    assert.strictEqual(Math.abs(Number(m[1])) % 2, 0);
+    assert.match(endgame.find(line => line.startsWith('=== ')), new RegExp(`^=== [A-H][1-8]/${m[1]}\\.00/`));
+});
+
+test('勝敗だけの読み切りは、勝ち・負けを盤の全マス数で表し WLD を付ける', () => {
+    // 6x6 で空き 17 マスは、石差の読み切り (16) より多く勝敗の読み切り (18) 以下
+    const { lines } = runAdapter('shiina_nightmare', [`set game ${randomGGF(6, 17, 1)}`, 'go', 'hint 2', 'ping 1', 'quit']);
+    const wld = lines.filter(line => / WLD$/.test(line));
+    assert.ok(wld.length > 0);
+    for (const line of wld) assert.match(line, /^status shiina_nightmare: depth 17 [A-F][1-6] (-?36|0)\.00 WLD$/);
+
+    const played = lines.find(line => line.startsWith('=== '));
+    assert.match(played, /^=== [A-F][1-6]\/(-?36|0)\.00\//);
+    const searches = lines.filter(line => line.startsWith('search '));
+    assert.strictEqual(searches.length, 2);
+    for (const line of searches) assert.match(line, /^search [A-F][1-6] (-?36|0)\.00 0 17$/);
+    assert.deepStrictEqual(lines.slice(-2), ['status', 'pong 1']);
+});
+
+test('打つ場所がなければパスを返し、パスの着手も受け付ける', () => {
+    // 白番で白は打てず、パスのあと黒だけが C1 に打てる局面
+    const board = Array.from({ length: 8 }, () => new Array(8).fill(0));
+    board[0][0] = 1;
+    board[0][1] = -1;
+    const game = new GameCore(8);
+    game.loadBoard(board, -1);
+    const ggf = GameRecord.toGGF(game, { date: '2000-01-01' });
+
+    const { lines, stderr } = runAdapter('saki', [`set game ${ggf}`, 'go', 'move PA', 'go', 'quit']);
+    assert.strictEqual(lines[0], '=== PA');
+    // 1手しかないときは読まずに手だけを返す
+    assert.deepStrictEqual(lines.slice(1), ['=== C1']);
+    assert.strictEqual(stderr, '');
+});
@@ -0,0 +1,125 @@
+/**
+ * opening_book.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadScripts } = require('./helpers');
+
+const { GameCore, GameRecord, OpeningBook, UnifiedAIEngine } = loadScripts(
+    'js/bitboard.js', 'js/game_core.js', 'js/game_record.js', 'js/transposition_table.js',
+    'js/opening_book.js', 'js/move_selector.js', 'js/unified_ai_engine.js'
+);
+
+const standard = OpeningBook.register('standard',
+    JSON.parse(fs.readFileSync(path.join(ROOT, 'data/books/standard.json'), 'utf8')));
+
+/**
+ * 棋譜文字列の局面
+ */
+function positionAfter(transcript) {
+    const game = new GameCore();
+    GameRecord.load(game, transcript);
+    return { board: game.board, turn: game.turn };
+}
+
+test('回転・反転した局面でも同じ定跡の手を、その向きに直して返す', () => {
+    const key = m => `${m.r},${m.c},${m.weight},${m.line}`;
+    const sorted = moves => moves.map(key).sort();
+
+    // f5 と、それを盤の対称で移した初手 e6・c4・d3
+    const base = positionAfter('f5');
+    const expected = standard.lookup(base.board, base.turn);
+    assert.ok(expected.length >= 3);
+
+    const maps = { e6: (r, c) => [c, r], c4: (r, c) => [7 - r, 7 - c], d3: (r, c) => [7 - c, 7 - r] };
+    for (const [first, map] of Object.entries(maps)) {
+        const { board, turn } = positionAfter(first);
+        const moved = expected.map(m => {
+            const [r, c] = map(m.r, m.c);
+            return { ...m, r, c };
+        });
+        assert.deepStrictEqual(sorted(standard.lookup(board, turn)), sorted(moved), first);
+    }
+
+    const { board, turn } = positionAfter('f5d6c3d3c4f4f6f3e6e7');
+    assert.deepStrictEqual(standard.lookup(board, turn), [], '定跡の終わりより先');
+    assert.deepStrictEqual(standard.lookup(new GameCore(6).board, 1), [], '盤面サイズが違う');
+});
+
+test('使う定跡と重みを設定で絞り、randomness に従って選ぶ', () => {
+    const { board, turn } = positionAfter('f5d6');
+    const book = new OpeningBook({
+        lines: [
+            { id: 'a', moves: 'f5d6c3', weight: 3 },
+            { id: 'b', moves: 'f5d6c3d3', weight: 1 },
+            { id: 'c', moves: 'f5d6c5', weight: 2 }
+        ]
+    });
+
+    // 同じ手を含む定跡の重みは足し合わせ、手の line は最も重い定跡
+    const moves = book.lookup(board, turn);
+    assert.deepStrictEqual(moves.map(m => [GameRecord.toCoord(m), m.weight, m.line]).sort(),
+        [['c3', 4, 'a'], ['c5', 2, 'c']]);
+    assert.deepStrictEqual(book.lookup(board, turn, { lines: { c: 1 } }).map(m => m.line), ['c']);
+
+    // randomness 0 は最も重い手、1 は重みに比例（c3 が 4/6、c5 が 2/6）
+        assert.strictEqual(GameRecord.toCoord(book.choose(board, turn, { randomness: 0 }, () => 0.99)), 'c3');
+    assert.strictEqual(GameRecord.toCoord(book.choose(board, turn, { randomness: 1 }, () => 0.6)), 'c3');
+    assert.strictEqual(GameRecord.toCoord(book.choose(board, turn, { randomness: 1 }, () => 0.7)), 'c5');
+    // randomness が小さいほど重い手に寄る（0.5 なら 16:4）
+    assert.strictEqual(GameRecord.toCoord(book.choose(board, turn, { randomness: 0.5 }, () => 0.75)), 'c3');
+    assert.strictEqual(book.lineName('a'), 'a');
+
+    assert.throws(() => new OpeningBook({ lines: [{ id: 'bad', moves: 'f5f5' }] }), /bad の f5 は打てません/);
+});
+
+test('エンジンは定跡の手数までだけ定跡手を使い、開始局面の石は手数に数えない', async () => {
+    const engine = new UnifiedAIEngine();
+    const config = { ai: { maxDepth: 1, timeLimit: 60000, book: { name: 'standard', depth: 2, randomness: 0 } } };
+
+    const first = await engine.computeMove(new GameCore().board, 1, config, {});
+    assert.ok(first.book);
+    assert.strictEqual(first.bookName, standard.lineName(first.book));
+    assert.deepStrictEqual(await engine.quickMove(new GameCore().board, 1, config, {}), first);
+
+    const second = positionAfter('f5');
+    assert.ok((await engine.computeMove(second.board, second.turn, config, {})).book);
+    const third = positionAfter('f5d6');
+    assert.strictEqual((await engine.computeMove(third.board, third.turn, config, {})).book, undefined, '定跡の手数を過ぎた');
+    assert.strictEqual(engine.bookMove(new GameCore().board, 1, config, { anti: true }), null);
+
+    // 開始局面が途中の局面なら、そこからの手数で数える（f5 の後から始めた対局の1手目）
+    const rules = { opening: GameCore.serializePosition(second.board, second.turn) };
+    const shallow = { ai: { ...config.ai, book: { name: 'standard', depth: 1 } } };
+    assert.ok(engine.bookMove(second.board, second.turn, shallow, rules));
+    assert.strictEqual(engine.bookMove(second.board, second.turn, shallow, {}), null);
+});
+
+test('中断した先読みの後でも、定跡手を返したエンジンは中断状態を持ち越さない', async () => {
+    const engine = new UnifiedAIEngine();
+    const config = { ai: { maxDepth: 60, timeLimit: 1000, useTranspositionTable: true, ttSizeMB: 1, ponder: true, book: { name: 'standard' } } };
+
+    const { board, turn } = positionAfter('f5');
+    const pondering = engine.ponder(board, turn, config, {});
+    setTimeout(() => engine.cancel(), 100);
+    await pondering;
+    assert.strictEqual(engine.cancelRequested, true);
+
+    const move = await engine.computeMove(new GameCore().board, 1, config, {});
+    assert.ok(move.book);
+    assert.strictEqual(engine.cancelRequested, false);
+});
+
+test('seed のある設定では、同じ局面で同じ定跡手を選ぶ', () => {
+    const engine = new UnifiedAIEngine();
+    const { board, turn } = positionAfter('f5');
+    const pick = seed => {
+        const move = engine.bookMove(board, turn, { ai: { seed, book: { name: 'standard', randomness: 1 } } }, {});
+        return `${move.r},${move.c}`;
+    };
+    const picks = [1, 2, 3, 4, 5, 6, 7, 8].map(pick);
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 6, 7, 8].map(pick), picks);
+    assert.ok(new Set(picks).size > 1, 'seed が違えば別の手も選ばれる');
+});
@@ -0,0 +1,127 @@
+/**
+ * pattern_eval.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createRandom } = require('./helpers');
+
+const { Bitboard, PatternEvaluator, UnifiedAIEngine } = loadScripts(
+    'js/bitboard.js', 'js/transposition_table.js', 'js/move_selector.js', 'js/unified_ai_engine.js', 'js/pattern_eval.js'
+);
+
+const bb = Bitboard.of(8);
+
+const PATTERNS = [
+    { name: 'edge2x', squares: ['a1', 'b1', 'c1', 'd1', 'e1', 'f1', 'g1', 'h1', 'b2', 'g2'] },
+    { name: 'corner3x3', squares: ['a1', 'b1', 'c1', 'a2', 'b2', 'c2', 'a3', 'b3', 'c3'] },
+    { name: 'corner2x5', squares: ['a1', 'b1', 'c1', 'd1', 'e1', 'a2', 'b2', 'c2', 'd2', 'e2'] },
+    { name: 'hv4', squares: ['a4', 'b4', 'c4', 'd4', 'e4', 'f4', 'g4', 'h4'] },
+    { name: 'diag8', squares: ['a1', 'b2', 'c3', 'd4', 'e5', 'f6', 'g7', 'h8'] }
+];
+
+/**
+ * 表を乱数で埋めた重みのデータ（盤の対称性を考えていない表）
+ */
+function randomWeights(random, phases) {
+    const weights = {};
+    for (const pattern of PATTERNS) {
+        weights[pattern.name] = phases.map(() =>
+            Array.from({ length: 3 ** pattern.squares.length }, () => Math.floor(random() * 200) - 100));
+    }
+    return { size: 8, phases, patterns: PATTERNS, weights, mobility: phases.map(() => 10) };
+}
+
+/**
+ * 石を盤の回転・反転で移す
+ */
+function transform(stones, map) {
+    let result = 0n;
+    for (const sq of Bitboard.toSquareList(stones)) {
+        const [r, c] = map(Math.floor(sq / 8), sq % 8);
+        result |= bb.bit[bb.toIndex(r, c)];
+    }
+    return result;
+}
+
+const TRANSFORMS = [
+    (r, c) => [c, 7 - r],
+    (r, c) => [7 - r, 7 - c],
+    (r, c) => [7 - c, r],
+    (r, c) => [r, 7 - c],
+    (r, c) => [7 - r, c],
+    (r, c) => [c, r],
+    (r, c) => [7 - c, 7 - r]
+];
+
+test('同じマスの組になる回転・反転は1つにまとめて展開される', () => {
+    const toSquares = coords => coords.map(coord => PatternEvaluator._parseSquare(coord, 8));
+    const count = name => PatternEvaluator._symmetries(toSquares(PATTERNS.find(p => p.name === name).squares), 8).length;
+    assert.strictEqual(count('edge2x'), 4);
+    assert.strictEqual(count('corner3x3'), 4);
+    assert.strictEqual(count('corner2x5'), 8);
+    assert.strictEqual(count('hv4'), 4);
+    assert.strictEqual(count('diag8'), 2);
+
+    // 対角線は 180度回転で逆順、転置でそのまま
+    const permutations = PatternEvaluator._selfPermutations(toSquares(PATTERNS[4].squares), 8);
+    assert.deepStrictEqual(permutations.map(p => p.join('')).sort(), ['01234567', '76543210']);
+});
+
+test('表が対称でなくても、盤を回転・反転した局面は同じ評価値になる', () => {
+    const random = createRandom(15);
+    const patterns = PatternEvaluator.register('symmetry-test', randomWeights(random, [40, 16, 0]));
+
+    for (let i = 0; i < 20; i++) {
+        // 空きマスの数をばらつかせ、全ての段階を通る
+        let player = 0n;
+        let opponent = 0n;
+        const filled = 4 + Math.floor(random() * 60);
+        for (let n = 0; n < filled; n++) {
+            const sq = Math.floor(random() * 64);
+            if (random() < 0.5) player |= bb.bit[sq];
+            else opponent |= bb.bit[sq];
+        }
+        player &= ~opponent;
+
+        const expected = patterns.evaluate(player, opponent, bb);
+        for (const map of TRANSFORMS) {
+            const score = patterns.evaluate(transform(player, map), transform(opponent, map), bb);
+            assert.ok(Math.abs(score - expected) < 1e-9, `${score} != ${expected}`);
+        }
+    }
+});
+
+test('base64 の表と数値配列の表は同じ値として読まれ、段階数や大きさの誤りはエラーになる', () => {
+    const table = Array.from({ length: 81 }, (_, i) => i * 37 - 1500);
+    const bytes = new Uint8Array(table.length * 2);
+    const view = new DataView(bytes.buffer);
+    table.forEach((v, i) => view.setInt16(i * 2, v, true));
+    const base64 = Buffer.from(bytes).toString('base64');
+    assert.deepStrictEqual([...PatternEvaluator._decodeTable(base64, 81)], table);
+    assert.throws(() => PatternEvaluator._decodeTable(table.slice(1), 81), /大きさ/);
+
+    const patterns = [{ name: 'p', squares: ['a1', 'b1', 'c1', 'd1'] }];
+    assert.throws(() => new PatternEvaluator({ size: 8, phases: [10, 0], patterns, weights: { p: [table] } }), /段階数/);
+    assert.throws(() => new PatternEvaluator({ size: 8, phases: [0], patterns: [{ name: 'p', squares: ['i1'] }], weights: {} }), /マス/);
+    assert.throws(() => new PatternEvaluator({ size: 7, phases: [0], patterns, weights: {} }), /盤面サイズ/);
+
+    const evaluator = new PatternEvaluator({ size: 8, phases: [40, 16, 0], patterns, weights: { p: [table, table, table] } });
+    assert.deepStrictEqual([60, 40, 39, 16, 15, 0].map(e => evaluator.phaseOf(e)), [0, 0, 1, 1, 2, 2]);
+});
+
+test('パターン評価は 8x8 の通常ルールだけで使い、それ以外は特徴量の評価になる', () => {
+    PatternEvaluator.register('engine-test', randomWeights(createRandom(16), [0]));
+    const engine = new UnifiedAIEngine();
+    engine.currentConfig = engine._normalizeConfig({ ai: { evaluator: 'pattern', patternWeights: 'engine-test' } });
+    assert.ok(engine._selectPatternEvaluator({}) instanceof PatternEvaluator);
+    assert.strictEqual(engine._selectPatternEvaluator({ anti: true }), null);
+    engine._setBoardSize(6);
+    assert.strictEqual(engine._selectPatternEvaluator({}), null);
+    engine._setBoardSize(8);
+
+    engine.currentConfig = engine._normalizeConfig({ ai: { evaluator: 'pattern', patternWeights: 'missing' } });
+    assert.strictEqual(engine._selectPatternEvaluator({}), null);
+
+    engine.currentConfig = engine._normalizeConfig({ ai: {} });
+    assert.strictEqual(engine._selectPatternEvaluator({}), null);
+});
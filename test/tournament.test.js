@@ -0,0 +1,59 @@
+/**
+ * tools/tournament.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ROOT } = require('./helpers');
+
+/**
+ * 大会を小さい設定で打つ
+ */
+function runTournament(...args) {
+    return spawnSync(process.execPath, [path.join(ROOT, 'tools/tournament.js'), ...args], {
+        encoding: 'utf8',
+        timeout: 60000
+    });
+}
+
+const SMALL = ['--characters', 'saki,whimsical,attacker', '--openings', '2', '--plies', '4', '--node-limit', '300', '--seed', '1'];
+
+test('種とノード数の上限を指定すると同じ結果になり、勝敗表は先手・後手を入れ替えた局数がそろう', () => {
+    const first = runTournament(...SMALL);
+    assert.strictEqual(first.status, 0, first.stderr);
+    assert.strictEqual(runTournament(...SMALL).stdout, first.stdout);
+
+    // 3人 × 2人 × 開始局面2つ = 12局
+    assert.match(first.stderr, /^\[12\/12\]/m);
+
+    const rows = first.stdout.split('\n').filter(line => /^(saki|whimsical|attacker) /.test(line));
+    assert.strictEqual(rows.length, 3);
+    for (const row of rows) {
+        const cells = row.trim().split(/\s+/).slice(1).filter(cell => cell !== '-');
+        for (const cell of cells) {
+            const total = cell.split('-').reduce((sum, n) => sum + Number(n), 0);
+            assert.strictEqual(total, 4, row);
+        }
+    }
+
+    // Elo は平均が 1500
+    const elo = [...first.stdout.matchAll(/Elo\s+(\d+)/g)].map(m => Number(m[1]));
+    assert.strictEqual(elo.length, 3);
+    assert.ok(Math.abs(elo.reduce((sum, e) => sum + e, 0) / 3 - 1500) <= 1);
+    assert.match(first.stdout, /強さ順（弱い順）: \w+, \w+, \w+/);
+});
+
+test('不明なオプション・8x8 で打てないキャラクター・1人だけの指定はエラーで終わる', () => {
+    const unknown = runTournament('--rounds', '3');
+    assert.strictEqual(unknown.status, 1);
+    assert.match(unknown.stderr, /不明なオプション: --rounds/);
+
+    const missing = runTournament('--characters', 'saki,nobody');
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /nobody/);
+
+    const alone = runTournament('--characters', 'saki');
+    assert.strictEqual(alone.status, 1);
+    assert.match(alone.stderr, /2人以上/);
+});
@@ -0,0 +1,140 @@
+/**
+ * transposition_table.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createRandom } = require('./helpers');
+
+const { Bitboard, TranspositionTable, UnifiedAIEngine } = loadScripts(
+    'js/bitboard.js', 'js/transposition_table.js', 'js/move_selector.js', 'js/unified_ai_engine.js'
+);
+
+const bb = Bitboard.of(8);
+
+/**
+ * 初期局面（黒番）の手番側・相手側の石
+ */
+function startPosition(bb) {
+    const mid = bb.size / 2;
+    return {
+        player: bb.bit[bb.toIndex(mid - 1, mid)] | bb.bit[bb.toIndex(mid, mid - 1)],
+        opponent: bb.bit[bb.toIndex(mid - 1, mid - 1)] | bb.bit[bb.toIndex(mid, mid)]
+    };
+}
+
+/**
+ * 初期局面からランダムに n 手（パスを含む）進めた局面
+ * @returns {{player: bigint, opponent: bigint, color: number}}
+ */
+function randomPosition(bb, random, plies) {
+    let { player, opponent } = startPosition(bb);
+    let color = 1;
+    for (let i = 0; i < plies; i++) {
+        const moves = Bitboard.toSquareList(bb.getMoves(player, opponent));
+        if (moves.length === 0) {
+            if (bb.getMoves(opponent, player) === 0n) break;
+            [player, opponent, color] = [opponent, player, -color];
+            continue;
+        }
+        const sq = moves[Math.floor(random() * moves.length)];
+        const flips = bb.getFlips(player, opponent, sq);
+        [player, opponent, color] = [opponent ^ flips, player | flips | bb.bit[sq], -color];
+    }
+    return { player, opponent, color };
+}
+
+test('差分更新したハッシュが局面から計算し直した値と一致する', () => {
+    const random = createRandom(2);
+    for (let g = 0; g < 12; g++) {
+        const bb = Bitboard.of([6, 8, 10][g % 3]);
+        let { player, opponent } = startPosition(bb);
+        let color = 1;
+        let hash = TranspositionTable.hash(player, opponent, color);
+        for (;;) {
+            const moves = Bitboard.toSquareList(bb.getMoves(player, opponent));
+            if (moves.length === 0) {
+                if (bb.getMoves(opponent, player) === 0n) break;
+                [player, opponent, color] = [opponent, player, -color];
+                hash = TranspositionTable.hashAfterPass(hash);
+            } else {
+                const sq = moves[Math.floor(random() * moves.length)];
+                const flips = bb.getFlips(player, opponent, sq);
+                hash = TranspositionTable.hashAfterMove(hash, sq, flips, color);
+                [player, opponent, color] = [opponent ^ flips, player | flips | bb.bit[sq], -color];
+            }
+            assert.strictEqual(hash, TranspositionTable.hash(player, opponent, color));
+        }
+    }
+});
+
+test('手番が違えば同じ石の配置でも別のハッシュになる', () => {
+    const { player, opponent } = startPosition(bb);
+    assert.notStrictEqual(TranspositionTable.hash(player, opponent, 1), TranspositionTable.hash(opponent, player, -1));
+});
+
+test('cutoff は保存された境界と深さに従って値を返す', () => {
+    const tt = new TranspositionTable(1);
+    const { EXACT, LOWER, UPPER } = TranspositionTable;
+
+    tt.store(1n, 4, 10, EXACT, 3);
+    const exact = tt.probe(1n);
+    assert.strictEqual(tt.moves[exact], 3);
+    assert.strictEqual(tt.cutoff(exact, 4, -100, 100), 10);
+    assert.strictEqual(tt.cutoff(exact, 5, -100, 100), null, '保存より深い探索には使わない');
+
+    tt.store(2n, 4, 10, LOWER, -1);
+    const lower = tt.probe(2n);
+    assert.strictEqual(tt.cutoff(lower, 4, -100, 10), 10);
+    assert.strictEqual(tt.cutoff(lower, 4, -100, 11), null);
+
+    tt.store(3n, 4, 10, UPPER, -1);
+    const upper = tt.probe(3n);
+    assert.strictEqual(tt.cutoff(upper, 4, 10, 100), 10);
+    assert.strictEqual(tt.cutoff(upper, 4, 9, 100), null);
+
+    assert.strictEqual(tt.probe(4n), -1);
+});
+
+test('同じ世代のより深いエントリは別の局面で上書きされず、古い世代のエントリは引けるが上書きされる', () => {
+    const tt = new TranspositionTable(1);
+    const other = 5n + (tt.indexMask + 1n); // 5n と同じ添字に入る別の局面
+
+    tt.store(5n, 6, 1, TranspositionTable.EXACT, -1);
+    tt.store(other, 2, 2, TranspositionTable.EXACT, -1);
+    assert.ok(tt.probe(5n) >= 0);
+    assert.strictEqual(tt.probe(other), -1);
+
+    tt.store(other, 6, 2, TranspositionTable.EXACT, -1);
+    assert.strictEqual(tt.probe(5n), -1, '同じ深さなら新しい局面で置き換える');
+
+    tt.store(5n, 8, 1, TranspositionTable.EXACT, -1);
+    tt.newSearch();
+    assert.ok(tt.probe(5n) >= 0, '前の探索のエントリも引ける');
+    tt.store(other, 1, 2, TranspositionTable.EXACT, -1);
+    assert.ok(tt.probe(other) >= 0, '前の探索のエントリは深さに関係なく上書きする');
+
+    tt.clear();
+    assert.strictEqual(tt.probe(other), -1);
+});
+
+test('置換表を使っても終盤読み切りの値は変わらない', () => {
+    const random = createRandom(5);
+    const engine = new UnifiedAIEngine();
+    const config = { ai: { maxDepth: 4, timeLimit: 60000, endgameSolverDepth: 10, useMoveOrdering: true } };
+
+    for (let i = 0; i < 4; i++) {
+        const { player, opponent, color } = randomPosition(bb, random, 51);
+
+        engine.startTime = Date.now();
+        engine.currentConfig = engine._normalizeConfig(config);
+        engine._prepareTranspositionTable();
+        const plain = engine._negamaxEndgame(player, opponent, -Infinity, Infinity, 0n, color);
+
+        engine.currentConfig = engine._normalizeConfig({ ai: { ...config.ai, useTranspositionTable: true, ttSizeMB: 1 } });
+        engine._prepareTranspositionTable();
+        const hash = TranspositionTable.hash(player, opponent, color);
+        const cached = engine._negamaxEndgame(player, opponent, -Infinity, Infinity, hash, color);
+
+        assert.strictEqual(cached, plain);
+    }
+});
@@ -0,0 +1,95 @@
+/**
+ * tools/tune_weights.js・tools/common.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ROOT } = require('./helpers');
+
+/**
+ * 学習を小さい設定で動かす
+ */
+function runTuner(...args) {
+    return spawnSync(process.execPath, [path.join(ROOT, 'tools/tune_weights.js'), ...args], {
+        encoding: 'utf8',
+        timeout: 60000
+    });
+}
+
+/**
+ * 出力された ai.weights を { phase -> { term -> 値 } } にする
+ */
+function parseWeights(stdout) {
+    const weights = {};
+    for (const [, phase, body] of stdout.matchAll(/(opening|midgame|endgame): \{ ([^}]*) \}/g)) {
+        weights[phase] = Object.fromEntries(body.split(', ').map(pair => {
+            const [term, value] = pair.split(': ');
+            return [term, Number(value)];
+        }));
+    }
+    return weights;
+}
+
+const SMALL = ['--plies', '8', '--iterations', '50', '--seed', '1'];
+
+test('自己対局の棋譜を保存して読み直すと同じ重みになり、--fix の値は動かず、負にならない項目は 0 以上', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tune-'));
+    const file = path.join(dir, 'games.txt');
+    try {
+        const played = runTuner('--games', '3', '--node-limit', '200', '--save', file, ...SMALL);
+        assert.strictEqual(played.status, 0, played.stderr);
+        assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 3);
+        assert.match(played.stderr, /3 局・\d+ 局面/);
+
+        const weights = parseWeights(played.stdout);
+        assert.deepStrictEqual(Object.keys(weights), ['opening', 'midgame', 'endgame']);
+        for (const phase of Object.values(weights)) {
+            assert.deepStrictEqual(Object.keys(phase), ['mobility', 'position', 'discDiff', 'stability', 'corner', 'frontier']);
+            for (const term of ['stability', 'corner', 'frontier']) assert.ok(phase[term] >= 0, `${term}: ${phase[term]}`);
+        }
+
+        const loaded = runTuner('--load', file, ...SMALL);
+        assert.strictEqual(loaded.status, 0, loaded.stderr);
+        assert.strictEqual(loaded.stdout, played.stdout);
+
+        const fixed = parseWeights(runTuner('--load', file, '--fix', 'corner=0', '--fix', 'endgame.discDiff=200', ...SMALL).stdout);
+        assert.deepStrictEqual(Object.values(fixed).map(phase => phase.corner), [0, 0, 0]);
+        assert.strictEqual(fixed.endgame.discDiff, 200);
+
+        const solved = runTuner('--load', file, '--solve', '8', ...SMALL);
+        assert.strictEqual(solved.status, 0, solved.stderr);
+        assert.match(solved.stderr, /\d+ 局面を読み切りの結果で学習します/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('設定の誤りや使える局面のない棋譜はエラーで終わる', () => {
+    assert.match(runTuner('--fix', 'corners=1').stderr, /--fix の形式/);
+    assert.match(runTuner('--character', 'nobody').stderr, /キャラクターが見つかりません: nobody/);
+    assert.match(runTuner('--games', '0').stderr, /--games は 1 以上/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tune-'));
+    const file = path.join(dir, 'games.txt');
+    try {
+        // 終局していない棋譜は飛ばす
+        fs.writeFileSync(file, 'f5d6c3\n');
+        const result = runTuner('--load', file);
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /1 件の棋譜は読めないか使えない/);
+        assert.match(result.stderr, /学習に使える局面がありません/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('ツールの乱数はエンジンの seededRandom と同じ列になる', () => {
+    const { UnifiedAIEngine, createRandom } = require('../tools/common');
+    const a = createRandom(24);
+    const b = UnifiedAIEngine.seededRandom(24);
+    for (let i = 0; i < 10; i++) assert.strictEqual(a(), b());
+    assert.strictEqual(createRandom(null), Math.random);
+});
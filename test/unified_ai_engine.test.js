@@ -0,0 +1,521 @@
+/**
+ * unified_ai_engine.js のテスト（node --test test/）
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createRandom } = require('./helpers');
+
+const { Bitboard, TranspositionTable, UnifiedAIEngine } = loadScripts(
+    'js/bitboard.js', 'js/transposition_table.js', 'js/move_selector.js', 'js/unified_ai_engine.js'
+);
+
+const bb = Bitboard.of(8);
+
+/**
+ * 初期局面（黒番）の手番側・相手側の石
+ */
+function startPosition(bb) {
+    const mid = bb.size / 2;
+    return {
+        player: bb.bit[bb.toIndex(mid - 1, mid)] | bb.bit[bb.toIndex(mid, mid - 1)],
+        opponent: bb.bit[bb.toIndex(mid - 1, mid - 1)] | bb.bit[bb.toIndex(mid, mid)]
+    };
+}
+
+/**
+ * 初期局面からランダムに n 手（パスを含む）進めた局面
+ * @returns {{player: bigint, opponent: bigint, color: number}}
+ */
+function randomPosition(bb, random, plies) {
+    let { player, opponent } = startPosition(bb);
+    let color = 1;
+    for (let i = 0; i < plies; i++) {
+        const moves = Bitboard.toSquareList(bb.getMoves(player, opponent));
+        if (moves.length === 0) {
+            if (bb.getMoves(opponent, player) === 0n) break;
+            [player, opponent, color] = [opponent, player, -color];
+            continue;
+        }
+        const sq = moves[Math.floor(random() * moves.length)];
+        const flips = bb.getFlips(player, opponent, sq);
+        [player, opponent, color] = [opponent ^ flips, player | flips | bb.bit[sq], -color];
+    }
+    return { player, opponent, color };
+}
+
+/**
+ * エンジンに設定を読み込ませ、探索の準備をする
+ */
+function prepare(engine, ai) {
+    engine.startTime = Date.now();
+    engine.timeUp = false;
+    engine.currentConfig = engine._normalizeConfig({ ai: { timeLimit: 60000, ...ai } });
+    engine.weightTable = engine._buildWeightTable();
+    engine._prepareTranspositionTable();
+    engine._resetMoveOrderingTables();
+}
+
+test('PVS・Aspiration Window・キラー/ヒストリーを使っても最善手の評価値は変わらない', () => {
+    const random = createRandom(3);
+    const engine = new UnifiedAIEngine();
+    const depth = 4;
+
+    for (let i = 0; i < 6; i++) {
+        const { player, opponent, color } = randomPosition(bb, random, 10 + i * 6);
+        const moves = Bitboard.toSquareList(bb.getMoves(player, opponent));
+        if (moves.length === 0) continue;
+
+        prepare(engine, { maxDepth: depth });
+        engine.iterationDepth = depth;
+        const plain = engine._searchAtDepth(player, opponent, moves, depth, 0n, color);
+
+        prepare(engine, {
+            maxDepth: depth, useMoveOrdering: true, usePVS: true,
+            useAspiration: true, aspirationWindow: 50, useKillerMoves: true, useHistoryHeuristic: true
+        });
+        engine.iterationDepth = depth;
+        // 窓の外から始めて、読み直しも通るようにする
+        const fast = engine._searchWithAspiration(
+            player, opponent, engine._orderMoves(moves), depth, 0n, color, plain[0].score + 200
+        );
+
+        assert.strictEqual(fast[0].score, plain[0].score);
+        assert.ok(plain.filter(m => m.score === plain[0].score).some(m => m.r === fast[0].r && m.c === fast[0].c));
+    }
+});
+
+test('βカットした手がキラームーブとヒストリーに記録され、並べ替えで優先される', () => {
+    const engine = new UnifiedAIEngine();
+    prepare(engine, { maxDepth: 4, useMoveOrdering: true, useKillerMoves: true, useHistoryHeuristic: true });
+
+    engine._recordCutoff(20, 1, 3, 1);
+    engine._recordCutoff(44, 1, 3, 1);
+    assert.deepStrictEqual(engine.killers[1], [44, 20]);
+
+    // 辺のマス (2) は普段は中のマス (20, 44) より先に読むが、キラームーブが優先される
+    const ordered = engine._orderMoves([2, 20, 44, 29], 1, 1);
+    assert.deepStrictEqual(ordered.slice(0, 2).sort(), [20, 44]);
+    assert.ok(engine.history[20] > 0 && engine.history[64 + 20] === 0, '白番のヒストリーには記録しない');
+});
+
+test('6x6・10x10 の盤面でも合法手を返し、6x6 の終盤は読み切る', async () => {
+    const engine = new UnifiedAIEngine();
+    const { GameCore } = loadScripts('js/game_core.js');
+
+    for (const size of [6, 10]) {
+        const game = new GameCore(size);
+        const move = await engine.computeMove(game.board, 1, { ai: { maxDepth: 3, timeLimit: 5000, useMoveOrdering: true } });
+        assert.ok(game.canPlace(move.r, move.c, 1), `${size}x${size}: (${move.r}, ${move.c})`);
+    }
+
+    // 6x6 の残り 10 マスを読み切った手は、全ての手を読み切った最善の石差と一致する
+    const random = createRandom(7);
+    const small = Bitboard.of(6);
+    const { player, opponent, color } = randomPosition(small, random, 24);
+    const board = small.toBoard(color === 1 ? player : opponent, color === 1 ? opponent : player, 1);
+    const moves = GameCore.getValidMoves(board, color);
+    assert.ok(moves.length >= 2);
+
+    const config = { ai: { maxDepth: 2, timeLimit: 60000, endgameSolverDepth: 12, useMoveOrdering: true } };
+    const best = await engine.computeMove(board, color, config);
+    const exact = m => {
+        const child = small.fromBoard(GameCore.simulateMove(board, m.r, m.c, color), -color);
+        engine.startTime = Date.now();
+        return -engine._negamaxEndgame(child.player, child.opponent, -Infinity, Infinity, 0n, -color);
+    };
+    assert.strictEqual(exact(best), Math.max(...moves.map(exact)));
+});
+
+/**
+ * 枝刈りなしで読み切った石差（手番側から見た値。sign = -1 ならアンチリバーシ）
+ */
+function solveByBruteForce(bb, player, opponent, sign) {
+    const moves = Bitboard.toSquareList(bb.getMoves(player, opponent));
+    if (moves.length === 0) {
+        if (bb.getMoves(opponent, player) === 0n) return sign * (Bitboard.popcount(player) - Bitboard.popcount(opponent));
+        return -solveByBruteForce(bb, opponent, player, sign);
+    }
+    return Math.max(...moves.map(sq => {
+        const flips = bb.getFlips(player, opponent, sq);
+        return -solveByBruteForce(bb, opponent ^ flips, player | flips | bb.bit[sq], sign);
+    }));
+}
+
+test('アンチリバーシでは石の少ないほうを良しとして読み切る', async () => {
+    const { GameCore } = loadScripts('js/game_core.js');
+    const engine = new UnifiedAIEngine();
+    const random = createRandom(8);
+    const { player, opponent, color } = randomPosition(bb, random, 54);
+    const board = bb.toBoard(color === 1 ? player : opponent, color === 1 ? opponent : player, 1);
+    const moves = GameCore.getValidMoves(board, color);
+    assert.ok(moves.length >= 2);
+
+    for (const rules of [{}, { anti: true }]) {
+        const sign = rules.anti ? -1 : 1;
+        const exact = moves.map(m => {
+            const child = bb.fromBoard(GameCore.simulateMove(board, m.r, m.c, color), -color);
+            return -solveByBruteForce(bb, child.player, child.opponent, sign);
+        });
+
+        const config = { ai: { maxDepth: 2, timeLimit: 60000, endgameSolverDepth: 12, useMoveOrdering: true } };
+        const best = await engine.computeMove(board, color, config, rules);
+        const index = moves.findIndex(m => m.r === best.r && m.c === best.c);
+        assert.strictEqual(exact[index], Math.max(...exact), JSON.stringify(rules));
+    }
+});
+
+test('確定石による上限は読み切った値を下回らず、枝刈りしても終盤の値は変わらない', () => {
+    const engine = new UnifiedAIEngine();
+    const random = createRandom(14);
+    for (let i = 0; i < 6; i++) {
+        const { player, opponent, color } = randomPosition(bb, random, 52 + (i % 3));
+        for (const sign of [1, -1]) {
+            engine.discSign = sign;
+            prepare(engine, { maxDepth: 2, endgameSolverDepth: 12, useMoveOrdering: true });
+            const exact = solveByBruteForce(bb, player, opponent, sign) * 1000;
+            assert.ok(engine._stabilityUpperBound(player, opponent, -Infinity) >= exact);
+
+            // 狭い窓でも、窓の中なら正確な値、外なら正しい側の境界を返す
+            assert.strictEqual(engine._negamaxEndgame(player, opponent, -Infinity, Infinity, 0n, color), exact);
+            const high = engine._negamaxEndgame(player, opponent, exact, exact + 1, 0n, color);
+            const low = engine._negamaxEndgame(player, opponent, exact - 1, exact, 0n, color);
+            assert.ok(high <= exact, `sign ${sign}`);
+            assert.ok(low >= exact, `sign ${sign}`);
+        }
+    }
+    engine.discSign = 1;
+});
+
+/**
+ * 最善手順を盤面上でたどり、全て合法手（またはパス）であることを確かめて最後の局面を返す
+ */
+function playPV(bb, player, opponent, pv) {
+    for (const move of pv) {
+        if (move.pass) {
+            assert.strictEqual(bb.getMoves(player, opponent), 0n, 'パスできない局面でのパス');
+            [player, opponent] = [opponent, player];
+            continue;
+        }
+        const sq = bb.toIndex(move.r, move.c);
+        const flips = bb.getFlips(player, opponent, sq);
+        assert.notStrictEqual(flips, 0n, `(${move.r}, ${move.c}) は打てない`);
+        [player, opponent] = [opponent ^ flips, player | flips | bb.bit[sq]];
+    }
+    return { player, opponent };
+}
+
+test('analyze は全ての合法手を正確な評価値順に並べ、最善手から始まる手順を返す', async () => {
+    const { GameCore } = loadScripts('js/game_core.js');
+    const engine = new UnifiedAIEngine();
+    const { player, opponent, color } = randomPosition(bb, createRandom(9), 16);
+    const board = bb.toBoard(color === 1 ? player : opponent, color === 1 ? opponent : player, 1);
+    const ai = { maxDepth: 3, timeLimit: 60000, useMoveOrdering: true, usePVS: true, useAspiration: true, randomness: 2 };
+
+    const analysis = await engine.analyze(board, color, { ai });
+    assert.strictEqual(analysis.depth, 3);
+    assert.strictEqual(analysis.endgame, false);
+    assert.strictEqual(analysis.timedOut, false);
+    assert.ok(analysis.nodes > 0);
+    assert.strictEqual(analysis.moves.length, GameCore.getValidMoves(board, color).length);
+    assert.deepStrictEqual(analysis.moves.map(m => m.score), analysis.moves.map(m => m.score).sort((a, b) => b - a));
+    assert.deepStrictEqual(analysis.bestMove, analysis.moves[0]);
+
+    // 各手の評価値は、置換表なしで全ての手をそのまま読んだ値と一致する
+    prepare(engine, { maxDepth: 3 });
+    engine.iterationDepth = 3;
+    const plain = engine._searchAtDepth(player, opponent, Bitboard.toSquareList(bb.getMoves(player, opponent)), 3, 0n, color);
+    const key = m => `${m.r},${m.c}`;
+    assert.deepStrictEqual(
+        new Map(analysis.moves.map(m => [key(m), m.score])),
+        new Map(plain.map(m => [key(m), m.score]))
+    );
+
+    assert.deepStrictEqual(analysis.pv[0], { r: analysis.bestMove.r, c: analysis.bestMove.c });
+    playPV(bb, player, opponent, analysis.pv);
+
+    assert.strictEqual(await engine.analyze(bb.toBoard(bb.full, 0n, 1), 1, { ai }), null);
+});
+
+test('終盤の analyze は読み切った石差と、その石差で終わる手順を返す', async () => {
+    const engine = new UnifiedAIEngine();
+    const { player, opponent, color } = randomPosition(bb, createRandom(10), 52);
+    const board = bb.toBoard(color === 1 ? player : opponent, color === 1 ? opponent : player, 1);
+
+    const analysis = await engine.analyze(board, color, { ai: { maxDepth: 2, endgameSolverDepth: 12, useMoveOrdering: true } });
+    assert.strictEqual(analysis.endgame, true);
+    assert.strictEqual(analysis.bestMove.score, solveByBruteForce(bb, player, opponent, 1) * 1000);
+
+    const end = playPV(bb, player, opponent, analysis.pv);
+    assert.strictEqual(bb.getMoves(end.player, end.opponent) | bb.getMoves(end.opponent, end.player), 0n, '終局まで続く');
+    const plies = analysis.pv.length;
+    const mover = plies % 2 === 0 ? end.player : end.opponent;
+    const other = plies % 2 === 0 ? end.opponent : end.player;
+    assert.strictEqual((Bitboard.popcount(mover) - Bitboard.popcount(other)) * 1000, analysis.bestMove.score);
+});
+
+test('勝敗読み（WLD）は各手の勝ち・引き分け・負けを正確な読み切りと同じに判定する', async () => {
+    const { GameCore } = loadScripts('js/game_core.js');
+    const engine = new UnifiedAIEngine();
+    const random = createRandom(17);
+    const sign = score => (score > 0 ? 1000 : score < 0 ? -1000 : 0);
+
+    for (let i = 0; i < 4; i++) {
+        const { player, opponent, color } = randomPosition(bb, random, 53 + i);
+        if (bb.getMoves(player, opponent) === 0n) continue;
+        const board = bb.toBoard(color === 1 ? player : opponent, color === 1 ? opponent : player, 1);
+        const exact = new Map(GameCore.getValidMoves(board, color).map(m => {
+            const child = bb.fromBoard(GameCore.simulateMove(board, m.r, m.c, color), -color);
+            return [`${m.r},${m.c}`, -solveByBruteForce(bb, child.player, child.opponent, 1)];
+        }));
+
+        const ai = { maxDepth: 2, endgameSolverDepth: 0, wldSolverDepth: 14, useMoveOrdering: true };
+        const analysis = await engine.analyze(board, color, { ai });
+        assert.strictEqual(analysis.endgame, true);
+        assert.strictEqual(analysis.wld, true);
+        assert.deepStrictEqual(
+            new Map(analysis.moves.map(m => [`${m.r},${m.c}`, m.score])),
+            new Map([...exact].map(([key, score]) => [key, sign(score * 1000)]))
+        );
+
+        // 対局では勝ちの手が見つかればそこで打ち切るが、選ぶ手の勝敗は最善と同じ
+        const best = await engine.computeMove(board, color, { ai });
+        assert.strictEqual(sign(exact.get(`${best.r},${best.c}`)), sign(Math.max(...exact.values())));
+
+        // 窓 (-1, 1) の読み切りは石差の符号だけを正しく返す
+        prepare(engine, ai);
+        const value = engine._negamaxEndgame(player, opponent, -1, 1, 0n, color);
+        assert.strictEqual(Math.sign(value), Math.sign(solveByBruteForce(bb, player, opponent, 1)));
+    }
+});
+
+test('持ち時間は残りの手数にフェーズの重みを付けて配分し、1手の上限を超えない', () => {
+    const engine = new UnifiedAIEngine();
+    const { TIME_EXTENSION_MAX, TIME_PHASE_WEIGHTS } = UnifiedAIEngine;
+    const plan = (ai, empties, clock) => {
+        engine.analysisMode = false;
+        engine.currentConfig = engine._normalizeConfig({ ai });
+        engine._planTime(empties, clock);
+        return { target: engine.timeTarget, limit: engine.currentConfig.timeLimit };
+    };
+
+    // 持ち時間なし: 目安は上限の 1/TIME_EXTENSION_MAX
+    assert.deepStrictEqual(plan({ timeLimit: 3000 }, 40, null), { target: 3000 / TIME_EXTENSION_MAX, limit: 3000 });
+
+    // 黒番で初手から打ち続け、毎回目安時間ちょうどを使う
+    const budget = 60000;
+    const ai = { timeLimit: 60000, timeBudget: budget };
+    const clock = { used: 0 };
+    const targets = {};
+    for (let empties = 60; empties > 0; empties -= 2) {
+        const { target, limit } = plan(ai, empties, clock);
+        assert.strictEqual(limit, target * TIME_EXTENSION_MAX);
+        targets[empties] = target;
+        clock.used += target;
+    }
+    assert.ok(Math.abs(clock.used - budget) < 1, `使い切る (${clock.used})`);
+
+    // 初手の取り分は重みの比のとおり。中盤の手は序盤・終盤の手より厚い
+    let totalWeight = 0;
+    for (let empties = 60; empties > 0; empties -= 2) totalWeight += engine._timeWeight(empties);
+    assert.ok(Math.abs(targets[60] - budget * TIME_PHASE_WEIGHTS.opening / totalWeight) < 1e-6);
+    assert.ok(targets[30] > targets[50] && targets[30] > targets[10]);
+
+    // 1手の上限より大きい取り分は上限に合わせ、使い切った後も最低時間は残す
+    assert.strictEqual(plan({ timeLimit: 1000, timeBudget: 600000 }, 30, { used: 0 }).limit, 1000);
+    assert.strictEqual(plan(ai, 30, { used: budget * 2 }).target, UnifiedAIEngine.MIN_MOVE_TIME);
+
+    // 解析は上限まで使う
+    engine.analysisMode = true;
+    engine.currentConfig = engine._normalizeConfig({ ai });
+    engine._planTime(30, clock);
+    assert.strictEqual(engine.timeTarget, 60000);
+    engine.analysisMode = false;
+});
+
+test('onProgress は読み終えた深さごと、終盤読み切りでは手を読み切るごとに呼ばれる', async () => {
+    const engine = new UnifiedAIEngine();
+    const reports = [];
+    engine.onProgress = progress => reports.push(progress);
+
+    const { player, opponent, color } = randomPosition(bb, createRandom(11), 20);
+    const board = bb.toBoard(color === 1 ? player : opponent, color === 1 ? opponent : player, 1);
+    const move = await engine.computeMove(board, color, { ai: { maxDepth: 3, timeLimit: 60000, useMoveOrdering: true } });
+    assert.deepStrictEqual(reports.map(p => p.depth), [1, 2, 3]);
+    assert.deepStrictEqual(reports[2].move, { r: move.r, c: move.c });
+    assert.ok(reports.every((p, i) => !p.endgame && (i === 0 || p.nodes >= reports[i - 1].nodes)));
+
+    reports.length = 0;
+    const end = randomPosition(bb, createRandom(12), 52);
+    const endBoard = bb.toBoard(end.color === 1 ? end.player : end.opponent, end.color === 1 ? end.opponent : end.player, 1);
+    await engine.computeMove(endBoard, end.color, { ai: { maxDepth: 2, endgameSolverDepth: 12, timeLimit: 60000 } });
+    // 読み切りの前に、手を並べるための浅い反復深化 (maxDepth まで) が入る
+    const moveCount = Bitboard.popcount(bb.getMoves(end.player, end.opponent));
+    assert.deepStrictEqual(reports.map(p => p.endgame), [false, false, ...new Array(moveCount).fill(true)]);
+    assert.ok(reports.slice(2).every(p => p.depth === bb.squares - Bitboard.popcount(end.player | end.opponent)));
+});
+
+test('先読みで読み終えた応手の局面では、computeMove が先読みの結果をそのまま返す', async () => {
+    const engine = new UnifiedAIEngine();
+    const { player, opponent, color } = randomPosition(bb, createRandom(13), 12);
+    const board = bb.toBoard(color === 1 ? player : opponent, color === 1 ? opponent : player, 1);
+    const ai = { maxDepth: 2, timeLimit: 60000, useMoveOrdering: true, useTranspositionTable: true, ttSizeMB: 1, ponder: true };
+
+    // color が相手（これから指す側）
+    const replies = Bitboard.toSquareList(bb.getMoves(player, opponent));
+    assert.strictEqual(await engine.ponder(board, color, { ai }), replies.length);
+    assert.strictEqual(engine.ponderResults.size, replies.length);
+
+    const reply = bb.toMoveList(bb.bit[replies[0]])[0];
+    const next = engine._boardAfter(board, reply, color);
+    const move = await engine.computeMove(next, -color, { ai });
+    const key = engine._positionKey({ ...bb.fromBoard(next, -color), color: -color });
+    assert.deepStrictEqual(move, engine.ponderResults.get(key).move);
+    assert.strictEqual(engine.nodesSearched, 0, '探索し直さない');
+});
+
+test('置換表を使わない設定では先読みせず、読み終わらない応手は回数の上限で打ち切る', async () => {
+    const engine = new UnifiedAIEngine();
+    const board = bb.toBoard(startPosition(bb).player, startPosition(bb).opponent, 1);
+
+    const started = Date.now();
+    assert.strictEqual(await engine.ponder(board, 1, { ai: { maxDepth: 60, ponder: true } }), 0);
+    assert.ok(Date.now() - started < UnifiedAIEngine.PONDER_SLICE, '探索しない');
+
+    const { PONDER_SLICE, PONDER_REPLY_SLICES } = UnifiedAIEngine;
+    UnifiedAIEngine.PONDER_SLICE = 5;
+    UnifiedAIEngine.PONDER_REPLY_SLICES = 2;
+    try {
+        const ai = { maxDepth: 60, useMoveOrdering: true, useTranspositionTable: true, ttSizeMB: 1, ponder: true };
+        assert.strictEqual(await engine.ponder(board, 1, { ai }), 0);
+        assert.strictEqual(engine.ponderResults.size, 0);
+    } finally {
+        Object.assign(UnifiedAIEngine, { PONDER_SLICE, PONDER_REPLY_SLICES });
+    }
+});
+
+test('quickMove は先読みで読み終えた局面の手だけを返し、評価関数が変われば使わない', async () => {
+    const engine = new UnifiedAIEngine();
+    const board = bb.toBoard(startPosition(bb).player, startPosition(bb).opponent, 1);
+    const ai = { maxDepth: 1, timeLimit: 60000, useTranspositionTable: true, ttSizeMB: 1, ponder: true };
+
+    const next = engine._boardAfter(board, { r: 2, c: 3 }, 1);
+    assert.strictEqual(await engine.quickMove(next, -1, { ai }), null);
+
+    await engine.ponder(board, 1, { ai });
+    const key = engine._positionKey({ ...bb.fromBoard(next, -1), color: -1 });
+    assert.deepStrictEqual(await engine.quickMove(next, -1, { ai }), engine.ponderResults.get(key).move);
+
+    const weights = engine._getDefaultWeights();
+    weights.opening = { ...weights.opening, mobility: weights.opening.mobility + 1 };
+    assert.strictEqual(await engine.quickMove(next, -1, { ai: { ...ai, weights } }), null);
+});
+
+test('seed と nodeLimit があれば、前の探索や端末の速さに関係なく同じ局面で同じ手を選ぶ', async () => {
+    const random = createRandom(19);
+    const positions = [16, 24, 32].map(plies => randomPosition(bb, random, plies));
+    const ai = { maxDepth: 8, timeLimit: 60000, nodeLimit: 3000, seed: 42, randomness: 3,
+        useMoveOrdering: true, useTranspositionTable: true, ttSizeMB: 1 };
+    const toBoard = p => bb.toBoard(p.color === 1 ? p.player : p.opponent, p.color === 1 ? p.opponent : p.player, 1);
+
+    const play = async (engine, order) => {
+        const moves = [];
+        for (const i of order) {
+            const move = await engine.computeMove(toBoard(positions[i]), positions[i].color, { ai });
+            moves[i] = `${move.r},${move.c}/${engine.nodesSearched}`;
+        }
+        return moves;
+    };
+    const first = await play(new UnifiedAIEngine(), [0, 1, 2]);
+    assert.deepStrictEqual(await play(new UnifiedAIEngine(), [2, 1, 0]), first);
+    const used = first.map(m => Number(m.split('/')[1]));
+    assert.ok(used.every(nodes => nodes <= ai.nodeLimit * 2), used.join());
+
+    // 局面ごとの乱数列は seed と局面だけで決まる
+    const engine = new UnifiedAIEngine();
+    const board = toBoard(positions[0]);
+    const sequence = r => [r(), r(), r()].join();
+    assert.strictEqual(sequence(engine._createRandom(1, board, 1)), sequence(engine._createRandom(1, board, 1)));
+    assert.notStrictEqual(sequence(engine._createRandom(1, board, 1)), sequence(engine._createRandom(2, board, 1)));
+    assert.notStrictEqual(sequence(engine._createRandom(1, board, 1)), sequence(engine._createRandom(1, board, -1)));
+    assert.strictEqual(engine._createRandom(null, board, 1), Math.random);
+
+    // ノード数で制限する設定は先読みしない
+    assert.strictEqual(await engine.ponder(board, positions[0].color, { ai: { ...ai, ponder: true } }), 0);
+});
+
+test('時間切れの途中結果は、前の深さで最善手を選んでいたときだけ最善手の更新に使い、それ以外は選び直す', () => {
+    const engine = new UnifiedAIEngine();
+    const move = (c, score) => ({ r: 0, c, score });
+    engine.currentConfig = engine._normalizeConfig({ ai: { randomness: 2 } });
+    engine.rootPhase = 'midgame';
+    engine.random = () => 0.99; // randomness では常に上位3番目を選ぶ
+
+    // 前の深さの最善手 (c=0) を選んでいた: 途中結果でそれより良い手が読めていればその手
+    engine.partialMoves = [move(0, 10), move(2, 30), move(1, 20)];
+    assert.deepStrictEqual(engine._partialBest(move(0, 0), 3, move(0, 50)), move(2, 30));
+    engine.partialMoves = [move(0, 40), move(1, 20)];
+    assert.strictEqual(engine._partialBest(move(0, 0), 3, move(0, 50)), null);
+    engine.partialMoves = [move(1, 20)];
+    assert.strictEqual(engine._partialBest(move(0, 0), 3, move(0, 50)), null, '最善手を読み終えていない');
+
+    // 最善手以外を選んでいた・深さ1: 途中結果を評価順に並べて選び直す（最大の手に戻さない）
+    engine.partialMoves = [move(0, 10), move(2, 30), move(1, 20)];
+    assert.deepStrictEqual(engine._partialBest(move(3, 0), 3, move(0, 50)), move(0, 10));
+    assert.deepStrictEqual(engine._partialBest(move(0, 0), 0, undefined), move(0, 10));
+    engine.partialMoves = [];
+    assert.strictEqual(engine._partialBest(move(0, 0), 0, undefined), null);
+});
+
+test('評価の重みは各フェーズの中央でそのフェーズの重みになり、その間は石数で補間される', () => {
+    const engine = new UnifiedAIEngine();
+    const weights = { opening: { mobility: 80, corner: 0 }, midgame: { mobility: 40, corner: 100 }, endgame: { mobility: 0, corner: 300 } };
+    engine.currentConfig = engine._normalizeConfig({ ai: { weights, phases: { opening: 10, midgame: 30 } } });
+    engine._setBoardSize(8);
+    const table = engine._buildWeightTable();
+    assert.strictEqual(table.length, 65);
+
+    // 次に打つのが t 手目の局面の石数は t + 3。中央は 5・20・45 手目
+    assert.deepStrictEqual(table[5 + 3], weights.opening);
+    assert.deepStrictEqual(table[20 + 3], weights.midgame);
+    assert.deepStrictEqual(table[45 + 3], weights.endgame);
+    // 5 手目と 20 手目の間の 11 手目は 6/15 だけ中盤の重みに寄る
+    assert.ok(Math.abs(table[11 + 3].mobility - (80 - 40 * 6 / 15)) < 1e-9);
+    assert.ok(Math.abs(table[11 + 3].corner - 100 * 6 / 15) < 1e-9);
+    for (let discs = 1; discs < table.length; discs++) {
+        assert.ok(table[discs].mobility <= table[discs - 1].mobility, '序盤から終盤へ単調に変わる');
+        assert.ok(table[discs].corner >= table[discs - 1].corner);
+    }
+
+    // キャラクターの phases でフェーズの境目が変わる
+    assert.strictEqual(engine._getPhase(10), 'opening');
+    assert.strictEqual(engine._getPhase(11), 'midgame');
+    assert.strictEqual(engine._getPhase(31), 'endgame');
+    engine.currentConfig = engine._normalizeConfig({ ai: { weights } });
+    assert.strictEqual(engine._getPhase(11), 'opening');
+});
+
+test('旧フォーマットの switchTurn が小さくても、フェーズの境目は順に並び重みは early と late の間に収まる', () => {
+    const engine = new UnifiedAIEngine();
+    const early = { mobility: 30, position: 10, discDiff: -5 };
+    const late = { mobility: 5, position: 20, discDiff: 100 };
+    engine.currentConfig = engine._normalizeConfig({
+        logicType: 'dynamic_turn',
+        parameters: { switchTurn: 4, early, late }
+    });
+    engine._setBoardSize(8);
+
+    const { opening, midgame, endgame } = engine.currentConfig.phases;
+    assert.ok(0 <= opening && opening <= midgame && midgame <= endgame, `${opening}/${midgame}/${endgame}`);
+
+    for (const entry of engine._buildWeightTable()) {
+        for (const key of Object.keys(early)) {
+            const [min, max] = [Math.min(early[key], late[key]), Math.max(early[key], late[key])];
+            assert.ok(min <= entry[key] && entry[key] <= max, `${key}: ${entry[key]}`);
+        }
+    }
+
+    // 中盤に入る switchTurn なら、その前後 LEGACY_SWITCH_SPAN 手が中盤になる
+    engine.currentConfig = engine._normalizeConfig({ logicType: 'dynamic_turn', parameters: { switchTurn: 30, early, late } });
+    const span = UnifiedAIEngine.LEGACY_SWITCH_SPAN;
+    assert.deepStrictEqual(engine.currentConfig.phases, { opening: 30 - span, midgame: 30 + span, endgame: 60 });
+});
@@ -0,0 +1,141 @@
+/**
+ * Reversi: Character Duel - Tool Common
+ * Node で動かすツール (tools/*.js) の共通処理
+ *
+ * ブラウザ用のスクリプト (js/*.js・data/characters.js) をそのまま読み込み、
+ * Worker が fetch で読むパターン評価の重み・定跡をファイルから登録する
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/** エンジン・盤面・キャラクター設定のスクリプト（読み込む順） */
+const SCRIPTS = ['js/bitboard.js', 'js/game_core.js', 'js/game_record.js', 'js/transposition_table.js',
+    'js/pattern_eval.js', 'js/opening_book.js', 'js/move_selector.js', 'js/unified_ai_engine.js', 'data/characters.js'];
+
+for (const file of SCRIPTS) {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+}
+const globals = vm.runInThisContext(
+    '({ Bitboard, GameCore, GameRecord, PatternEvaluator, OpeningBook, MoveSelector, UnifiedAIEngine, CHARACTERS })');
+
+/**
+ * リポジトリ内の JSON を読む
+ * @param {string} file - リポジトリのルートからのパス
+ */
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+/**
+ * 設定で使うパターン評価の重み・定跡をファイルから登録しておく（ai_worker.js の loadResources と同じもの）
+ * @param {Object} config - キャラクター設定
+ */
+function loadResources(config) {
+    const { PatternEvaluator, OpeningBook } = globals;
+    const ai = config.ai;
+    if (ai && ai.evaluator === 'pattern') {
+        const name = ai.patternWeights || 'default';
+        if (!PatternEvaluator.get(name)) {
+            PatternEvaluator.register(name, readJSON(`data/patterns/${name}.json`));
+        }
+    }
+
+    const book = ai ? ai.book : config.book;
+    if (book) {
+        const name = book.name || 'standard';
+        if (!OpeningBook.get(name)) OpeningBook.register(name, readJSON(`data/books/${name}.json`));
+    }
+}
+
+/**
+ * キャラクター設定を ID で引く
+ * @throws {Error} 見つからなければ
+ */
+function findCharacter(id) {
+    const character = globals.CHARACTERS.find(c => c.id === id);
+    if (!character) throw new Error(`キャラクターが見つかりません: ${id}`);
+    return character;
+}
+
+/**
+ * 設定の一部を差し替える（旧フォーマット・新フォーマットのどちらにも反映する）
+ */
+function withOverrides(character, overrides) {
+    return character.ai
+        ? { ...character, ai: { ...character.ai, ...overrides } }
+        : { ...character, ...overrides };
+}
+
+/**
+ * 0 以上 1 未満の乱数（エンジンと同じ UnifiedAIEngine.seededRandom）。seed が null なら Math.random
+ * @param {number|null} seed
+ * @returns {function(): number}
+ */
+function createRandom(seed) {
+    return seed === null ? Math.random : UnifiedAIEngine.seededRandom(seed);
+}
+
+/**
+ * 初期配置から plies 手をランダムに打った開始局面を count 個作る（同じ手順は使わない）
+ * @param {number} size - 盤面の一辺
+ * @returns {string[]} 棋譜文字列
+ */
+function generateOpenings(size, count, plies, random) {
+    const { GameCore, GameRecord } = globals;
+    const openings = new Set();
+    for (let attempt = 0; openings.size < count && attempt < count * 100; attempt++) {
+        const game = new GameCore(size);
+        for (let ply = 0; ply < plies; ply++) {
+            const moves = game.getValidMoves(game.turn);
+            if (moves.length === 0) break;
+            const move = moves[Math.floor(random() * moves.length)];
+            game.makeMove(move.r, move.c, game.turn);
+        }
+        openings.add(GameRecord.toTranscript(game));
+    }
+    return [...openings];
+}
+
+/**
+ * 開始局面から終局まで AI に打たせる
+ * @param {GameCore} game - 開始局面まで打った対局（終局まで進める）
+ * @param {{config: Object, engine: UnifiedAIEngine, name: string}[]} players - [黒, 白]
+ */
+async function playOut(game, players) {
+    const { GameCore } = globals;
+    const clocks = [{ used: 0 }, { used: 0 }];
+
+    for (;;) {
+        const status = game.checkGameState();
+        if (status.isGameOver) return status;
+        if (!status.currentTurnHasMove) {
+            game.pass();
+            continue;
+        }
+
+        const side = game.turn === 1 ? 0 : 1;
+        const { config, engine, name } = players[side];
+        const start = Date.now();
+        const move = await engine.computeMove(GameCore.cloneBoard(game.board), game.turn, config, game.rules, clocks[side]);
+        clocks[side].used += Date.now() - start;
+
+        if (!move || !game.makeMove(move.r, move.c, game.turn)) {
+            throw new Error(`${name} が打てない手を返しました: ${JSON.stringify(move)}`);
+        }
+    }
+}
+
+module.exports = {
+    ...globals,
+    ROOT,
+    readJSON,
+    loadResources,
+    findCharacter,
+    withOverrides,
+    createRandom,
+    generateOpenings,
+    playOut
+};
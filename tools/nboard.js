@@ -0,0 +1,263 @@
+/**
+ * Reversi: Character Duel - NBoard Engine Adapter
+ * キャラクターを NBoard プロトコルのエンジンとして動かす（標準入出力）
+ *
+ * 使い方: node tools/nboard.js [--character shiina_nightmare] [--list]
+ *   --character : エンジンとして打つキャラクターの ID（省略時は shiina_nightmare）
+ *   --list      : キャラクターの ID と名前の一覧を出して終わる
+ * NBoard などの GUI には、エンジンのコマンドとして "node tools/nboard.js --character saki" のように登録する。
+ *
+ * 受け付けるコマンド（1行に1つ。届いた順に処理する）:
+ *   nboard <version>  : "set myname <キャラクター ID>" を返す
+ *   set game <GGF>    : 対局を GGF で置き換える（BO の開始局面・TY のアンチリバーシも読む）
+ *   set depth <n>     : 読む深さの上限（キャラクター本来の深さより深くは読まない）
+ *   set contempt <n>  : 受け付けるが使わない
+ *   move <手>[/評価値/時間] : 対局に手を足す（パスは PA）
+ *   go                : 手番側の手を考え、"=== <手>/<評価値>/<秒>" を返す（定跡手・1手しかないときは "=== <手>" だけ）
+ *   hint <n>          : 上位 n 手を "search <手> <評価値> 0 <深さ>" で返し、最後に空の status を送る
+ *   ping <n>          : それまでのコマンドを処理し終えてから "pong <n>" を返す
+ *   learn             : "learned" を返す（学習はしない）
+ *   quit              : 終了する
+ * 評価値は手番側から見た値を、エンジンの評価値の 1000 を石1個として石数の単位で返す。
+ * 石差まで読み切った値は石差そのものだが、中盤の値は評価関数の形勢判断を換算した目安で、石差ではない。
+ * 勝敗だけの読み切り (WLD) では石差が分からないので、勝ち・負けを盤の全マス数（8x8 なら ±64）で返す。
+ * 手を考えている間は "status" で読みの深さ・最善手・評価値と、評価値の種類を送る
+ * （eval: 評価関数の目安・exact: 石差の読み切り・WLD: 勝敗だけの読み切り）。
+ * 知らないコマンドは標準エラー出力に書いて無視する
+ */
+const readline = require('readline');
+const { GameCore, GameRecord, UnifiedAIEngine, CHARACTERS, loadResources, findCharacter } = require('./common');
+
+/** 評価値の石1個分（読み切りの値の単位。中盤の値もこれで割って石数の目安にする） */
+const DISC_SCORE = 1000;
+
+const DEFAULT_CHARACTER = 'shiina_nightmare';
+
+// ========== 設定 ==========
+
+function parseArgs(argv) {
+    const options = { character: DEFAULT_CHARACTER, list: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--character') {
+            if (i + 1 >= argv.length) throw new Error(`${arg} の値がありません`);
+            options.character = argv[++i];
+        } else if (arg === '--list') {
+            options.list = true;
+        } else {
+            throw new Error(`不明なオプション: ${arg}`);
+        }
+    }
+    return options;
+}
+
+// ========== エンジン ==========
+
+class NBoardAdapter {
+
+    /**
+     * @param {Object} character - キャラクター設定
+     * @param {function(string): void} send - GUI に1行送る
+     */
+    constructor(character, send) {
+        this.character = character;
+        this.send = send;
+        this.engine = new UnifiedAIEngine();
+        this.engine.onProgress = progress => this._sendStatus(progress);
+        this.game = new GameCore(8);
+        this.clock = { used: 0 };
+        this.maxDepth = null;
+
+        // 旧フォーマットも新フォーマットにそろえておく（set depth を同じように反映するため）
+        this.baseConfig = { ai: this.engine._normalizeConfig(character) };
+        loadResources(this.baseConfig);
+    }
+
+    /**
+     * コマンドを1行処理する
+     * @param {string} line
+     * @returns {Promise<boolean>} quit なら false
+     */
+    async handle(line) {
+        const [command, ...args] = line.trim().split(/\s+/);
+        const rest = line.trim().slice(command.length).trim();
+
+        switch (command) {
+            case '':
+                return true;
+            case 'nboard':
+                this.send(`set myname ${this.character.id}`);
+                return true;
+            case 'set':
+                this._set(args[0], rest.slice((args[0] || '').length).trim());
+                return true;
+            case 'move':
+                this._move(args[0]);
+                return true;
+            case 'go':
+                await this._go();
+                return true;
+            case 'hint':
+                await this._hint(parseInt(args[0], 10) || 1);
+                return true;
+            case 'ping':
+                this.send(`pong ${args[0] || ''}`.trim());
+                return true;
+            case 'learn':
+                this.send('learned');
+                return true;
+            case 'quit':
+                return false;
+            default:
+                console.error(`[NBoard] 知らないコマンドです: ${line}`);
+                return true;
+        }
+    }
+
+    // ========== コマンド ==========
+
+    _set(key, value) {
+        if (key === 'game') {
+            GameRecord.load(this.game, value);
+            this.clock = { used: 0 };
+        } else if (key === 'depth') {
+            this.maxDepth = parseInt(value, 10) || null;
+        } else if (key !== 'contempt') {
+            console.error(`[NBoard] 知らない設定です: ${key}`);
+        }
+    }
+
+    _move(text) {
+        const coord = (text || '').split('/')[0];
+        if (coord.toUpperCase() === 'PA') {
+            if (!this.game.pass()) throw new Error('置ける場所があるのでパスできません');
+            return;
+        }
+        const move = GameRecord.fromCoord(coord);
+        if (!move) throw new Error(`手が読めません: ${text}`);
+        this.game.playSequence([move]);
+    }
+
+    async _go() {
+        const { board, turn, rules } = this.game;
+        if (!this.game.hasValidMove(turn)) {
+            this.send('=== PA');
+            return;
+        }
+
+        const start = Date.now();
+        const move = await this.engine.computeMove(GameCore.cloneBoard(board), turn, this._config(), rules, this.clock);
+        const elapsed = Date.now() - start;
+        this.clock.used += elapsed;
+
+        // 評価値のない手（定跡手・1手しかない）は手だけを返す
+        if (move.score === undefined) {
+            this.send(`=== ${NBoardAdapter._coord(move)}`);
+            return;
+        }
+        this.send(`=== ${NBoardAdapter._coord(move)}/${this._discs(move.score, this._solvedWLD(board))}/${(elapsed / 1000).toFixed(2)}`);
+        this.send(`nodestats ${this.engine.nodesSearched} ${(elapsed / 1000).toFixed(2)}`);
+    }
+
+    async _hint(count) {
+        const { board, turn, rules } = this.game;
+        const analysis = await this.engine.analyze(GameCore.cloneBoard(board), turn, this._config(), rules);
+        if (analysis) {
+            const empties = board.flat().filter(cell => cell === 0).length;
+            const depth = analysis.endgame ? `${empties}` : `${analysis.depth}`;
+            for (const move of analysis.moves.slice(0, count)) {
+                if (move.score === null) continue;
+                this.send(`search ${NBoardAdapter._coord(move)} ${this._discs(move.score, analysis.wld)} 0 ${depth}`);
+            }
+        }
+        this.send('status');
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * 探索に渡す設定（set depth の上限を反映する）
+     */
+    _config() {
+        if (this.maxDepth === null) return this.baseConfig;
+        const ai = this.baseConfig.ai;
+        return { ai: { ...ai, maxDepth: Math.min(ai.maxDepth, this.maxDepth) } };
+    }
+
+    /**
+     * 直前の computeMove の手が、勝敗だけの読み切りで決まったか
+     * （読み切りの結果は endgame 付きで最後の反復に入る。石差まで読める空きマス数なら WLD ではない）
+     */
+    _solvedWLD(board) {
+        const iterations = this.engine.iterations;
+        const last = iterations[iterations.length - 1];
+        const empties = board.flat().filter(cell => cell === 0).length;
+        return !!(last && last.endgame) && empties > this._config().ai.endgameSolverDepth;
+    }
+
+    _sendStatus(progress) {
+        if (!progress.move) return;
+        this.send(`status ${this.character.id}: depth ${progress.depth} ${NBoardAdapter._coord(progress.move)} ` +
+            `${this._discs(progress.score, progress.wld)} ${NBoardAdapter._scoreKind(progress)}`);
+    }
+
+    static _coord(move) {
+        return GameRecord.toCoord(move).toUpperCase();
+    }
+
+    /**
+     * 評価値を石数にする（勝敗だけの読み切りは、勝ち・負けを今の盤の全マス数の石差で表す）
+     * @param {number} score - エンジンの評価値
+     * @param {boolean} [wld] - 勝敗だけの読み切りの評価値（勝ち 1000・引き分け 0・負け -1000）か
+     */
+    _discs(score, wld = false) {
+        if (wld) return (Math.sign(score) * this.game.rows * this.game.cols).toFixed(2);
+        return (score / DISC_SCORE).toFixed(2);
+    }
+
+    /**
+     * 途中経過の評価値の種類（評価関数の目安・石差の読み切り・勝敗だけの読み切り）
+     */
+    static _scoreKind({ endgame, wld }) {
+        if (wld) return 'WLD';
+        return endgame ? 'exact' : 'eval';
+    }
+}
+
+// ========== 実行 ==========
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.list) {
+        for (const character of CHARACTERS) console.log(`${character.id}\t${character.name}`);
+        return;
+    }
+
+    const adapter = new NBoardAdapter(findCharacter(options.character), line => process.stdout.write(line + '\n'));
+    const input = readline.createInterface({ input: process.stdin });
+
+    // コマンドは届いた順に1つずつ処理する（ping は前のコマンドが終わってから返す）
+    let queue = Promise.resolve(true);
+    input.on('line', line => {
+        queue = queue.then(async running => {
+            if (!running) return false;
+            try {
+                return await adapter.handle(line);
+            } catch (error) {
+                console.error(`[NBoard] ${error.message}`);
+                return true;
+            }
+        }).then(running => {
+            if (!running) process.exit(0);
+            return running;
+        });
+    });
+    input.on('close', () => queue.then(() => process.exit(0)));
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
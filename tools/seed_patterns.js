@@ -0,0 +1,114 @@
+/**
+ * Reversi: Character Duel - Seed Pattern Weights
+ * パターン評価の初期の重み（学習の出発点）を作る
+ *
+ * 使い方: node tools/seed_patterns.js > data/patterns/default.json
+ * 学習前の重みなのでリポジトリには置かない。試すときはこれで作り、キャラクターの ai.evaluator を "pattern" にする
+ *
+ * 学習前の出発点として、従来の位置評価テーブルをパターンに割り振った重みを作る。
+ * 各マスの重みを「そのマスを含むパターンの数」で割って配るので、全パターンの合計は位置評価と同じになる。
+ * ただし X打ち・C打ちの減点は、同じパターンに含まれる角が空いているときだけ付ける
+ * （角が埋まった後の X・C は危険ではないため。位置評価テーブルでは表せない、パターンならではの部分）
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ブラウザ用のスクリプトをそのまま読み込む
+for (const file of ['bitboard.js', 'transposition_table.js', 'unified_ai_engine.js', 'pattern_eval.js']) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), { filename: file });
+}
+const { UnifiedAIEngine, PatternEvaluator } = vm.runInThisContext('({ UnifiedAIEngine, PatternEvaluator })');
+
+const SIZE = 8;
+
+/** 段階の境目（空きマス数）。8x8 のフェーズ判定 (20手目・44手目) に合わせる */
+const PHASES = [40, 16, 0];
+
+/** 段階ごとの位置評価・着手可能数の重み */
+const POSITION_SCALE = [30, 30, 20];
+const MOBILITY = [60, 40, 10];
+
+const PATTERNS = [
+    { name: 'edge2x', squares: ['a1', 'b1', 'c1', 'd1', 'e1', 'f1', 'g1', 'h1', 'b2', 'g2'] },
+    { name: 'corner3x3', squares: ['a1', 'b1', 'c1', 'a2', 'b2', 'c2', 'a3', 'b3', 'c3'] },
+    { name: 'corner2x5', squares: ['a1', 'b1', 'c1', 'd1', 'e1', 'a2', 'b2', 'c2', 'd2', 'e2'] },
+    { name: 'hv2', squares: ['a2', 'b2', 'c2', 'd2', 'e2', 'f2', 'g2', 'h2'] },
+    { name: 'hv3', squares: ['a3', 'b3', 'c3', 'd3', 'e3', 'f3', 'g3', 'h3'] },
+    { name: 'hv4', squares: ['a4', 'b4', 'c4', 'd4', 'e4', 'f4', 'g4', 'h4'] },
+    { name: 'diag8', squares: ['a1', 'b2', 'c3', 'd4', 'e5', 'f6', 'g7', 'h8'] },
+    { name: 'diag7', squares: ['b1', 'c2', 'd3', 'e4', 'f5', 'g6', 'h7'] },
+    { name: 'diag6', squares: ['c1', 'd2', 'e3', 'f4', 'g5', 'h6'] },
+    { name: 'diag5', squares: ['d1', 'e2', 'f3', 'g4', 'h5'] },
+    { name: 'diag4', squares: ['e1', 'f2', 'g3', 'h4'] }
+];
+
+const positionWeights = UnifiedAIEngine.generatePositionWeights(SIZE).flat();
+const toSquare = coord => PatternEvaluator._parseSquare(coord, SIZE);
+
+// マスごとに、そのマスを含むパターン（対称形を含む）の数
+const coverage = new Array(SIZE * SIZE).fill(0);
+for (const pattern of PATTERNS) {
+    for (const instance of PatternEvaluator._symmetries(pattern.squares.map(toSquare), SIZE)) {
+        instance.forEach(sq => coverage[sq]++);
+    }
+}
+
+// X打ち・C打ちのマスと、その角
+const last = SIZE - 1;
+const cornerOf = new Map();
+for (const [cr, cc] of [[0, 0], [0, last], [last, 0], [last, last]]) {
+    const dr = cr === 0 ? 1 : -1;
+    const dc = cc === 0 ? 1 : -1;
+    const corner = cr * SIZE + cc;
+    for (const [r, c] of [[cr + dr, cc + dc], [cr, cc + dc], [cr + dr, cc]]) {
+        cornerOf.set(r * SIZE + c, corner);
+    }
+}
+
+/**
+ * パターンの表を1つ作る
+ * @param {number[]} squares - マス番号の並び
+ * @param {number} scale - 位置評価の重み
+ */
+function buildTable(squares, scale) {
+    const table = new Int16Array(3 ** squares.length);
+    const states = new Array(squares.length);
+    for (let index = 0; index < table.length; index++) {
+        let rest = index;
+        for (let k = 0; k < squares.length; k++) {
+            states[k] = rest % 3;
+            rest = Math.floor(rest / 3);
+        }
+
+        let value = 0;
+        squares.forEach((sq, k) => {
+            if (states[k] === 0) return;
+            let weight = positionWeights[sq];
+            const corner = cornerOf.get(sq);
+            const cornerIndex = squares.indexOf(corner);
+            if (corner !== undefined && cornerIndex >= 0 && states[cornerIndex] !== 0) {
+                weight = Math.max(weight, 0);
+            }
+            value += (states[k] === 1 ? 1 : -1) * weight / coverage[sq];
+        });
+        table[index] = Math.max(-32768, Math.min(32767, Math.round(value * scale)));
+    }
+    return table;
+}
+
+function toBase64(table) {
+    return Buffer.from(table.buffer, table.byteOffset, table.byteLength).toString('base64');
+}
+
+const weights = {};
+for (const pattern of PATTERNS) {
+    const squares = pattern.squares.map(toSquare);
+    weights[pattern.name] = POSITION_SCALE.map(scale => toBase64(buildTable(squares, scale)));
+}
+
+const data = { size: SIZE, phases: PHASES, patterns: PATTERNS, weights, mobility: MOBILITY };
+
+// 読み込めることを確かめてから書き出す
+new PatternEvaluator(data);
+process.stdout.write(JSON.stringify(data) + '\n');
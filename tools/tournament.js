@@ -0,0 +1,207 @@
+/**
+ * Reversi: Character Duel - Tournament
+ * キャラクター同士の総当たり戦を打ち、勝敗表とレーティング (Elo) を出す
+ *
+ * 使い方: node tools/tournament.js [--characters shiina,saki,isoroku] [--openings 4] [--plies 6] [--node-limit 20000] [--seed 1] [--log]
+ *   --characters : 参加するキャラクターの ID（カンマ区切り。省略時は全員）
+ *   --openings   : 組み合わせごとの開始局面の数（既定 4）。各局面から先手・後手を入れ替えて2局ずつ打つ
+ *   --plies      : 開始局面までにランダムに打つ手数（既定 6）
+ *   --node-limit : 1手に読むノード数の上限を全員にかける（省略時はキャラクター本来の制限時間・持ち時間で読む）
+ *   --seed       : 開始局面と AI の乱数の種。--node-limit と合わせると、どの端末でも同じ対局になる
+ *   --log        : 1局ごとの棋譜を標準エラー出力に出す
+ *
+ * 8x8 の通常ルールで打つ。ブラウザと同じスクリプトを読み込むので、エンジンを変えたらそのまま測り直せる。
+ * キャラクターごとに UnifiedAIEngine を1つ持ち、先読み (ponder)・並列探索は使わない。
+ * 結果の「強さ順」は、キャラクター選択画面の並び (data/characters.js の順) を決める参考にする
+ */
+const { GameCore, GameRecord, UnifiedAIEngine, CHARACTERS, loadResources, withOverrides, createRandom,
+    generateOpenings, playOut } = require('./common');
+
+const SIZE = 8;
+
+/** Elo の基準（参加者の平均をこの値にそろえる） */
+const ELO_BASE = 1500;
+
+// ========== 設定 ==========
+
+function parseArgs(argv) {
+    const options = { characters: null, openings: 4, plies: 6, nodeLimit: 0, seed: null, log: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} の値がありません`);
+            return argv[++i];
+        };
+        if (arg === '--characters') options.characters = value().split(',').map(id => id.trim()).filter(Boolean);
+        else if (arg === '--openings') options.openings = parseInt(value(), 10);
+        else if (arg === '--plies') options.plies = parseInt(value(), 10);
+        else if (arg === '--node-limit') options.nodeLimit = parseInt(value(), 10);
+        else if (arg === '--seed') options.seed = parseInt(value(), 10);
+        else if (arg === '--log') options.log = true;
+        else throw new Error(`不明なオプション: ${arg}`);
+    }
+    if (!(options.openings > 0)) throw new Error('--openings は 1 以上にしてください');
+    if (!(options.plies >= 0)) throw new Error('--plies は 0 以上にしてください');
+    return options;
+}
+
+/**
+ * 参加するキャラクター（8x8 で打てるキャラクターのみ）
+ */
+function selectCharacters(ids) {
+    const playable = CHARACTERS.filter(c => (c.boardSizes || [8]).includes(SIZE));
+    if (!ids) return playable;
+    return ids.map(id => {
+        const character = playable.find(c => c.id === id);
+        if (!character) throw new Error(`キャラクターが見つからないか、8x8 で打てません: ${id}`);
+        return character;
+    });
+}
+
+/**
+ * 対局用の設定（--node-limit・--seed を反映する）
+ */
+function searchConfig(character, options) {
+    const overrides = {};
+    if (options.nodeLimit > 0) overrides.nodeLimit = options.nodeLimit;
+    if (options.seed !== null) overrides.seed = options.seed;
+    return withOverrides(character, overrides);
+}
+
+// ========== 対局 ==========
+
+/**
+ * 1局打つ
+ * @param {string} opening - 開始局面までの棋譜文字列
+ * @param {{character: Object, config: Object, engine: UnifiedAIEngine, name: string}[]} players - [黒, 白]
+ * @returns {Promise<{winner: number, black: number, white: number, transcript: string}>}
+ */
+async function playGame(opening, players) {
+    const game = new GameCore(SIZE);
+    game.playSequence(GameRecord.parseTranscript(opening));
+    const { winner, black, white } = await playOut(game, players);
+    return { winner, black, white, transcript: GameRecord.toTranscript(game) };
+}
+
+// ========== 集計 ==========
+
+/**
+ * 勝敗からレーティングを求める（引き分けを半分の勝ちとした Bradley-Terry モデルの最尤推定）
+ * 全勝・全敗でも値が決まるよう、対戦した組み合わせごとに仮の引き分けを1局足す
+ * @param {number} count - 参加者の数
+ * @param {{wins: number, draws: number, losses: number}[][]} table - table[i][j] は i から見た j との成績
+ * @returns {number[]} Elo（平均が ELO_BASE）
+ */
+function estimateElo(count, table) {
+    const games = (i, j) => {
+        const { wins, draws, losses } = table[i][j];
+        const n = wins + draws + losses;
+        return n > 0 ? n + 1 : 0;
+    };
+    const score = i => table[i].reduce((sum, { wins, draws, losses }, j) =>
+        sum + (i !== j && wins + draws + losses > 0 ? wins + (draws + 1) / 2 : 0), 0);
+
+    let strength = new Array(count).fill(1);
+    for (let iteration = 0; iteration < 1000; iteration++) {
+        const next = strength.map((s, i) => {
+            let denominator = 0;
+            for (let j = 0; j < count; j++) {
+                if (j !== i) denominator += games(i, j) / (s + strength[j]);
+            }
+            return denominator > 0 ? score(i) / denominator : s;
+        });
+        // 全体の大きさは決まらないので、積が 1 になるようにそろえる
+        const scale = Math.exp(next.reduce((sum, s) => sum + Math.log(s), 0) / count);
+        const converged = next.every((s, i) => Math.abs(s / scale - strength[i]) < 1e-9 * strength[i]);
+        strength = next.map(s => s / scale);
+        if (converged) break;
+    }
+    return strength.map(s => ELO_BASE + 400 * Math.log10(s));
+}
+
+function printResults(characters, table, elo) {
+    const width = Math.max(...characters.map(c => c.id.length));
+    const cellWidth = Math.max(9, width);
+
+    console.log('勝敗表（行のキャラクターから見た 勝-分-負）');
+    console.log(''.padEnd(width) + ' ' + characters.map(c => c.id.padStart(cellWidth)).join(' '));
+    characters.forEach((character, i) => {
+        const cells = characters.map((_, j) => {
+            if (i === j) return '-'.padStart(cellWidth);
+            const { wins, draws, losses } = table[i][j];
+            return `${wins}-${draws}-${losses}`.padStart(cellWidth);
+        });
+        console.log(character.id.padEnd(width) + ' ' + cells.join(' '));
+    });
+
+    const standings = characters.map((character, i) => {
+        const totals = table[i].reduce((sum, { wins, draws, losses }) => ({
+            wins: sum.wins + wins, draws: sum.draws + draws, losses: sum.losses + losses
+        }), { wins: 0, draws: 0, losses: 0 });
+        const games = totals.wins + totals.draws + totals.losses;
+        return { character, ...totals, games, elo: elo[i] };
+    }).sort((a, b) => b.elo - a.elo);
+
+    console.log('');
+    console.log('順位表');
+    standings.forEach((s, rank) => {
+        const rate = s.games > 0 ? (100 * (s.wins + s.draws / 2) / s.games).toFixed(1) : '-';
+        console.log(`${String(rank + 1).padStart(2)}. ${s.character.id.padEnd(width)}  Elo ${Math.round(s.elo).toString().padStart(5)}` +
+            `  ${s.wins}勝 ${s.draws}分 ${s.losses}敗 (${rate}%)  ${s.character.name}`);
+    });
+
+    console.log('');
+    console.log('強さ順（弱い順）: ' + standings.slice().reverse().map(s => s.character.id).join(', '));
+}
+
+// ========== 実行 ==========
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const characters = selectCharacters(options.characters);
+    if (characters.length < 2) throw new Error('キャラクターを2人以上指定してください');
+
+    const players = characters.map(character => {
+        const config = searchConfig(character, options);
+        loadResources(config);
+        return { character, config, engine: new UnifiedAIEngine(), name: character.id };
+    });
+    const openings = generateOpenings(SIZE, options.openings, options.plies, createRandom(options.seed));
+    const table = characters.map(() => characters.map(() => ({ wins: 0, draws: 0, losses: 0 })));
+
+    const total = characters.length * (characters.length - 1) * openings.length;
+    let played = 0;
+    for (let i = 0; i < characters.length; i++) {
+        for (let j = i + 1; j < characters.length; j++) {
+            for (const opening of openings) {
+                // 同じ開始局面から先手・後手を入れ替えて打つ
+                for (const [black, white] of [[i, j], [j, i]]) {
+                    const result = await playGame(opening, [players[black], players[white]]);
+                    const blackRecord = table[black][white];
+                    const whiteRecord = table[white][black];
+                    if (result.winner === 1) {
+                        blackRecord.wins++;
+                        whiteRecord.losses++;
+                    } else if (result.winner === -1) {
+                        blackRecord.losses++;
+                        whiteRecord.wins++;
+                    } else {
+                        blackRecord.draws++;
+                        whiteRecord.draws++;
+                    }
+
+                    played++;
+                    process.stderr.write(`[${played}/${total}] ${characters[black].id} ${result.black}-${result.white} ${characters[white].id}\n`);
+                    if (options.log) process.stderr.write(`  ${result.transcript}\n`);
+                }
+            }
+        }
+    }
+
+    printResults(characters, table, estimateElo(characters.length, table));
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
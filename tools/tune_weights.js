@@ -0,0 +1,399 @@
+/**
+ * Reversi: Character Duel - Tune Evaluation Weights
+ * 対局の結果から特徴量の評価の重み (ai.weights) を学習する（Texel 方式）
+ *
+ * 使い方: node tools/tune_weights.js [--character shiina_nightmare] [--games 100 | --load games.txt] [--save games.txt]
+ *             [--plies 8] [--node-limit 2000] [--solve 14] [--fix discDiff=0 --fix endgame.corner=300] [--seed 1]
+ *   --character  : 学習の出発点にする重み・フェーズの境目と、自己対局で打つキャラクター（省略時はエンジンの既定の重み）
+ *   --games      : 自己対局の数（既定 100）
+ *   --load       : 自己対局の代わりに棋譜を読む（1行に1局の棋譜文字列か GGF。終局していない棋譜は使わない）
+ *   --save       : 自己対局の棋譜を1行に1局で書き出す（--load で読み直せる）
+ *   --plies      : 自己対局の最初にランダムに打つ手数（既定 8）。この手数までの局面は学習に使わない
+ *   --node-limit : 自己対局の1手のノード数の上限（既定 2000）
+ *   --solve      : 空きがこのマス数以下の局面は、対局の結果ではなく勝敗の読み切りの結果を正解にする
+ *   --fix        : 学習せずに値を決めておく重み（phase.term=値、phase を省くと全フェーズ）。わざと癖のある重みを作るときに使う
+ *   --iterations : 学習の反復回数（既定 3000）
+ *   --seed       : 自己対局のランダムな手と AI の乱数の種
+ *
+ * 局面ごとに手番側から見た特徴量を求め、「評価値をシグモイドに通した値」が手番側の勝ち (1)・引き分け (0.5)・負け (0)
+ * に近づくように重みを合わせる。シグモイドの傾きは学習前の重みに合わせて最初に決めておく。
+ * 学習後の重みは、局面の評価値の平均的な大きさが学習前と同じになるように全体を掛け直すので、
+ * temperature・maxLoss などの評価値の単位の設定はそのまま使える（--fix があるときは固定した値に合わせてそのまま）。
+ * フェーズの重みは盤上の石数で補間される（UnifiedAIEngine._buildWeightTable）ので、その補間も込みで学習する。
+ * stability・corner・frontier はエンジンが正の値のときしか使わないので、0 以上に制限する。
+ *
+ * 結果は ai.weights の形で標準出力に出す。8x8 の通常ルールで学習する
+ */
+const fs = require('fs');
+const { GameCore, GameRecord, UnifiedAIEngine, loadResources, findCharacter, withOverrides, createRandom,
+    generateOpenings, playOut } = require('./common');
+
+const SIZE = 8;
+
+/** 学習する特徴量（UnifiedAIEngine._evaluate の項目） */
+const TERMS = ['mobility', 'position', 'discDiff', 'stability', 'corner', 'frontier'];
+
+/** 正の値のときしか評価に使われない特徴量 */
+const NON_NEGATIVE = new Set(['stability', 'corner', 'frontier']);
+
+const PHASES = ['opening', 'midgame', 'endgame'];
+
+/** 学習に使わず、過学習していないかを確かめるための局面の割合 */
+const VALIDATION_SHARE = 0.1;
+
+/** Adam の学習率（重みの単位） */
+const LEARNING_RATE = 1;
+
+// ========== 設定 ==========
+
+function parseArgs(argv) {
+    const options = {
+        character: null, games: 100, load: null, save: null, plies: 8, nodeLimit: 2000, solve: 0,
+        fix: [], iterations: 3000, seed: null
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} の値がありません`);
+            return argv[++i];
+        };
+        if (arg === '--character') options.character = value();
+        else if (arg === '--games') options.games = parseInt(value(), 10);
+        else if (arg === '--load') options.load = value();
+        else if (arg === '--save') options.save = value();
+        else if (arg === '--plies') options.plies = parseInt(value(), 10);
+        else if (arg === '--node-limit') options.nodeLimit = parseInt(value(), 10);
+        else if (arg === '--solve') options.solve = parseInt(value(), 10);
+        else if (arg === '--fix') options.fix.push(value());
+        else if (arg === '--iterations') options.iterations = parseInt(value(), 10);
+        else if (arg === '--seed') options.seed = parseInt(value(), 10);
+        else throw new Error(`不明なオプション: ${arg}`);
+    }
+    if (!options.load && !(options.games > 0)) throw new Error('--games は 1 以上にしてください');
+    if (!(options.plies >= 0)) throw new Error('--plies は 0 以上にしてください');
+    // 形式の誤りは自己対局の前に知らせる
+    options.fixes = parseFixes(options.fix);
+    return options;
+}
+
+/**
+ * --fix の指定を { phase -> { term -> 値 } } にする
+ */
+function parseFixes(specs) {
+    const fixes = { opening: {}, midgame: {}, endgame: {} };
+    for (const spec of specs) {
+        const m = /^(?:(opening|midgame|endgame)\.)?(\w+)=(-?\d+(?:\.\d+)?)$/.exec(spec);
+        if (!m || !TERMS.includes(m[2])) {
+            throw new Error(`--fix の形式が正しくありません: ${spec}（例: endgame.discDiff=200, corner=0）`);
+        }
+        for (const phase of m[1] ? [m[1]] : PHASES) fixes[phase][m[2]] = parseFloat(m[3]);
+    }
+    return fixes;
+}
+
+// ========== 棋譜 ==========
+
+/**
+ * 自己対局で棋譜を作る
+ * @returns {Promise<GameCore[]>} 終局まで打った対局
+ */
+async function selfPlay(config, options) {
+    const engine = new UnifiedAIEngine();
+    const players = [{ config, engine, name: 'black' }, { config, engine, name: 'white' }];
+    const openings = generateOpenings(SIZE, options.games, options.plies, createRandom(options.seed));
+
+    const games = [];
+    for (const opening of openings) {
+        const game = new GameCore(SIZE);
+        game.playSequence(GameRecord.parseTranscript(opening));
+        const { black, white } = await playOut(game, players);
+        games.push(game);
+        process.stderr.write(`[${games.length}/${openings.length}] ${black}-${white}\n`);
+    }
+    return games;
+}
+
+/**
+ * 棋譜ファイルを読む（8x8 の通常ルールで終局している棋譜だけを使う）
+ * @returns {GameCore[]}
+ */
+function loadGames(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const records = text.includes('(;')
+        ? text.split(/(?=\(;)/).filter(record => record.trim().startsWith('(;'))
+        : text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+    const games = [];
+    let skipped = 0;
+    for (const record of records) {
+        const game = new GameCore(SIZE);
+        try {
+            GameRecord.load(game, record);
+        } catch (error) {
+            skipped++;
+            continue;
+        }
+        if (game.rows !== SIZE || game.rules.anti || !game.checkGameState().isGameOver) {
+            skipped++;
+            continue;
+        }
+        games.push(game);
+    }
+    if (skipped > 0) process.stderr.write(`${skipped} 件の棋譜は読めないか使えないので飛ばしました\n`);
+    return games;
+}
+
+// ========== 局面 ==========
+
+/**
+ * 棋譜の局面から学習データを作る
+ * @param {GameCore[]} games
+ * @param {UnifiedAIEngine} probe - 特徴量の計算に使うエンジン
+ * @param {Object[]} coefficients - 盤上の石数ごとの各フェーズの重みの割合
+ * @returns {Promise<{features: number[], shares: number[], result: number}[]>}
+ *          features は手番側から見た特徴量、shares は各フェーズの重みの割合、result は手番側の勝ち 1・引き分け 0.5・負け 0
+ */
+async function collectPositions(games, probe, coefficients, options) {
+    const solver = new UnifiedAIEngine();
+    const solveConfig = {
+        ai: { wldSolverDepth: options.solve, timeLimit: 600000, useMoveOrdering: true, useTranspositionTable: true }
+    };
+    const positions = [];
+    let solved = 0;
+
+    for (const game of games) {
+        const { black, white } = game.checkGameState();
+        const history = game.getMoveHistory();
+
+        for (let ply = options.plies; ply < history.length; ply++) {
+            if (history[ply].type !== 'move') continue;
+            game.goToPly(ply);
+
+            const { player, opponent } = probe.bb.fromBoard(game.board, game.turn);
+            let result = black === white ? 0.5 : (black > white) === (game.turn === 1) ? 1 : 0;
+
+            const empties = probe._countEmpty(player, opponent);
+            if (empties <= options.solve) {
+                const analysis = await solver.analyze(GameCore.cloneBoard(game.board), game.turn, solveConfig, game.rules);
+                if (analysis && analysis.wld && !analysis.timedOut) {
+                    const score = analysis.bestMove.score;
+                    result = score > 0 ? 1 : score < 0 ? 0 : 0.5;
+                    solved++;
+                }
+            }
+
+            const discs = probe.bb.squares - empties;
+            positions.push({
+                features: features(probe, player, opponent),
+                shares: PHASES.map(phase => coefficients[discs][phase]),
+                result
+            });
+        }
+        game.goToPly(history.length);
+    }
+    if (options.solve > 0) process.stderr.write(`${solved} 局面を読み切りの結果で学習します\n`);
+    return positions;
+}
+
+/**
+ * 手番側から見た特徴量（TERMS の順。UnifiedAIEngine._evaluate の各項目と同じ値）
+ */
+function features(probe, player, opponent) {
+    return [
+        probe._evaluateMobility(player, opponent),
+        probe._evaluatePosition(player, opponent),
+        probe._evaluateDiscDiff(player, opponent),
+        probe._evaluateStability(player, opponent),
+        probe._evaluateCorners(player, opponent),
+        probe._evaluateFrontier(player, opponent)
+    ];
+}
+
+/**
+ * 盤上の石数ごとに、各フェーズの重みがどれだけ効くか（UnifiedAIEngine._buildWeightTable の補間の割合）
+ * @returns {Object[]} 添字は盤上の石数、値は { opening, midgame, endgame }
+ */
+function phaseCoefficients(probe, phases) {
+    const tables = PHASES.map(target => {
+        const weights = {};
+        for (const phase of PHASES) weights[phase] = { unit: phase === target ? 1 : 0 };
+        probe.currentConfig = { weights, phases };
+        return probe._buildWeightTable();
+    });
+    return tables[0].map((_, discs) => {
+        const entry = {};
+        PHASES.forEach((phase, i) => { entry[phase] = tables[i][discs].unit; });
+        return entry;
+    });
+}
+
+// ========== 学習 ==========
+
+/**
+ * 評価値（重みは [フェーズ][特徴量] の配列）
+ */
+function evaluate(position, w) {
+    let score = 0;
+    for (let p = 0; p < PHASES.length; p++) {
+        const share = position.shares[p];
+        if (share === 0) continue;
+        let phaseScore = 0;
+        for (let f = 0; f < TERMS.length; f++) phaseScore += w[p][f] * position.features[f];
+        score += share * phaseScore;
+    }
+    return score;
+}
+
+function sigmoid(score, scale) {
+    return 1 / (1 + Math.exp(-score / scale));
+}
+
+/**
+ * 平均二乗誤差
+ */
+function meanError(positions, w, scale) {
+    let sum = 0;
+    for (const position of positions) {
+        const diff = position.result - sigmoid(evaluate(position, w), scale);
+        sum += diff * diff;
+    }
+    return sum / positions.length;
+}
+
+/**
+ * 重みを変えずに誤差が最小になるシグモイドの傾きを探す（対数の上で黄金分割探索）
+ */
+function fitScale(positions, w) {
+    const error = logScale => meanError(positions, w, Math.exp(logScale));
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = Math.log(1);
+    let hi = Math.log(1e6);
+    for (let i = 0; i < 60; i++) {
+        const a = hi - ratio * (hi - lo);
+        const b = lo + ratio * (hi - lo);
+        if (error(a) < error(b)) hi = b;
+        else lo = a;
+    }
+    return Math.exp((lo + hi) / 2);
+}
+
+/**
+ * 重みを学習する（Adam による勾配降下。--fix の重みは動かさず、NON_NEGATIVE の重みは 0 以上に保つ）
+ * @returns {number[][]} 学習後の重み
+ */
+function train(positions, initial, fixed, scale, iterations) {
+    const w = initial.map(row => row.slice());
+    const m = initial.map(row => row.map(() => 0));
+    const v = initial.map(row => row.map(() => 0));
+    const beta1 = 0.9;
+    const beta2 = 0.999;
+
+    for (let t = 1; t <= iterations; t++) {
+        const gradient = initial.map(row => row.map(() => 0));
+        for (const position of positions) {
+            const predicted = sigmoid(evaluate(position, w), scale);
+            const common = -2 * (position.result - predicted) * predicted * (1 - predicted) / scale / positions.length;
+            for (let p = 0; p < PHASES.length; p++) {
+                const share = position.shares[p];
+                if (share === 0) continue;
+                for (let f = 0; f < TERMS.length; f++) gradient[p][f] += common * share * position.features[f];
+            }
+        }
+
+        for (let p = 0; p < PHASES.length; p++) {
+            for (let f = 0; f < TERMS.length; f++) {
+                if (fixed[p][f]) continue;
+                const g = gradient[p][f];
+                m[p][f] = beta1 * m[p][f] + (1 - beta1) * g;
+                v[p][f] = beta2 * v[p][f] + (1 - beta2) * g * g;
+                const mHat = m[p][f] / (1 - Math.pow(beta1, t));
+                const vHat = v[p][f] / (1 - Math.pow(beta2, t));
+                w[p][f] -= LEARNING_RATE * mHat / (Math.sqrt(vHat) + 1e-12);
+                if (NON_NEGATIVE.has(TERMS[f])) w[p][f] = Math.max(0, w[p][f]);
+            }
+        }
+
+        if (t % 500 === 0) process.stderr.write(`  ${t}/${iterations}: 誤差 ${meanError(positions, w, scale).toFixed(5)}\n`);
+    }
+    return w;
+}
+
+/**
+ * 評価値の平均的な大きさ（絶対値の平均）が from と同じになるように to の重みを掛け直す
+ * シグモイドの傾きも同じ割合で変わるとみなせば、予測は変わらない
+ */
+function matchScale(positions, from, to) {
+    const magnitude = w => positions.reduce((sum, position) => sum + Math.abs(evaluate(position, w)), 0);
+    const factor = magnitude(from) / magnitude(to);
+    return to.map(row => row.map(value => value * factor));
+}
+
+/**
+ * 小数第1位で丸める
+ */
+function roundWeights(w) {
+    return w.map(row => row.map(value => Math.round(value * 10) / 10));
+}
+
+/**
+ * ai.weights の形で書き出す（data/characters.js にそのまま貼れる形）
+ */
+function formatWeights(w) {
+    const lines = PHASES.map((phase, p) =>
+        `    ${phase}: { ${TERMS.map((term, f) => `${term}: ${w[p][f]}`).join(', ')} }`);
+    return `weights: {\n${lines.join(',\n')}\n}`;
+}
+
+// ========== 実行 ==========
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const base = options.character ? findCharacter(options.character) : { ai: {} };
+    const config = withOverrides(base, options.seed !== null
+        ? { nodeLimit: options.nodeLimit, seed: options.seed }
+        : { nodeLimit: options.nodeLimit });
+    loadResources(config);
+
+    const games = options.load ? loadGames(options.load) : await selfPlay(config, options);
+    if (options.save) {
+        fs.writeFileSync(options.save, games.map(game => GameRecord.toTranscript(game)).join('\n') + '\n');
+    }
+
+    // 出発点の重みとフェーズの境目（エンジンと同じ正規化を通す）
+    const probe = new UnifiedAIEngine();
+    probe._setBoardSize(SIZE);
+    probe.discSign = 1;
+    const { weights, phases } = probe._normalizeConfig(base);
+    const { fixes } = options;
+    const initial = PHASES.map(phase => TERMS.map(term => {
+        if (fixes[phase][term] !== undefined) return fixes[phase][term];
+        const phaseWeights = weights[phase] || weights.midgame;
+        return phaseWeights[term] || 0;
+    }));
+    const fixed = PHASES.map(phase => TERMS.map(term => fixes[phase][term] !== undefined));
+
+    const positions = await collectPositions(games, probe, phaseCoefficients(probe, phases), options);
+    if (positions.length === 0) throw new Error('学習に使える局面がありません');
+
+    // 学習用と確認用に分ける（--seed があれば毎回同じ分け方）
+    const random = createRandom(options.seed);
+    const validation = [];
+    const training = [];
+    for (const position of positions) (random() < VALIDATION_SHARE ? validation : training).push(position);
+    if (validation.length === 0) validation.push(...training);
+
+    const scale = fitScale(training, initial);
+    process.stderr.write(`${games.length} 局・${positions.length} 局面（確認用 ${validation.length}）、シグモイドの傾き ${scale.toFixed(1)}\n`);
+
+    const tuned = roundWeights(train(training, initial, fixed, scale, options.iterations));
+    process.stderr.write(`誤差: 学習用 ${meanError(training, initial, scale).toFixed(5)} -> ${meanError(training, tuned, scale).toFixed(5)}、` +
+        `確認用 ${meanError(validation, initial, scale).toFixed(5)} -> ${meanError(validation, tuned, scale).toFixed(5)}\n`);
+
+    const output = options.fix.length > 0 ? tuned : roundWeights(matchScale(training, initial, tuned));
+    process.stdout.write(formatWeights(output) + '\n');
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});